@@ -12,7 +12,7 @@ import {
     currentType, setCurrentType, tempObjectives, setTempObjectives,
     tempImageData, setTempImageData, searchQuery, setSearchQuery,
     bulkMode, selectedItems, addSelectedItem,
-    selectedTags, setSelectedTags, clearSelectedTags, isViewOnly
+    selectedTags, setSelectedTags, clearSelectedTags, isViewOnly, publicView
 } from './js/state.js';
 
 import {
@@ -30,7 +30,7 @@ import {
 
 import {
     initSpaces, renderSpaces, handleSpaceAction, handleAddSpace, openSpaceEditModal,
-    updateColorSwatchSelection, handleColorSwatchClick, handleSaveSpace, handleDeleteSpace
+    updateColorSwatchSelection, handleColorSwatchClick, handleSaveSpace, handleDeleteSpace, switchSpace
 } from './js/spaces.js';
 
 import {
@@ -48,8 +48,9 @@ import {
     handleSpaceContextMenu, handleQuestContextMenu, handleContextMenuAction
 } from './js/context-menu.js';
 
-import { initStatistics, openStatistics, renderStatistics } from './js/statistics.js';
+import { initStatistics, openStatistics, renderStatistics, switchStatisticsTab } from './js/statistics.js';
 import { initFileManager, openFileManager, loadStorageFiles, handleFileClick } from './js/file-manager.js';
+import { initConflicts, openConflictsModal, handleConflictAction, updateConflictIndicator } from './js/conflicts.js';
 
 import {
     addItem, updateItemField, deleteItem, insertItemIntoDOM, createQuestCardHTML,
@@ -61,12 +62,30 @@ import {
     initAuthUI, openAuthModal, closeAuthModal, switchAuthTab, showPasswordReset,
     updateAuthUI, updateSyncStatusUI, handleSignIn, handleSignUp, handlePasswordReset,
     handleGoogleSignIn, handleLogout, handleExportData, handleDeleteAccount, handleChangeName,
-    handleShowInfo
+    handleShowInfo, handleTabMessage, handleLeadershipChange, handleRetrySync
 } from './js/auth-ui.js';
+import { initTabSync } from './js/tab-sync.js';
+import { initPresence, updatePresence, updatePresenceUI } from './js/presence.js';
+import {
+    initActivity, updateActivityPanel, toggleActivityPanel, closeActivityPanel,
+    renderActivity, handleActivityClick
+} from './js/activity.js';
+import { initProposals, updateProposals, submitProposal } from './js/proposals.js';
+import { initComments, updateComments, postComment, handleCommentsClick } from './js/comments.js';
+import { initNotifications, handleNotificationsClick, markAllNotificationsRead } from './js/notifications.js';
+import {
+    initDirectory, openDirectorySection, handleUserSearchInput, handleUserResultsClick,
+    handleDirectInvitesClick, openBlockedUsersModal, handleBlockedUsersClick
+} from './js/directory.js';
+import {
+    initPublish, getPublicToken, startPublicView, openPublishSection, handlePublishClick, handleCopyPublicLink
+} from './js/publish.js';
+import { isAssignedToMe } from './js/assignees.js';
+import { getProgressScope } from './js/member-progress.js';
 
 import { parseItemInput } from './js/input-parser.js';
 import { initBulkEntry } from './js/bulk-entry.js';
-import { createShareLink, checkAndAcceptInvite, processPendingInvite, copyToClipboard, listActiveInvites, revokeInviteLink } from './js/sharing.js';
+import { createShareLink, checkAndAcceptInvite, processPendingInvite, copyToClipboard, listActiveInvites, revokeInviteLink, updateCollaboratorRole, transferOwnership } from './js/sharing.js';
 
 // --- Reorganized Imports ---
 import { elements } from './js/elements.js';
@@ -117,9 +136,17 @@ function render() {
         const hasTagPrefix = query.startsWith(tagPrefix);
         const tagFilter = hasTagPrefix ? query.slice(tagPrefix.length).trim() : null;
 
+        // assigned:me (or assigned:name) for quests of collaborative spaces
+        const assignedPrefix = 'assigned:';
+        const assignedFilter = query.startsWith(assignedPrefix) ? query.slice(assignedPrefix.length).trim() : null;
+
         // Helper function to check if item matches search query
         const matchesSearch = (item, space) => {
-            if (tagFilter) {
+            if (assignedFilter !== null) {
+                if (!item.assignee) return false;
+                if (assignedFilter === 'me') return isAssignedToMe(item);
+                return (item.assignee.name || '').toLowerCase().includes(assignedFilter);
+            } else if (tagFilter) {
                 // Filter by tag: prefix - match priority, category, or custom tag names
                 if (item.priority && item.priority.toLowerCase() === tagFilter) return true;
                 if (item.category && item.category.toLowerCase() === tagFilter) return true;
@@ -166,7 +193,7 @@ function render() {
     } else {
         elements.emptyState?.classList.add('hidden');
 
-        const grouped = groupItemsByCategory(itemsToRender);
+        const grouped = groupItemsByCategory(itemsToRender, getProgressScope());
         let html = '';
         Object.entries(grouped).forEach(([category, categoryItems]) => {
             html += createCategoryGroupHTML(category, categoryItems);
@@ -174,10 +201,49 @@ function render() {
 
         elements.questContainer?.insertAdjacentHTML('beforeend', html);
     }
+
+    // A public page is nobody's shared space: no members, presence or threads
+    if (publicView) return;
+
+    updatePresence();
+    updatePresenceUI();
+    updateProposals();
+    updateComments();
+    updateActivityPanel();
+}
+
+/**
+ * Scroll to a quest card from the activity feed
+ */
+function showQuestFromActivity(questId) {
+    const card = elements.questContainer?.querySelector(`.quest-card[data-id="${CSS.escape(questId)}"]`);
+    if (!card) {
+        const archived = (state.archivedItems || []).some(item => item.id === questId);
+        showToast(archived ? 'That quest is in the archive' : 'That quest no longer exists');
+        return;
+    }
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.classList.add('activity-target');
+    setTimeout(() => card.classList.remove('activity-target'), 1500);
+}
+
+/**
+ * Open the space (and quest) a notification is about
+ */
+function showNotificationTarget(notification) {
+    const uid = window.FirebaseBridge?.currentUser?.uid;
+    const space = (state.spaces || []).find(s => s.id === notification.spaceId &&
+        (s.isOwned === false ? s.ownerId === notification.ownerId : notification.ownerId === uid));
+    if (!space) {
+        showToast('That space is no longer available');
+        return;
+    }
+    if (state.activeSpaceId !== space.id) switchSpace(space.id);
+    if (notification.questId) showQuestFromActivity(notification.questId);
 }
 
 function createCategoryGroupHTML(category, categoryItems) {
-    const progress = getCategoryProgress(categoryItems);
+    const progress = getCategoryProgress(categoryItems, getProgressScope());
     const itemsHTML = categoryItems.map(item => createQuestCardHTML(item)).join('');
 
     const isCollapsed = state.collapsedCategories.has(category);
@@ -207,7 +273,8 @@ function createCategoryGroupHTML(category, categoryItems) {
 function updateStatusBar() {
     const items = state.items || [];
     const total = items.length;
-    const complete = items.filter(i => isItemComplete(i)).length;
+    const scope = getProgressScope();
+    const complete = items.filter(i => isItemComplete(i, scope)).length;
 
     if (elements.statusTotal) elements.statusTotal.textContent = total;
     if (elements.statusComplete) elements.statusComplete.textContent = complete;
@@ -367,7 +434,8 @@ function shareProgress() {
     const items = space.items || [];
     const archived = space.archivedItems || [];
     const totalItems = items.length + archived.length;
-    const completedItems = archived.length + items.filter(i => isItemComplete(i)).length;
+    const scope = getProgressScope(space);
+    const completedItems = archived.length + items.filter(i => isItemComplete(i, scope)).length;
 
     const text = `📦 ${space.name}\nProgress: ${completedItems}/${totalItems} items complete\n(${totalItems > 0 ? Math.round(completedItems / totalItems * 100) : 0}%)`;
 
@@ -399,6 +467,8 @@ async function openShareModal(spaceId) {
     elements.shareLinkContainer?.classList.add('hidden');
     elements.shareLinkExpiry?.classList.add('hidden');
     elements.shareLinkUrl.value = '';
+    openDirectorySection(spaceId);
+    openPublishSection(spaceId);
 
     // Update modal title
     const modal = elements.modalShare;
@@ -422,12 +492,17 @@ async function openShareModal(spaceId) {
             invitesList.innerHTML = invites.map(invite => {
                 const expiresDate = new Date(invite.expiresAt);
                 const daysLeft = Math.ceil((expiresDate - new Date()) / (1000 * 60 * 60 * 24));
+                const usage = invite.maxUses === null
+                    ? `${invite.useCount} joined · unlimited`
+                    : `${invite.useCount}/${invite.maxUses} used`;
+                const joined = (invite.joinedBy || []).join(', ');
                 return `
                 <div class="invite-item" data-invite-code="${invite.inviteCode}">
                     <div class="invite-info">
                         <code class="invite-code">${invite.inviteCode}</code>
                         <span class="collaborator-role ${invite.role}">${invite.role}</span>
                         <span class="invite-expiry">${daysLeft}d left</span>
+                        <span class="invite-uses" ${joined ? `title="Joined: ${escapeHtml(joined)}"` : ''}>${usage}</span>
                     </div>
                     <button type="button" class="btn-revoke-invite" data-invite-code="${invite.inviteCode}" title="Revoke">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -481,8 +556,18 @@ async function openShareModal(spaceId) {
                 <div class="collaborator-item" data-user-id="${userId}">
                     <div class="collaborator-info">
                         <span class="collaborator-email">${escapeHtml(data.displayName || data.email || 'Unknown')}</span>
-                        <span class="collaborator-role ${data.role}">${data.role}</span>
+                        <select class="collaborator-role-select ${escapeHtml(data.role)}" data-user-id="${userId}" aria-label="Role">
+                            ${['viewer', 'helper', 'editor'].map(role =>
+                                `<option value="${role}" ${data.role === role ? 'selected' : ''}>${role.toUpperCase()}</option>`
+                            ).join('')}
+                        </select>
                     </div>
+                    <button type="button" class="btn-transfer-owner" data-user-id="${userId}" title="Make owner">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M2 20h20" />
+                            <path d="M4 17 2 7l5 4 5-7 5 7 5-4-2 10z" />
+                        </svg>
+                    </button>
                     <button type="button" class="btn-remove-collaborator" data-user-id="${userId}" title="Remove access">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="18" y1="6" x2="6" y2="18" />
@@ -492,6 +577,56 @@ async function openShareModal(spaceId) {
                 </div>
             `).join('');
 
+            // Role changes apply right away
+            collabList.querySelectorAll('.collaborator-role-select').forEach(select => {
+                select.addEventListener('change', async () => {
+                    const targetUserId = select.dataset.userId;
+                    const previousRole = collaborators[targetUserId]?.role;
+                    select.disabled = true;
+                    const result = await updateCollaboratorRole(spaceId, targetUserId, select.value);
+                    select.disabled = false;
+                    if (result.success && collaborators[targetUserId]) {
+                        collaborators[targetUserId].role = select.value;
+                        select.className = `collaborator-role-select ${select.value}`;
+                    } else {
+                        select.value = previousRole;
+                    }
+                });
+            });
+
+            // Hand the space over to a collaborator
+            collabList.querySelectorAll('.btn-transfer-owner').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const targetUserId = btn.dataset.userId;
+                    if ((state.spaces || []).length <= 1) {
+                        showAlert('Cannot transfer your last remaining space. Create another space first.', 'ERROR');
+                        return;
+                    }
+                    // The transfer copies what is in the cloud
+                    if ((space._localModified || 0) > (space._lastSyncedLocal || 0)) {
+                        showAlert('This space has changes that have not synced yet. Try again once they are saved.', 'NOT SYNCED');
+                        return;
+                    }
+
+                    const name = collaborators[targetUserId]?.displayName || 'this collaborator';
+                    const result = await transferOwnership(space, targetUserId, name);
+                    if (!result?.success) return;
+
+                    // Gone from our spaces; if we stayed, it comes back as a shared space with the same ID
+                    state.spaces = state.spaces.filter(s => s !== space);
+                    state.conflicts = (state.conflicts || []).filter(c => !(c.spaceId === spaceId && c.ownerId === window.FirebaseBridge.currentUser.uid));
+                    updateConflictIndicator();
+                    if (state.activeSpaceId === spaceId && !result.keepAccess) {
+                        state.activeSpaceId = state.spaces[0]?.id;
+                    }
+                    syncActiveSpace();
+                    saveState();
+                    elements.modalShare?.classList.add('hidden');
+                    render();
+                    renderArchive();
+                });
+            });
+
             // Add click handlers for remove buttons
             collabList.querySelectorAll('.btn-remove-collaborator').forEach(btn => {
                 btn.addEventListener('click', async () => {
@@ -514,13 +649,15 @@ async function openShareModal(spaceId) {
 async function handleGenerateShareLink() {
     const spaceId = elements.shareSpaceId.value;
     const role = elements.shareRole.value;
+    const maxUses = elements.shareMaxUses?.value === 'unlimited' ? null : parseInt(elements.shareMaxUses?.value, 10) || 1;
+    const expiresInDays = parseInt(elements.shareExpiry?.value, 10) || 7;
 
     if (!spaceId) return;
 
     elements.btnGenerateShareLink.disabled = true;
     showToast('Generating link...');
 
-    const result = await createShareLink(spaceId, role);
+    const result = await createShareLink(spaceId, role, { maxUses, expiresInDays });
 
     elements.btnGenerateShareLink.disabled = false;
 
@@ -530,7 +667,8 @@ async function handleGenerateShareLink() {
         elements.shareLinkContainer?.classList.remove('hidden');
 
         const expiryDate = new Date(result.expiresAt);
-        elements.shareLinkExpiry.textContent = `Expires: ${expiryDate.toLocaleDateString()}`;
+        const uses = result.maxUses === null ? 'unlimited uses' : result.maxUses === 1 ? 'single use' : `${result.maxUses} uses`;
+        elements.shareLinkExpiry.textContent = `Expires: ${expiryDate.toLocaleDateString()} · ${uses}`;
         elements.shareLinkExpiry?.classList.remove('hidden');
 
         // Auto-copy to clipboard
@@ -606,12 +744,54 @@ async function init() {
         modalStatistics: elements.modalStatistics, modalSettings: elements.modalSettings,
         statTotal: elements.statTotal, statCompleted: elements.statCompleted,
         statActive: elements.statActive, statRate: elements.statRate,
-        statsCategories: elements.statsCategories, statsSpaces: elements.statsSpaces
+        statsCategories: elements.statsCategories, statsSpaces: elements.statsSpaces,
+        statsTabs: elements.statsTabs, statsOverviewPane: elements.statsOverviewPane,
+        statsLeaderboardPane: elements.statsLeaderboardPane,
+        statsLeaderboardTitle: elements.statsLeaderboardTitle, statsLeaderboard: elements.statsLeaderboard
     });
 
     loadingBar.set(40);
 
     initFileManager({ modalFiles: elements.modalFiles, filesList: elements.filesList });
+    initConflicts({
+        modalConflicts: elements.modalConflicts, conflictsList: elements.conflictsList,
+        statusConflicts: elements.statusConflicts, statusConflictsCount: elements.statusConflictsCount
+    }, { render, renderArchive });
+    initPresence({
+        presenceBar: elements.presenceBar, questContainer: elements.questContainer
+    }, { onChange: renderSpaces });
+    initActivity({
+        activityPanel: elements.activityPanel, activityList: elements.activityList,
+        activityMemberFilter: elements.activityMemberFilter, activityActionFilter: elements.activityActionFilter,
+        btnActivity: elements.btnActivity
+    }, { showQuest: showQuestFromActivity });
+    initNotifications({
+        notificationBadge: elements.notificationBadge, notificationsList: elements.notificationsList,
+        btnMarkNotificationsRead: elements.btnMarkNotificationsRead
+    }, { open: showNotificationTarget });
+    initDirectory({
+        shareRole: elements.shareRole, shareUserSearch: elements.shareUserSearch,
+        shareUserResults: elements.shareUserResults, directInvitesSection: elements.directInvitesSection,
+        directInvitesList: elements.directInvitesList, modalBlockedUsers: elements.modalBlockedUsers,
+        blockedUsersList: elements.blockedUsersList
+    });
+    initPublish({
+        publicSpaceName: elements.publicSpaceName, publishSection: elements.publishSection,
+        publicLinkContainer: elements.publicLinkContainer, publicLinkUrl: elements.publicLinkUrl,
+        btnPublishSpace: elements.btnPublishSpace
+    });
+    initProposals({
+        questContainer: elements.questContainer, modalPropose: elements.modalPropose,
+        proposeQuestName: elements.proposeQuestName, proposeObjectiveRow: elements.proposeObjectiveRow,
+        proposeObjective: elements.proposeObjective, proposeAmount: elements.proposeAmount,
+        proposeNote: elements.proposeNote, btnSubmitProposal: elements.btnSubmitProposal
+    });
+    initComments({
+        questContainer: elements.questContainer, modalComments: elements.modalComments,
+        commentsQuestName: elements.commentsQuestName, commentsList: elements.commentsList,
+        commentForm: elements.commentForm, commentInput: elements.commentInput,
+        btnPostComment: elements.btnPostComment
+    });
     initBulkEntry({ render });
     initQuests({ renderArchive, updateStatusBar });
     initAuthUI({
@@ -622,13 +802,29 @@ async function init() {
         resetMessage: elements.resetMessage, authDivider: elements.authDivider,
         btnGoogleSignin: elements.btnGoogleSignin, btnLogin: elements.btnLogin,
         userMenu: elements.userMenu, userDisplayName: elements.userDisplayName,
-        userDropdown: elements.userDropdown, syncStatus: elements.syncStatus
+        userDropdown: elements.userDropdown, syncStatus: elements.syncStatus,
+        syncError: elements.syncError, syncErrorMessage: elements.syncErrorMessage,
+        statusPending: elements.statusPending, statusPendingItem: elements.statusPendingItem
     }, { render, renderArchive, renderSpaces });
 
-    // Load state and render
-    loadState();
-    sortItems(state.items);
+    // Load state and render (a public page shows the published space instead)
+    const publicToken = getPublicToken();
+    if (publicToken) {
+        const found = await startPublicView(publicToken, () => {
+            sortItems(state.items, getProgressScope());
+            render();
+            renderArchive();
+        });
+        if (!found) {
+            syncActiveSpace();
+            showAlert('This public page does not exist or has been unpublished.', 'NOT AVAILABLE');
+        }
+    } else {
+        loadState();
+    }
+    sortItems(state.items, getProgressScope());
     render();
+    updateConflictIndicator();
 
     loadingBar.set(60);
 
@@ -812,6 +1008,7 @@ async function init() {
     elements.categoriesList?.addEventListener('click', handleCategoryListClick);
 
     elements.btnStatistics?.addEventListener('click', openStatistics);
+    elements.statsTabs?.forEach(tab => tab.addEventListener('click', () => switchStatisticsTab(tab.dataset.tab)));
     elements.modalStatistics?.addEventListener('click', handleCloseModal);
 
     // Archive
@@ -825,7 +1022,8 @@ async function init() {
 
     // Context menu
     elements.contextMenu?.addEventListener('click', handleContextMenuAction);
-    // elements.questContainer?.addEventListener('contextmenu', handleQuestContextMenu); // Disabled as requested
+    // Quest menu only opens in collaborative spaces (assigning quests), see handleQuestContextMenu
+    elements.questContainer?.addEventListener('contextmenu', handleQuestContextMenu);
     document.addEventListener('click', hideContextMenu);
 
     // Space modal
@@ -921,6 +1119,8 @@ async function init() {
         elements.userDropdown?.classList.toggle('hidden');
     });
     elements.btnLogout?.addEventListener('click', handleLogout);
+    elements.notificationsList?.addEventListener('click', handleNotificationsClick);
+    elements.btnMarkNotificationsRead?.addEventListener('click', markAllNotificationsRead);
     elements.modalAuth?.addEventListener('click', (e) => {
         if (e.target.classList.contains('modal-backdrop') || e.target.closest('.modal-close')) closeAuthModal();
     });
@@ -933,7 +1133,11 @@ async function init() {
     elements.btnGoogleSignin?.addEventListener('click', handleGoogleSignIn);
     elements.btnExportData?.addEventListener('click', handleExportData);
     elements.btnChangeName?.addEventListener('click', handleChangeName);
+    elements.btnBlockedUsers?.addEventListener('click', openBlockedUsersModal);
+    elements.modalBlockedUsers?.addEventListener('click', handleCloseModal);
+    elements.blockedUsersList?.addEventListener('click', handleBlockedUsersClick);
     elements.btnShowInfo?.addEventListener('click', handleShowInfo);
+    elements.btnRetrySync?.addEventListener('click', handleRetrySync);
     elements.btnDeleteAccount?.addEventListener('click', handleDeleteAccount);
 
 
@@ -978,10 +1182,37 @@ async function init() {
     elements.modalFiles?.addEventListener('click', handleCloseModal);
     elements.btnRefreshFiles?.addEventListener('click', loadStorageFiles);
     elements.filesList?.addEventListener('click', handleFileClick);
+    elements.modalConflicts?.addEventListener('click', handleCloseModal);
+    elements.conflictsList?.addEventListener('click', handleConflictAction);
+    elements.statusConflicts?.addEventListener('click', openConflictsModal);
+
+    // Proposals
+    elements.modalPropose?.addEventListener('click', handleCloseModal);
+    elements.btnSubmitProposal?.addEventListener('click', submitProposal);
+
+    // Comments
+    elements.modalComments?.addEventListener('click', handleCloseModal);
+    elements.commentsList?.addEventListener('click', handleCommentsClick);
+    elements.btnPostComment?.addEventListener('click', postComment);
+    elements.commentInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) postComment();
+    });
+
+    // Activity
+    elements.btnActivity?.addEventListener('click', toggleActivityPanel);
+    elements.btnCloseActivity?.addEventListener('click', closeActivityPanel);
+    elements.activityList?.addEventListener('click', handleActivityClick);
+    elements.activityMemberFilter?.addEventListener('change', renderActivity);
+    elements.activityActionFilter?.addEventListener('change', renderActivity);
 
     // Share modal
     elements.btnGenerateShareLink?.addEventListener('click', handleGenerateShareLink);
     elements.btnCopyShareLink?.addEventListener('click', handleCopyShareLink);
+    elements.shareUserSearch?.addEventListener('input', handleUserSearchInput);
+    elements.shareUserResults?.addEventListener('click', handleUserResultsClick);
+    elements.directInvitesList?.addEventListener('click', handleDirectInvitesClick);
+    elements.btnPublishSpace?.addEventListener('click', handlePublishClick);
+    elements.btnCopyPublicLink?.addEventListener('click', handleCopyPublicLink);
     elements.modalShare?.addEventListener('click', handleCloseModal);
 
     // Note: Invite check moved to auth callback below to ensure auth state is ready
@@ -991,6 +1222,15 @@ async function init() {
     window.addEventListener('blur', handleWindowBlur);
     window.addEventListener('resize', resizeCanvas);
 
+    // Public pages neither sync nor sign in
+    if (publicToken) {
+        console.log('FETCH QUEST v3.0 initialized. Public page.');
+        return;
+    }
+
+    // Coordinate with other open tabs (decides which tab syncs to the cloud)
+    await initTabSync({ onMessage: handleTabMessage, onLeadershipChange: handleLeadershipChange });
+
     // Firebase auth listener
     if (window.FirebaseBridge?.isConfigured) {
         window.FirebaseBridge.onAuthChange(async (user) => {
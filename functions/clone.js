@@ -0,0 +1,347 @@
+/**
+ * Space Cloning Functions
+ * A collaborator copies a shared space into a space of their own, with fresh IDs,
+ * and can later pull in the quests the source space added since.
+ * Images the quests use are copied under the cloner and count toward their quota.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { STORAGE_LIMIT_BYTES, downloadUrl, storagePath, copyStorageFile, rewriteImageUrls } = require("./transfer.js");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+/**
+ * Random ID in the format the client uses for quests and objectives
+ */
+function generateId() {
+    return "q_" + Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Read a space the caller may clone: someone else's space they collaborate on
+ */
+async function getSourceSpace(userId, ownerId, spaceId) {
+    if (ownerId === userId) {
+        throw new functions.https.HttpsError("invalid-argument", "You already own this space");
+    }
+
+    const sourceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+    const sourceSnap = await sourceRef.get();
+
+    if (!sourceSnap.exists) {
+        throw new functions.https.HttpsError("not-found", "Space not found");
+    }
+
+    const sourceData = sourceSnap.data();
+    if (!(sourceData.collaborators || {})[userId]) {
+        throw new functions.https.HttpsError("permission-denied", "You are not a member of this space");
+    }
+    if (Array.isArray(sourceData.items) || Array.isArray(sourceData.archivedItems)) {
+        throw new functions.https.HttpsError("failed-precondition", "Space has not been migrated to quest documents");
+    }
+
+    return { sourceRef, sourceData };
+}
+
+/**
+ * Copy of a source quest for the cloner's space
+ * Fresh IDs, nothing about the source's members, and optionally no progress
+ */
+function toClonedQuest(questDoc, resetProgress) {
+    const quest = {
+        id: generateId(),
+        type: questDoc.type || "item",
+        name: questDoc.name || "Unknown",
+        imageUrl: questDoc.imageUrl || null,
+        category: questDoc.category || "Misc",
+        current: resetProgress ? 0 : (questDoc.current || 0),
+        target: questDoc.target || 1,
+        objectives: (questDoc.objectives || []).map((objective) => ({
+            id: generateId(),
+            name: objective.name || "Objective",
+            imageUrl: objective.imageUrl || null,
+            current: resetProgress ? 0 : (objective.current || 0),
+            target: objective.target || 1,
+            complete: resetProgress ? false : !!objective.complete,
+        })),
+        createdAt: questDoc.createdAt || Date.now(),
+        completedAt: resetProgress ? null : (questDoc.completedAt || null),
+        color: questDoc.color || null,
+        priority: questDoc.priority || null,
+        notes: questDoc.notes || "",
+        tags: [], // Tags belong to the source's owner
+        list: "items",
+    };
+    if (questDoc.sortIndex !== undefined) quest.sortIndex = questDoc.sortIndex;
+    return quest;
+}
+
+/**
+ * Clone the active quests of a source space, copying the images they use
+ * into the cloner's space folder once it is checked they fit in the cloner's quota
+ * Only images in the source space's own folder are copied: an editor could point a quest
+ * at any other file of the owner's. Other URLs are left as they are. The copies get their
+ * own download tokens, so they don't give the cloner a way into the originals.
+ * An image the cloner's space already has a copy of (from an earlier pull) is not copied again.
+ * @param {Array} copiedPaths - Receives the path of each copy made, for cleaning up after a failure
+ * @returns {Promise<Array>} Quest documents for the cloner's space
+ */
+async function cloneQuests(questSnaps, { ownerId, spaceId, userId, newSpaceId, resetProgress, copiedPaths = [] }) {
+    // 1. Images of the source space the quests point at
+    const spacePrefix = `users/${ownerId}/${spaceId}/`;
+    const paths = new Set();
+    questSnaps.forEach((questSnap) => {
+        const questDoc = questSnap.data();
+        [questDoc.imageUrl, ...(questDoc.objectives || []).map((objective) => objective.imageUrl)]
+            .map(storagePath)
+            .filter((path) => path && path.startsWith(spacePrefix))
+            .forEach((path) => paths.add(path));
+    });
+
+    const bucket = admin.storage().bucket();
+    const newPathOf = (file) => `users/${userId}/${newSpaceId}/${file.name.slice(spacePrefix.length)}`;
+    const copiedUrls = new Map(); // source path -> copy's download URL
+    const files = [];
+    for (const path of paths) {
+        const file = bucket.file(path);
+        const [exists] = await file.exists();
+        if (!exists) continue;
+
+        const copy = bucket.file(newPathOf(file));
+        const [copied] = await copy.exists();
+        if (copied) {
+            const [copyMetadata] = await copy.getMetadata();
+            const token = ((copyMetadata.metadata || {}).firebaseStorageDownloadTokens || "").split(",")[0];
+            if (token) {
+                copiedUrls.set(path, downloadUrl(bucket.name, copy.name, token));
+                continue;
+            }
+        }
+
+        await file.getMetadata();
+        files.push(file);
+    }
+
+    // 2. Check they fit in the cloner's storage
+    const totalBytes = files.reduce((sum, file) => sum + (parseInt(file.metadata.size, 10) || 0), 0);
+    if (totalBytes > 0) {
+        const storageSnap = await getDb().doc(`userStorage/${userId}`).get();
+        const bytesUsed = storageSnap.exists ? (storageSnap.data().bytesUsed || 0) : 0;
+        if (bytesUsed + totalBytes >= STORAGE_LIMIT_BYTES) {
+            throw new functions.https.HttpsError("resource-exhausted", "Not enough storage for this space's images");
+        }
+    }
+
+    // 3. Copy them (onFileUpload charges the cloner)
+    for (const file of files) {
+        const newPath = newPathOf(file);
+        copiedPaths.push(newPath);
+        copiedUrls.set(file.name, await copyStorageFile(bucket, file, newPath, { freshToken: true }));
+    }
+
+    return questSnaps.map((questSnap) =>
+        rewriteImageUrls(toClonedQuest(questSnap.data(), resetProgress), copiedUrls)
+    );
+}
+
+/**
+ * Remove what a failed clone wrote: its quests, its space and its copied images
+ * (onFileDelete gives the cloner their storage back)
+ */
+async function removeClone(spaceRef, userId, spaceId) {
+    try {
+        await getDb().recursiveDelete(spaceRef);
+        await admin.storage().bucket().deleteFiles({ prefix: `users/${userId}/${spaceId}/` });
+    } catch (error) {
+        console.error(`Failed to clean up clone ${spaceId} of ${userId}:`, error);
+    }
+}
+
+/**
+ * Remove what a failed pull wrote, leaving the clone as it was: the pulled quests,
+ * their clonedQuests entries and the images copied for them
+ */
+async function removePulled(spaceRef, quests, sourceSnaps, copiedPaths) {
+    try {
+        const writer = getDb().bulkWriter();
+        quests.forEach((quest) => writer.delete(spaceRef.collection("quests").doc(quest.id)));
+        sourceSnaps.forEach((questSnap) => writer.delete(spaceRef.collection("clonedQuests").doc(questSnap.id)));
+        await writer.close();
+    } catch (error) {
+        console.error(`Failed to remove quests of a failed pull into ${spaceRef.path}:`, error);
+    }
+
+    const bucket = admin.storage().bucket();
+    for (const path of copiedPaths) {
+        try {
+            await bucket.file(path).delete({ ignoreNotFound: true });
+        } catch (error) {
+            console.error(`Failed to delete ${path} after a failed pull:`, error);
+        }
+    }
+}
+
+/**
+ * Write the cloned quests, and record in clonedQuests (one document per source quest,
+ * so it doesn't grow the space document) which source quests they were copied from
+ */
+async function writeQuests(spaceRef, quests, sourceSnaps) {
+    const writer = getDb().bulkWriter();
+    quests.forEach((quest, index) => {
+        writer.set(spaceRef.collection("quests").doc(quest.id), quest);
+        writer.set(spaceRef.collection("clonedQuests").doc(sourceSnaps[index].id), {
+            questId: quest.id,
+            at: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    });
+    await writer.close();
+}
+
+/**
+ * Clone a shared space into a new space of the caller's.
+ * Only collaborators of the space can call this; the clone remembers its source
+ * (clonedFrom) so quests added there later can be pulled in with pullSourceQuests.
+ */
+exports.cloneSpace = functions
+    .region("us-east1")
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { ownerId, spaceId, resetProgress = false } = data;
+        const userId = context.auth.uid;
+
+        if (!ownerId || !spaceId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing ownerId or spaceId");
+        }
+
+        // 2. Verify caller is a collaborator of the source space
+        const { sourceRef, sourceData } = await getSourceSpace(userId, ownerId, spaceId);
+
+        // 3. Clone its active quests (archived ones are the source's history)
+        const newSpaceId = `space-${Date.now()}`;
+        const newSpaceRef = getDb().doc(`users/${userId}/spaces/${newSpaceId}`);
+        const questsSnap = await sourceRef.collection("quests").where("list", "==", "items").get();
+
+        let quests;
+        try {
+            quests = await cloneQuests(questsSnap.docs, { ownerId, spaceId, userId, newSpaceId, resetProgress: !!resetProgress });
+
+            // 4. Write the quests, then the space (the client picks the space up with its quests)
+            await writeQuests(newSpaceRef, quests, questsSnap.docs);
+            await newSpaceRef.set({
+                name: sourceData.name || "Unnamed Space",
+                color: sourceData.color || "#e8b84a",
+                categories: Array.isArray(sourceData.categories) ? sourceData.categories : [],
+                tombstones: {},
+                collaborators: {},
+                isShared: false,
+                clonedFrom: {
+                    ownerId,
+                    spaceId,
+                    spaceName: sourceData.name || "",
+                    resetProgress: !!resetProgress,
+                    at: admin.firestore.FieldValue.serverTimestamp(),
+                },
+                lastModified: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        } catch (error) {
+            // Nothing half-cloned stays behind: the copied images would count toward the quota
+            await removeClone(newSpaceRef, userId, newSpaceId);
+            throw error;
+        }
+
+        console.log(`Space ${spaceId} of ${ownerId} cloned by ${userId} as ${newSpaceId} (${quests.length} quest(s))`);
+
+        return { success: true, spaceId: newSpaceId, questCount: quests.length };
+    });
+
+/**
+ * Copy the quests a clone's source space added since it was cloned (or last pulled).
+ * Quests deleted from the clone are not brought back, and progress is reset if it
+ * was when cloning. The caller must still be a collaborator of the source.
+ */
+exports.pullSourceQuests = functions
+    .region("us-east1")
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId } = data;
+        const userId = context.auth.uid;
+
+        if (!spaceId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId");
+        }
+
+        // 2. Verify caller owns the clone and still has access to its source
+        const spaceRef = getDb().doc(`users/${userId}/spaces/${spaceId}`);
+        const spaceSnap = await spaceRef.get();
+
+        if (!spaceSnap.exists) {
+            throw new functions.https.HttpsError("not-found", "Space not found");
+        }
+
+        const clonedFrom = spaceSnap.data().clonedFrom;
+        if (!clonedFrom || !clonedFrom.ownerId || !clonedFrom.spaceId) {
+            throw new functions.https.HttpsError("failed-precondition", "This space is not a clone");
+        }
+
+        const { sourceRef } = await getSourceSpace(userId, clonedFrom.ownerId, clonedFrom.spaceId);
+
+        // 3. Clone the source's active quests this space has not seen
+        // (clones made before clonedQuests listed them in clonedFrom.questIds)
+        const clonedSnap = await spaceRef.collection("clonedQuests").select().get();
+        const legacyIds = clonedFrom.questIds || [];
+        const seen = new Set([...legacyIds, ...clonedSnap.docs.map((docSnap) => docSnap.id)]);
+        const questsSnap = await sourceRef.collection("quests").where("list", "==", "items").get();
+        const newSnaps = questsSnap.docs.filter((questSnap) => !seen.has(questSnap.id));
+
+        if (newSnaps.length === 0) {
+            return { success: true, added: 0 };
+        }
+
+        let quests = [];
+        const copiedPaths = [];
+        try {
+            quests = await cloneQuests(newSnaps, {
+                ownerId: clonedFrom.ownerId,
+                spaceId: clonedFrom.spaceId,
+                userId,
+                newSpaceId: spaceId,
+                resetProgress: !!clonedFrom.resetProgress,
+                copiedPaths,
+            });
+
+            // 4. Write them and remember they were pulled
+            if (legacyIds.length > 0) {
+                const writer = getDb().bulkWriter();
+                legacyIds.forEach((id) => writer.set(spaceRef.collection("clonedQuests").doc(id), { questId: null, at: null }));
+                await writer.close();
+            }
+            await writeQuests(spaceRef, quests, newSnaps);
+            await spaceRef.update({
+                "clonedFrom.questIds": admin.firestore.FieldValue.delete(),
+                "clonedFrom.pulledAt": admin.firestore.FieldValue.serverTimestamp(),
+                lastModified: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        } catch (error) {
+            // The copied images would count toward the quota; the clone's own ones are kept
+            await removePulled(spaceRef, quests, newSnaps, copiedPaths);
+            throw error;
+        }
+
+        console.log(`Pulled ${quests.length} quest(s) from space ${clonedFrom.spaceId} into ${spaceId} of ${userId}`);
+
+        return { success: true, added: quests.length };
+    });
@@ -0,0 +1,52 @@
+/**
+ * Comment Functions for Collaborative Spaces
+ * Comments live in a subcollection of the space, apart from the quests, so they
+ * have to be cleaned up when the quest they belong to is deleted.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Comments deleted per batch (Firestore allows 500 writes per batch)
+const DELETE_BATCH_SIZE = 400;
+
+/**
+ * Firestore trigger: Delete a quest's comments when the quest is deleted
+ * Deleted spaces take their comments with them in onSpaceDelete
+ */
+exports.onQuestDelete = functions
+    .region("us-east1")
+    .firestore.document("users/{userId}/spaces/{spaceId}/quests/{questId}")
+    .onDelete(async (snapshot, context) => {
+        const { spaceId, questId } = context.params;
+        const commentsRef = snapshot.ref.parent.parent.collection("comments");
+
+        try {
+            let deleted = 0;
+            for (;;) {
+                const batchSnap = await commentsRef
+                    .where("questId", "==", questId)
+                    .limit(DELETE_BATCH_SIZE)
+                    .get();
+                if (batchSnap.empty) break;
+
+                const batch = getDb().batch();
+                batchSnap.docs.forEach((doc) => batch.delete(doc.ref));
+                await batch.commit();
+                deleted += batchSnap.size;
+            }
+
+            if (deleted > 0) {
+                console.log(`Deleted ${deleted} comment(s) of quest ${questId} in space ${spaceId}`);
+            }
+            return { deleted };
+        } catch (error) {
+            console.error(`Failed to delete comments of quest ${questId}:`, error);
+            return null;
+        }
+    });
@@ -0,0 +1,402 @@
+/**
+ * Player Directory & Direct Invite Functions
+ * Users may list themselves in a public directory (profiles/{uid}) under a unique username,
+ * so owners can invite them to a space by name instead of passing a link around.
+ * A direct invite waits in the recipient's notifications until they accept or decline it.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { addCollaborator, VALID_ROLES } = require("./invites.js");
+const { notify } = require("./notifications.js");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Lowercase letters, digits and underscores
+const USERNAME_PATTERN = /^[a-z0-9_]{3,20}$/;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+
+// Direct invites a user may send per hour, so nobody can spam the directory
+const MAX_INVITES_PER_HOUR = 20;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Invites a user may have waiting at once, so nobody's inbox fills up with them
+const MAX_PENDING_PER_RECIPIENT = 10;
+
+// After a decline, the same space can't invite them again for a while
+const DECLINE_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+const DIRECT_INVITE_DAYS = 30;
+
+/**
+ * One invite per space and recipient: re-inviting replaces a cancelled or expired one
+ */
+function directInviteId(ownerId, spaceId, targetUserId) {
+    return `${ownerId}_${spaceId}_${targetUserId}`;
+}
+
+/**
+ * Whether either user has blocked the other
+ */
+function isBlocked(userSnapA, userSnapB) {
+    const blockedBy = (snap) => (snap.exists && snap.data().blockedUsers) || {};
+    return !!blockedBy(userSnapA)[userSnapB.id] || !!blockedBy(userSnapB)[userSnapA.id];
+}
+
+/**
+ * List the caller in the player directory, rename them, or remove them from it.
+ * An empty username unlists the caller.
+ */
+exports.setDirectoryProfile = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const userId = context.auth.uid;
+        const username = typeof data.username === "string" ? data.username.trim().toLowerCase() : "";
+        const displayName = typeof data.displayName === "string"
+            ? data.displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH)
+            : "";
+
+        // 2. Validate input
+        if (username && !USERNAME_PATTERN.test(username)) {
+            throw new functions.https.HttpsError(
+                "invalid-argument",
+                "Usernames are 3 to 20 characters: letters, digits and underscores"
+            );
+        }
+
+        const profileRef = getDb().doc(`profiles/${userId}`);
+
+        // 3. Claim the username atomically, releasing the previous one
+        return getDb().runTransaction(async (transaction) => {
+            const profileSnap = await transaction.get(profileRef);
+            const previous = profileSnap.exists ? profileSnap.data().username : null;
+            const usernameRef = username ? getDb().doc(`usernames/${username}`) : null;
+
+            if (usernameRef && username !== previous) {
+                const usernameSnap = await transaction.get(usernameRef);
+                if (usernameSnap.exists && usernameSnap.data().uid !== userId) {
+                    throw new functions.https.HttpsError("already-exists", "That username is taken");
+                }
+            }
+
+            if (previous && previous !== username) {
+                transaction.delete(getDb().doc(`usernames/${previous}`));
+            }
+
+            if (!username) {
+                transaction.delete(profileRef);
+                return { success: true, username: null };
+            }
+
+            transaction.set(usernameRef, { uid: userId });
+            transaction.set(profileRef, {
+                username,
+                displayName: displayName || username,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return { success: true, username };
+        });
+    });
+
+/**
+ * Invite a user from the directory to a space.
+ * Only the space owner can call this.
+ */
+exports.sendDirectInvite = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId, targetUserId, role = "viewer" } = data;
+        const ownerId = context.auth.uid;
+        const ownerName = context.auth.token.name || context.auth.token.email || "Someone";
+
+        // 2. Validate input
+        if (!spaceId || !targetUserId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId or targetUserId");
+        }
+        if (!VALID_ROLES.includes(role)) {
+            throw new functions.https.HttpsError("invalid-argument", "Invalid role");
+        }
+        if (targetUserId === ownerId) {
+            throw new functions.https.HttpsError("invalid-argument", "Cannot invite yourself");
+        }
+
+        const spaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const profileRef = getDb().doc(`profiles/${targetUserId}`);
+        const inviteId = directInviteId(ownerId, spaceId, targetUserId);
+        const inviteRef = getDb().doc(`directInvites/${inviteId}`);
+        const rateRef = getDb().doc(`rateLimits/directInvites_${ownerId}`);
+        const pendingQuery = getDb().collection("directInvites")
+            .where("toUid", "==", targetUserId)
+            .where("status", "==", "pending");
+
+        // 3. Check and write atomically, so concurrent sends can't get around the limits
+        const invite = await getDb().runTransaction(async (transaction) => {
+            const [spaceSnap, profileSnap, inviteSnap, rateSnap, ownerSnap, targetSnap] = await transaction.getAll(
+                spaceRef, profileRef, inviteRef, rateRef,
+                getDb().doc(`users/${ownerId}`), getDb().doc(`users/${targetUserId}`)
+            );
+            const pendingSnap = await transaction.get(pendingQuery);
+            const now = Date.now();
+
+            // Only the owner's own spaces, and only listed users
+            if (!spaceSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Space not found");
+            }
+            if (!profileSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "User not found");
+            }
+
+            const spaceData = spaceSnap.data();
+            if (spaceData.collaborators && spaceData.collaborators[targetUserId]) {
+                throw new functions.https.HttpsError("already-exists", "Already a collaborator");
+            }
+            if (isBlocked(ownerSnap, targetSnap)) {
+                throw new functions.https.HttpsError("permission-denied", "You can't invite this user");
+            }
+
+            // One pending invite per space, and none right after a decline
+            if (inviteSnap.exists) {
+                const existing = inviteSnap.data();
+                const expired = existing.expiresAt.toDate() < new Date(now);
+                if (existing.status === "pending" && !expired) {
+                    throw new functions.https.HttpsError("already-exists", "Already invited");
+                }
+                if (existing.status === "declined" && existing.respondedAt &&
+                    now - existing.respondedAt.toMillis() < DECLINE_COOLDOWN_MS) {
+                    throw new functions.https.HttpsError("failed-precondition", "They declined an invite to this space recently");
+                }
+            }
+
+            // Rate limits on both sides
+            const rate = rateSnap.exists ? rateSnap.data() : null;
+            const freshWindow = !rate || now - rate.windowStart >= RATE_WINDOW_MS;
+            const sent = freshWindow ? 0 : rate.count;
+            if (sent >= MAX_INVITES_PER_HOUR) {
+                throw new functions.https.HttpsError("resource-exhausted", "Too many invites sent, try again later");
+            }
+            const waiting = pendingSnap.docs.filter((doc) => doc.data().expiresAt.toMillis() > now).length;
+            if (waiting >= MAX_PENDING_PER_RECIPIENT) {
+                throw new functions.https.HttpsError("resource-exhausted", "This user has too many pending invites");
+            }
+
+            const newInvite = {
+                fromUid: ownerId,
+                fromName: ownerName,
+                toUid: targetUserId,
+                toName: profileSnap.data().displayName || profileSnap.data().username,
+                ownerId,
+                spaceId,
+                spaceName: spaceData.name || "",
+                role,
+                status: "pending",
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: new Date(now + DIRECT_INVITE_DAYS * 24 * 60 * 60 * 1000),
+            };
+            transaction.set(inviteRef, newInvite);
+            transaction.set(rateRef, { windowStart: freshWindow ? now : rate.windowStart, count: sent + 1 });
+            return newInvite;
+        });
+
+        // 4. Put it in the recipient's inbox
+        await notify([targetUserId], {
+            type: "directInvite",
+            inviteId,
+            ownerId,
+            spaceId,
+            spaceName: invite.spaceName,
+            actorId: ownerId,
+            actorName: ownerName,
+            role,
+        }, inviteId);
+
+        return { success: true, inviteId };
+    });
+
+/**
+ * Accept or decline a direct invite.
+ * Only the recipient can call this.
+ */
+exports.respondDirectInvite = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { inviteId, accept } = data;
+        const userId = context.auth.uid;
+        const userDisplayName = context.auth.token.name || context.auth.token.email || "Unknown";
+
+        if (!inviteId || typeof inviteId !== "string") {
+            throw new functions.https.HttpsError("invalid-argument", "Invalid invite");
+        }
+
+        const inviteRef = getDb().doc(`directInvites/${inviteId}`);
+
+        // 2. Answer atomically, so the invite is used once
+        const invite = await getDb().runTransaction(async (transaction) => {
+            const inviteSnap = await transaction.get(inviteRef);
+            if (!inviteSnap.exists || inviteSnap.data().toUid !== userId) {
+                throw new functions.https.HttpsError("not-found", "This invite is no longer valid");
+            }
+
+            const pending = inviteSnap.data();
+            if (pending.status !== "pending") {
+                throw new functions.https.HttpsError("failed-precondition", `This invite was already ${pending.status}`);
+            }
+            if (pending.expiresAt.toDate() < new Date()) {
+                throw new functions.https.HttpsError("failed-precondition", "This invite has expired");
+            }
+
+            if (accept) {
+                const spaceRef = getDb().doc(`users/${pending.ownerId}/spaces/${pending.spaceId}`);
+                const spaceSnap = await transaction.get(spaceRef);
+                if (!spaceSnap.exists) {
+                    throw new functions.https.HttpsError("not-found", "Space no longer exists");
+                }
+
+                // Joined through a link in the meantime: nothing more to add
+                if (!(spaceSnap.data().collaborators || {})[userId]) {
+                    addCollaborator(transaction, spaceRef, {
+                        ownerId: pending.ownerId,
+                        spaceId: pending.spaceId,
+                        spaceName: spaceSnap.data().name || pending.spaceName,
+                        userId,
+                        displayName: userDisplayName,
+                        role: pending.role,
+                    });
+                }
+            }
+
+            transaction.update(inviteRef, {
+                status: accept ? "accepted" : "declined",
+                respondedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return pending;
+        });
+
+        const status = accept ? "accepted" : "declined";
+
+        // 3. Settle the recipient's notification (it may have been dismissed already)
+        try {
+            await getDb().doc(`users/${userId}/notifications/${inviteId}`).update({ read: true, resolved: status });
+        } catch (error) {
+            console.log(`No notification to settle for direct invite ${inviteId}`);
+        }
+
+        // 4. Tell the owner
+        await notify([invite.ownerId], {
+            type: accept ? "joined" : "inviteDeclined",
+            ownerId: invite.ownerId,
+            spaceId: invite.spaceId,
+            spaceName: invite.spaceName,
+            actorId: userId,
+            actorName: userDisplayName,
+            role: invite.role,
+        });
+
+        return { success: true, status, spaceName: invite.spaceName, role: invite.role };
+    });
+
+/**
+ * Withdraw a pending direct invite.
+ * Only the owner who sent it can call this.
+ */
+exports.cancelDirectInvite = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { inviteId } = data;
+        const userId = context.auth.uid;
+
+        if (!inviteId || typeof inviteId !== "string") {
+            throw new functions.https.HttpsError("invalid-argument", "Invalid invite");
+        }
+
+        // 2. Verify caller sent it
+        const inviteRef = getDb().doc(`directInvites/${inviteId}`);
+        const inviteSnap = await inviteRef.get();
+        if (!inviteSnap.exists || inviteSnap.data().fromUid !== userId) {
+            throw new functions.https.HttpsError("not-found", "Invite not found");
+        }
+
+        const invite = inviteSnap.data();
+        if (invite.status !== "pending") {
+            throw new functions.https.HttpsError("failed-precondition", `This invite was already ${invite.status}`);
+        }
+
+        // 3. Remove it, and the recipient's notification with it
+        const batch = getDb().batch();
+        batch.delete(inviteRef);
+        batch.delete(getDb().doc(`users/${invite.toUid}/notifications/${inviteId}`));
+        await batch.commit();
+
+        return { success: true };
+    });
+
+/**
+ * Auth trigger: Take a deleted account out of the directory
+ * Frees its username and removes the direct invites it sent or received, with the
+ * notifications of those still pending (the account's own inbox goes with its data)
+ */
+exports.onUserDelete = functions
+    .region("us-east1")
+    .auth.user()
+    .onDelete(async (user) => {
+        const userId = user.uid;
+
+        try {
+            const profileRef = getDb().doc(`profiles/${userId}`);
+            const [profileSnap, sentSnap, receivedSnap] = await Promise.all([
+                profileRef.get(),
+                getDb().collection("directInvites").where("fromUid", "==", userId).get(),
+                getDb().collection("directInvites").where("toUid", "==", userId).get(),
+            ]);
+
+            const writer = getDb().bulkWriter();
+
+            // 1. Release the username, if it is still this account's
+            const username = profileSnap.exists ? profileSnap.data().username : null;
+            if (username) {
+                const usernameRef = getDb().doc(`usernames/${username}`);
+                const usernameSnap = await usernameRef.get();
+                if (usernameSnap.exists && usernameSnap.data().uid === userId) writer.delete(usernameRef);
+            }
+            writer.delete(profileRef);
+
+            // 2. Withdraw its invites, and drop the ones waiting for it
+            sentSnap.docs.forEach((inviteDoc) => {
+                const invite = inviteDoc.data();
+                if (invite.status === "pending") {
+                    writer.delete(getDb().doc(`users/${invite.toUid}/notifications/${inviteDoc.id}`));
+                }
+                writer.delete(inviteDoc.ref);
+            });
+            receivedSnap.docs.forEach((inviteDoc) => writer.delete(inviteDoc.ref));
+
+            writer.delete(getDb().doc(`rateLimits/directInvites_${userId}`));
+            await writer.close();
+
+            console.log(`Removed deleted user ${userId} from the directory (${sentSnap.size + receivedSnap.size} invite(s))`);
+        } catch (error) {
+            console.error(`Failed to remove deleted user ${userId} from the directory:`, error);
+        }
+        return null;
+    });
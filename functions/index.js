@@ -10,14 +10,57 @@ const invites = require("./invites.js");
 exports.createInvite = invites.createInvite;
 exports.acceptInvite = invites.acceptInvite;
 exports.revokeAccess = invites.revokeAccess;
+exports.updateCollaboratorRole = invites.updateCollaboratorRole;
 exports.leaveSpace = invites.leaveSpace;
 exports.listInvites = invites.listInvites;
 exports.revokeInvite = invites.revokeInvite;
 exports.onSpaceDelete = invites.onSpaceDelete;
 
+// Export space sync functions
+const spaces = require("./spaces.js");
+exports.applySpaceChanges = spaces.applySpaceChanges;
+
+// Export proposal functions
+const proposals = require("./proposals.js");
+exports.createProposal = proposals.createProposal;
+exports.resolveProposal = proposals.resolveProposal;
+
+// Export comment functions
+const comments = require("./comments.js");
+exports.onQuestDelete = comments.onQuestDelete;
+
+// Export player directory and direct invite functions
+const directory = require("./directory.js");
+exports.setDirectoryProfile = directory.setDirectoryProfile;
+exports.sendDirectInvite = directory.sendDirectInvite;
+exports.respondDirectInvite = directory.respondDirectInvite;
+exports.cancelDirectInvite = directory.cancelDirectInvite;
+exports.onUserDelete = directory.onUserDelete;
+
+// Export notification functions
+const notifications = require("./notifications.js");
+exports.onActivityCreate = notifications.onActivityCreate;
+
+// Export public page functions
+const publish = require("./publish.js");
+exports.publishSpace = publish.publishSpace;
+exports.onPublishedQuestWrite = publish.onPublishedQuestWrite;
+exports.onPublishedSpaceUpdate = publish.onPublishedSpaceUpdate;
+
+// Export ownership transfer
+const transfer = require("./transfer.js");
+exports.transferOwnership = transfer.transferOwnership;
+
+// Export space cloning functions
+const clone = require("./clone.js");
+exports.cloneSpace = clone.cloneSpace;
+exports.pullSourceQuests = clone.pullSourceQuests;
+
 /**
  * Triggered when a file is uploaded to Firebase Storage.
  * Updates the user's storage usage in Firestore.
+ * Files are charged to the user whose path they are under, so images an editor
+ * adds to a shared space count toward the space owner's quota.
  */
 exports.onFileUpload = functions
   .region("us-east1")
@@ -32,6 +75,7 @@ exports.onFileUpload = functions
 
     const userId = filePath.split("/")[1];
     const fileSize = parseInt(object.size, 10);
+    const uploadedBy = (object.metadata || {}).uploadedBy || userId;
 
     if (!userId || isNaN(fileSize)) {
       console.error("Invalid userId or fileSize", { filePath, fileSize });
@@ -51,7 +95,8 @@ exports.onFileUpload = functions
         }, { merge: true });
       });
 
-      console.log(`User ${userId}: Added ${fileSize} bytes (file: ${filePath})`);
+      const by = uploadedBy !== userId ? `, uploaded by collaborator ${uploadedBy}` : "";
+      console.log(`User ${userId}: Added ${fileSize} bytes (file: ${filePath}${by})`);
     } catch (error) {
       console.error(`Error updating storage for user ${userId}:`, error);
     }
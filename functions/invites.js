@@ -5,12 +5,57 @@
 
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
+const { notify } = require("./notifications.js");
+const { deletePublicCopy } = require("./publish.js");
 
 // Lazy getter for Firestore (admin is initialized in index.js)
 function getDb() {
     return admin.firestore();
 }
 
+// Roles a collaborator can hold
+const VALID_ROLES = ["viewer", "helper", "editor"];
+
+// Invite options the owner can pick
+const MAX_INVITE_USES = 100;
+const MAX_INVITE_DAYS = 30;
+
+/**
+ * How many times an invite may be used (null = unlimited) and has been used
+ * Invites from before multi-use links are single-use and record only usedBy
+ */
+function getInviteUsage(invite) {
+    const maxUses = invite.maxUses === undefined ? 1 : invite.maxUses;
+    const useCount = invite.useCount !== undefined ? invite.useCount : (invite.usedBy ? 1 : 0);
+    return {
+        maxUses,
+        useCount,
+        remaining: maxUses === null ? null : Math.max(0, maxUses - useCount),
+    };
+}
+
+/**
+ * Add a user to a space's collaborators and to their own sharedWithMe, within a transaction
+ * Shared by invite links and direct invites
+ */
+function addCollaborator(transaction, spaceRef, { ownerId, spaceId, spaceName, userId, displayName, role }) {
+    transaction.update(spaceRef, {
+        isShared: true,
+        [`collaborators.${userId}`]: {
+            role,
+            displayName,
+            addedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+    });
+
+    transaction.set(getDb().doc(`users/${userId}`), {
+        sharedWithMe: admin.firestore.FieldValue.arrayUnion({ ownerId, spaceId, spaceName, role }),
+    }, { merge: true });
+}
+
+exports.addCollaborator = addCollaborator;
+exports.VALID_ROLES = VALID_ROLES;
+
 /**
  * Generate a random invite code (8 alphanumeric chars)
  */
@@ -35,14 +80,19 @@ exports.createInvite = functions
             throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
         }
 
-        const { spaceId, role = "viewer", expiresInDays = 7 } = data;
+        const { spaceId, role = "viewer", expiresInDays = 7, maxUses = 1 } = data;
         const userId = context.auth.uid;
 
-        // 2. Validate role
-        const validRoles = ["viewer", "editor"];
-        if (!validRoles.includes(role)) {
+        // 2. Validate role and options (maxUses null = unlimited until expiry)
+        if (!VALID_ROLES.includes(role)) {
             throw new functions.https.HttpsError("invalid-argument", "Invalid role");
         }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+            throw new functions.https.HttpsError("invalid-argument", `Uses must be from 1 to ${MAX_INVITE_USES}, or unlimited`);
+        }
+        if (typeof expiresInDays !== "number" || expiresInDays <= 0 || expiresInDays > MAX_INVITE_DAYS) {
+            throw new functions.https.HttpsError("invalid-argument", `Invites expire after at most ${MAX_INVITE_DAYS} days`);
+        }
 
         // 3. Verify user owns this space
         const spaceRef = getDb().doc(`users/${userId}/spaces/${spaceId}`);
@@ -74,12 +124,14 @@ exports.createInvite = functions
             role: role,
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             expiresAt: expiresAt,
-            usedBy: null,
+            maxUses: maxUses,
+            useCount: 0,
         });
 
         return {
             inviteCode: inviteCode,
             expiresAt: expiresAt.toISOString(),
+            maxUses: maxUses,
         };
     });
 
@@ -102,25 +154,28 @@ exports.acceptInvite = functions
             throw new functions.https.HttpsError("invalid-argument", "Invalid invite code");
         }
 
-        // 2. Get invite
         const inviteRef = getDb().doc(`invites/${inviteCode}`);
-        const inviteSnap = await inviteRef.get();
+        const joinRef = inviteRef.collection("joins").doc(userId);
 
-        if (!inviteSnap.exists) {
-            throw new functions.https.HttpsError("not-found", "Invite not found or expired");
-        }
+        // 2. Join atomically, so concurrent joins can't go over the invite's uses
+        let joined = null; // Set by the transaction's last attempt when the user joins
+        const result = await getDb().runTransaction(async (transaction) => {
+            joined = null; // An earlier attempt may have set it before being retried
+            const [inviteSnap, joinSnap] = await transaction.getAll(inviteRef, joinRef);
 
-        const invite = inviteSnap.data();
+            if (!inviteSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Invite not found or expired");
+            }
 
-        // 3. Check expiry
-        if (invite.expiresAt.toDate() < new Date()) {
-            throw new functions.https.HttpsError("failed-precondition", "Invite has expired");
-        }
+            const invite = inviteSnap.data();
+
+            // 3. Check expiry
+            if (invite.expiresAt.toDate() < new Date()) {
+                throw new functions.https.HttpsError("failed-precondition", "Invite has expired");
+            }
 
-        // 4. Check not already used
-        if (invite.usedBy) {
-            // If used by THIS user, return success (idempotent)
-            if (invite.usedBy === userId) {
+            // 4. If THIS user already joined through it, return success (idempotent)
+            if (joinSnap.exists || invite.usedBy === userId) {
                 return {
                     success: true,
                     spaceName: invite.spaceName,
@@ -128,61 +183,74 @@ exports.acceptInvite = functions
                     alreadyJoined: true,
                 };
             }
-            throw new functions.https.HttpsError("already-exists", "This invite was already used by someone else");
-        }
 
-        // 5. Can't join your own space
-        if (invite.ownerId === userId) {
-            throw new functions.https.HttpsError("invalid-argument", "Cannot join your own space");
-        }
+            // 5. Check the invite has uses left
+            const { useCount, remaining } = getInviteUsage(invite);
+            if (remaining === 0) {
+                throw new functions.https.HttpsError("resource-exhausted", "This invite has no uses left");
+            }
 
-        // 6. Check if already a collaborator
-        const spaceRef = getDb().doc(`users/${invite.ownerId}/spaces/${invite.spaceId}`);
-        const spaceSnap = await spaceRef.get();
+            // 6. Can't join your own space
+            if (invite.ownerId === userId) {
+                throw new functions.https.HttpsError("invalid-argument", "Cannot join your own space");
+            }
 
-        if (!spaceSnap.exists) {
-            throw new functions.https.HttpsError("not-found", "Space no longer exists");
-        }
+            // 7. Check if already a collaborator
+            const spaceRef = getDb().doc(`users/${invite.ownerId}/spaces/${invite.spaceId}`);
+            const spaceSnap = await transaction.get(spaceRef);
 
-        const spaceData = spaceSnap.data();
-        if (spaceData.collaborators && spaceData.collaborators[userId]) {
-            throw new functions.https.HttpsError("already-exists", "Already a collaborator");
-        }
+            if (!spaceSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Space no longer exists");
+            }
 
-        // 7. Perform all updates in a batch
-        const batch = getDb().batch();
+            const spaceData = spaceSnap.data();
+            if (spaceData.collaborators && spaceData.collaborators[userId]) {
+                throw new functions.https.HttpsError("already-exists", "Already a collaborator");
+            }
 
-        // Add user to space's collaborators
-        batch.update(spaceRef, {
-            isShared: true,
-            [`collaborators.${userId}`]: {
-                role: invite.role,
-                displayName: userDisplayName,
-                addedAt: admin.firestore.FieldValue.serverTimestamp(),
-            },
-        });
+            // 8. Perform all updates together
 
-        // Add to user's sharedWithMe array
-        const userRef = getDb().doc(`users/${userId}`);
-        batch.set(userRef, {
-            sharedWithMe: admin.firestore.FieldValue.arrayUnion({
+            // Add user to space's collaborators and to their sharedWithMe array
+            addCollaborator(transaction, spaceRef, {
                 ownerId: invite.ownerId,
                 spaceId: invite.spaceId,
                 spaceName: invite.spaceName,
+                userId,
+                displayName: userDisplayName,
                 role: invite.role,
-            }),
-        }, { merge: true });
+            });
 
-        // Mark invite as used
-        batch.update(inviteRef, { usedBy: userId });
+            // Record who joined and count the use
+            transaction.set(joinRef, {
+                displayName: userDisplayName,
+                joinedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            transaction.update(inviteRef, {
+                useCount: useCount + 1,
+            });
 
-        await batch.commit();
+            joined = invite;
+            return {
+                success: true,
+                spaceName: invite.spaceName,
+                role: invite.role,
+            };
+        });
 
-        return {
-            success: true,
-            spaceName: invite.spaceName,
-            role: invite.role,
-        };
+        // 9. Tell the owner who joined
+        if (joined) {
+            await notify([joined.ownerId], {
+                type: "joined",
+                ownerId: joined.ownerId,
+                spaceId: joined.spaceId,
+                spaceName: joined.spaceName || "",
+                actorId: userId,
+                actorName: userDisplayName,
+                role: joined.role,
+            });
+        }
+
+        return result;
     });
 
 /**
@@ -246,9 +314,80 @@ exports.revokeAccess = functions
 
         await batch.commit();
 
+        // 5. Tell the collaborator
+        await notify([targetUserId], {
+            type: "revoked",
+            ownerId,
+            spaceId,
+            spaceName: spaceData.name || "",
+            actorId: ownerId,
+            actorName: context.auth.token.name || context.auth.token.email || "The owner",
+        });
+
         return { success: true };
     });
 
+/**
+ * Change a collaborator's role in a space.
+ * Only the space owner can call this.
+ */
+exports.updateCollaboratorRole = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId, targetUserId, role } = data;
+        const ownerId = context.auth.uid;
+
+        if (!spaceId || !targetUserId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId or targetUserId");
+        }
+        if (!VALID_ROLES.includes(role)) {
+            throw new functions.https.HttpsError("invalid-argument", "Invalid role");
+        }
+
+        const spaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const targetUserRef = getDb().doc(`users/${targetUserId}`);
+
+        // 2. Update both sides atomically, so the space and sharedWithMe never disagree
+        return getDb().runTransaction(async (transaction) => {
+            const [spaceSnap, targetUserSnap] = await transaction.getAll(spaceRef, targetUserRef);
+
+            // 3. Verify caller owns this space (it lives under their uid)
+            if (!spaceSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Space not found");
+            }
+
+            const spaceData = spaceSnap.data();
+
+            // 4. Verify target is actually a collaborator
+            if (!spaceData.collaborators || !spaceData.collaborators[targetUserId]) {
+                throw new functions.https.HttpsError("not-found", "User is not a collaborator");
+            }
+
+            if (spaceData.collaborators[targetUserId].role === role) {
+                return { success: true, role };
+            }
+
+            transaction.update(spaceRef, {
+                [`collaborators.${targetUserId}.role`]: role,
+            });
+
+            // Entries are matched by space, not by value: the stored spaceName may be stale
+            const sharedWithMe = (targetUserSnap.exists && targetUserSnap.data().sharedWithMe) || [];
+            transaction.set(targetUserRef, {
+                sharedWithMe: sharedWithMe.map((shared) =>
+                    shared.ownerId === ownerId && shared.spaceId === spaceId ? { ...shared, role } : shared
+                ),
+            }, { merge: true });
+
+            return { success: true, role };
+        });
+    });
+
 /**
  * Leave a shared space (user removes themselves).
  */
@@ -317,7 +456,7 @@ exports.leaveSpace = functions
     });
 
 /**
- * List active (unused, non-expired) invites for a space.
+ * List active (non-expired, with uses left) invites for a space and who joined through them.
  * Only the space owner can call this.
  */
 exports.listInvites = functions
@@ -352,20 +491,27 @@ exports.listInvites = functions
         const now = new Date();
         const activeInvites = [];
 
-        invitesSnapshot.forEach((doc) => {
+        for (const doc of invitesSnapshot.docs) {
             const invite = doc.data();
             const expiresAt = invite.expiresAt.toDate();
+            const { maxUses, useCount, remaining } = getInviteUsage(invite);
 
-            // Only include non-expired, unused invites
-            if (!invite.usedBy && expiresAt > now) {
-                activeInvites.push({
-                    inviteCode: doc.id,
-                    role: invite.role,
-                    createdAt: invite.createdAt.toDate().toISOString(),
-                    expiresAt: expiresAt.toISOString(),
-                });
-            }
-        });
+            // Only include non-expired invites with uses left
+            if (expiresAt <= now || remaining === 0) continue;
+
+            const joinsSnapshot = await doc.ref.collection("joins").orderBy("joinedAt").get();
+
+            activeInvites.push({
+                inviteCode: doc.id,
+                role: invite.role,
+                createdAt: invite.createdAt.toDate().toISOString(),
+                expiresAt: expiresAt.toISOString(),
+                maxUses,
+                useCount,
+                remaining,
+                joinedBy: joinsSnapshot.docs.map((joinDoc) => joinDoc.data().displayName || "Unknown"),
+            });
+        }
 
         return { invites: activeInvites };
     });
@@ -402,20 +548,68 @@ exports.revokeInvite = functions
             throw new functions.https.HttpsError("permission-denied", "Not authorized");
         }
 
-        await inviteRef.delete();
+        // Deletes the join records with it
+        await getDb().recursiveDelete(inviteRef);
 
         return { success: true };
     });
 
 /**
- * Firestore trigger: Clean up invites when a space is deleted
- * Automatically removes all invites associated with the deleted space
+ * Firestore trigger: Clean up quests and invites when a space is deleted
+ * Automatically removes the quest documents and all invites of the deleted space,
+ * and tells the collaborators (unless the space was only transferred to a new owner)
  */
 exports.onSpaceDelete = functions
     .region("us-east1")
     .firestore.document("users/{userId}/spaces/{spaceId}")
     .onDelete(async (snapshot, context) => {
         const { userId, spaceId } = context.params;
+        const spaceData = snapshot.data() || {};
+
+        if (!spaceData.transferredTo) {
+            await notify(Object.keys(spaceData.collaborators || {}), {
+                type: "spaceDeleted",
+                ownerId: userId,
+                spaceId,
+                spaceName: spaceData.name || "",
+            });
+        }
+
+        // Delete the space's subcollections (they outlive their parent doc)
+        for (const subcollection of ["quests", "activity", "presence", "proposals", "comments", "clonedQuests"]) {
+            try {
+                await getDb().recursiveDelete(snapshot.ref.collection(subcollection));
+            } catch (error) {
+                console.error(`Failed to delete ${subcollection} for space ${spaceId}:`, error);
+            }
+        }
+
+        // Take down its public page
+        if (spaceData.publicToken) {
+            try {
+                await deletePublicCopy(userId, spaceData.publicToken);
+            } catch (error) {
+                console.error(`Failed to delete public page of space ${spaceId}:`, error);
+            }
+        }
+
+        // Withdraw direct invites to it, and the recipients' notifications of pending ones
+        try {
+            const directSnap = await getDb().collection("directInvites")
+                .where("ownerId", "==", userId)
+                .where("spaceId", "==", spaceId)
+                .get();
+            const batch = getDb().batch();
+            directSnap.docs.forEach((doc) => {
+                batch.delete(doc.ref);
+                if (doc.data().status === "pending") {
+                    batch.delete(getDb().doc(`users/${doc.data().toUid}/notifications/${doc.id}`));
+                }
+            });
+            if (!directSnap.empty) await batch.commit();
+        } catch (error) {
+            console.error(`Failed to delete direct invites for space ${spaceId}:`, error);
+        }
 
         try {
             // Find all invites for this space
@@ -430,13 +624,10 @@ exports.onSpaceDelete = functions
                 return null;
             }
 
-            // Delete all matching invites
-            const batch = getDb().batch();
-            invitesQuery.docs.forEach(doc => {
-                batch.delete(doc.ref);
-            });
-
-            await batch.commit();
+            // Delete all matching invites and their join records
+            for (const doc of invitesQuery.docs) {
+                await getDb().recursiveDelete(doc.ref);
+            }
             console.log(`Cleaned up ${invitesQuery.size} invite(s) for deleted space ${spaceId}`);
 
             return { deleted: invitesQuery.size };
@@ -0,0 +1,135 @@
+/**
+ * Notification Functions
+ * Events other members cause (joining through my invite, revoking my access, completing
+ * a quest assigned to me, deleting a shared space, inviting me directly) are written to the recipient's inbox
+ * in users/{userId}/notifications. Only Cloud Functions write notifications; the client
+ * reads them, marks them read and deletes them.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Notifications are removed by the TTL policy on expiresAt (firestore.indexes.json)
+const NOTIFICATION_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Newest notifications kept per user, older ones are trimmed when a new one arrives
+const MAX_NOTIFICATIONS = 100;
+
+const VALID_TYPES = ["joined", "revoked", "questCompleted", "spaceDeleted", "directInvite", "inviteDeclined"];
+
+/**
+ * Add a notification to the inbox of each user
+ * Best effort: failures are logged, never thrown, so the action that caused them still succeeds
+ * @param {string[]} userIds - Recipients
+ * @param {Object} notification - { type, ownerId, spaceId, spaceName, questId?, questName?, actorId?, actorName?, role?, inviteId? }
+ * @param {string|null} notificationId - Document ID, for notifications updated later (a direct invite's answer)
+ */
+async function notify(userIds, notification, notificationId = null) {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+    if (recipients.length === 0 || !VALID_TYPES.includes(notification.type)) return;
+
+    try {
+        const now = Date.now();
+        const batch = getDb().batch();
+        recipients.forEach((userId) => {
+            const notificationsRef = getDb().collection(`users/${userId}/notifications`);
+            batch.set(notificationId ? notificationsRef.doc(notificationId) : notificationsRef.doc(), {
+                ...notification,
+                read: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: new Date(now + NOTIFICATION_EXPIRY_MS),
+            });
+        });
+        await batch.commit();
+    } catch (error) {
+        console.error(`Failed to send ${notification.type} notification:`, error);
+        return;
+    }
+
+    for (const userId of recipients) {
+        await trimNotifications(userId);
+    }
+}
+
+/**
+ * Delete a user's notifications beyond the newest MAX_NOTIFICATIONS
+ * @param {string} userId - User ID
+ */
+async function trimNotifications(userId) {
+    try {
+        const oldSnap = await getDb().collection(`users/${userId}/notifications`)
+            .orderBy("createdAt", "desc")
+            .offset(MAX_NOTIFICATIONS)
+            .get();
+        if (oldSnap.empty) return;
+
+        const batch = getDb().batch();
+        oldSnap.docs.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+    } catch (error) {
+        console.error(`Failed to trim notifications of user ${userId}:`, error);
+    }
+}
+
+/**
+ * Display name of a member of a space: the owner's account name, or the name on the collaborator list
+ */
+async function getMemberName(ownerId, collaborators, userId) {
+    if (!userId) return "Someone";
+    if (collaborators[userId]) return collaborators[userId].displayName || "Someone";
+    if (userId !== ownerId) return "Someone";
+    try {
+        const owner = await admin.auth().getUser(ownerId);
+        return owner.displayName || (owner.email ? owner.email.split("@")[0] : "Someone");
+    } catch (error) {
+        console.error(`Failed to read the name of user ${ownerId}:`, error);
+        return "Someone";
+    }
+}
+
+exports.notify = notify;
+
+/**
+ * Firestore trigger: Tell the assignee when someone else completes their quest
+ * Completion is logged by the client that made it, as a "complete" activity entry
+ */
+exports.onActivityCreate = functions
+    .region("us-east1")
+    .firestore.document("users/{userId}/spaces/{spaceId}/activity/{entryId}")
+    .onCreate(async (snapshot, context) => {
+        const { userId, spaceId } = context.params;
+        const entry = snapshot.data();
+        if (entry.action !== "complete" || !entry.questId) return null;
+
+        const spaceRef = snapshot.ref.parent.parent;
+        const [questSnap, spaceSnap] = await getDb().getAll(
+            spaceRef.collection("quests").doc(entry.questId),
+            spaceRef
+        );
+        const assignee = questSnap.exists ? questSnap.data().assignee : null;
+        if (!assignee || !assignee.uid || assignee.uid === entry.uid) return null;
+
+        // Only members of the space hear about it
+        const spaceData = spaceSnap.exists ? spaceSnap.data() : {};
+        const collaborators = spaceData.collaborators || {};
+        const isMember = assignee.uid === userId || !!collaborators[assignee.uid];
+        if (!isMember) return null;
+
+        // Names come from the quest and the members, not from the entry its author wrote
+        await notify([assignee.uid], {
+            type: "questCompleted",
+            ownerId: userId,
+            spaceId,
+            spaceName: spaceData.name || "",
+            questId: entry.questId,
+            questName: questSnap.data().name || "Untitled",
+            actorId: entry.uid || null,
+            actorName: await getMemberName(userId, collaborators, entry.uid),
+        });
+        return null;
+    });
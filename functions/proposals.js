@@ -0,0 +1,227 @@
+/**
+ * Proposal Functions for Collaborative Spaces
+ * Helpers propose progress ("I have 4 of these"), the owner accepts or rejects it.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { addQuestProgress, isQuestDocComplete, recordContribution } = require("./sync-merge.js");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Largest amount a single proposal may add
+const MAX_PROPOSAL_AMOUNT = 1000000;
+
+// Open proposals per helper and space, so one member can't flood the owner
+const MAX_PENDING_PER_HELPER = 50;
+
+const MAX_NOTE_LENGTH = 200;
+
+// Activity entries are removed by the TTL policy on expiresAt (firestore.indexes.json)
+const ACTIVITY_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a proposal to add progress to a quest
+ * Only helpers of the space may propose
+ */
+exports.createProposal = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { ownerId, spaceId, questId, objectiveId = null, amount, note = "" } = data;
+        const userId = context.auth.uid;
+
+        // 2. Validate input
+        if (!ownerId || !spaceId || !questId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing ownerId, spaceId or questId");
+        }
+        if (!Number.isInteger(amount) || amount < 1 || amount > MAX_PROPOSAL_AMOUNT) {
+            throw new functions.https.HttpsError("invalid-argument", `Amount must be a whole number from 1 to ${MAX_PROPOSAL_AMOUNT}`);
+        }
+        if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+            throw new functions.https.HttpsError("invalid-argument", `Note must be at most ${MAX_NOTE_LENGTH} characters`);
+        }
+
+        const spaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const spaceSnap = await spaceRef.get();
+
+        if (!spaceSnap.exists) {
+            throw new functions.https.HttpsError("not-found", "Space not found");
+        }
+
+        // 3. Verify caller is a helper
+        const collaborator = (spaceSnap.data().collaborators || {})[userId];
+        if (!collaborator || collaborator.role !== "helper") {
+            throw new functions.https.HttpsError("permission-denied", "Only helpers can propose changes");
+        }
+
+        // 4. Check the quest (and objective) still exist
+        const questSnap = await spaceRef.collection("quests").doc(questId).get();
+        const quest = questSnap.exists ? questSnap.data() : null;
+
+        if (!quest || quest.list !== "items") {
+            throw new functions.https.HttpsError("not-found", "Quest not found");
+        }
+
+        // Quests tracked per member only count each member's own progress
+        const perMember = quest.perMember !== undefined ? quest.perMember : spaceSnap.data().perMemberProgress;
+        if (perMember === true) {
+            throw new functions.https.HttpsError("failed-precondition", "Everyone tracks their own progress on this quest");
+        }
+
+        const hasObjectives = quest.type === "quest" && (quest.objectives || []).length > 0;
+        const objective = objectiveId ? (quest.objectives || []).find((o) => o.id === objectiveId) : null;
+
+        if (hasObjectives ? !objective : objectiveId) {
+            throw new functions.https.HttpsError("invalid-argument", hasObjectives ? "Pick an objective" : "Quest has no objectives");
+        }
+
+        const proposalsRef = spaceRef.collection("proposals");
+        const pending = await proposalsRef
+            .where("proposedBy", "==", userId)
+            .where("status", "==", "pending")
+            .get();
+
+        if (pending.size >= MAX_PENDING_PER_HELPER) {
+            throw new functions.https.HttpsError("resource-exhausted", "Too many open proposals, wait for the owner to review them");
+        }
+
+        // 5. Store the proposal
+        const proposalRef = await proposalsRef.add({
+            type: "progress",
+            questId,
+            questName: quest.name || "Untitled",
+            objectiveId: objective ? objective.id : null,
+            objectiveName: objective ? (objective.name || "") : null,
+            amount,
+            note: note.trim(),
+            proposedBy: userId,
+            proposedByName: collaborator.displayName || "Helper",
+            proposedAt: admin.firestore.FieldValue.serverTimestamp(),
+            status: "pending",
+        });
+
+        return { proposalId: proposalRef.id };
+    });
+
+/**
+ * Accept or reject a proposal
+ * Only the space owner may resolve; accepting adds the progress to the quest
+ */
+exports.resolveProposal = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId, proposalId, accept } = data;
+        const userId = context.auth.uid;
+
+        if (!spaceId || !proposalId || typeof accept !== "boolean") {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId, proposalId or accept");
+        }
+
+        // Proposals live under the caller's own space, so only the owner reaches them
+        const spaceRef = getDb().doc(`users/${userId}/spaces/${spaceId}`);
+        const proposalRef = spaceRef.collection("proposals").doc(proposalId);
+
+        // 2. Resolve atomically, so a proposal is applied at most once
+        return getDb().runTransaction(async (transaction) => {
+            const proposalSnap = await transaction.get(proposalRef);
+
+            if (!proposalSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Proposal not found");
+            }
+
+            const proposal = proposalSnap.data();
+
+            if (proposal.status !== "pending") {
+                throw new functions.https.HttpsError("failed-precondition", `Proposal was already ${proposal.status}`);
+            }
+
+            const resolution = {
+                status: accept ? "accepted" : "rejected",
+                resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+
+            if (!accept) {
+                transaction.update(proposalRef, resolution);
+                return { status: resolution.status };
+            }
+
+            // 3. Apply the progress to the quest, up to its target as the client does
+            const questRef = spaceRef.collection("quests").doc(proposal.questId);
+            const [questSnap, spaceSnap] = await transaction.getAll(questRef, spaceRef);
+            const quest = questSnap.exists ? questSnap.data() : null;
+            const counter = quest && proposal.objectiveId
+                ? (quest.objectives || []).find((o) => o.id === proposal.objectiveId)
+                : quest;
+            const now = Date.now();
+
+            if (!quest || quest.list !== "items" || !counter) {
+                throw new functions.https.HttpsError("failed-precondition", "The quest or objective no longer exists, reject the proposal instead");
+            }
+
+            const amount = Math.max(0, Math.min(proposal.amount, (counter.target || 1) - (counter.current || 0)));
+            resolution.appliedAmount = amount;
+            transaction.update(proposalRef, resolution);
+
+            // Already at its target: accepted, but there is nothing left to add
+            if (amount === 0) {
+                return { status: resolution.status, appliedAmount: amount };
+            }
+
+            const wasComplete = isQuestDocComplete(quest);
+            addQuestProgress(quest, proposal.objectiveId, amount, now);
+
+            if (spaceSnap.exists && spaceSnap.data().trackContributions) {
+                recordContribution(quest, proposal.proposedBy, proposal.proposedByName, amount, now);
+            }
+
+            transaction.set(questRef, quest);
+
+            // 4. Credit the helper in the activity feed (a completion also tells the assignee, see onActivityCreate)
+            const entry = {
+                action: "progress",
+                uid: proposal.proposedBy,
+                name: proposal.proposedByName,
+                questId: proposal.questId,
+                questName: quest.name || "Untitled",
+                delta: amount,
+                current: counter.current || 0,
+                target: counter.target || 1,
+                createdAt: now,
+                at: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: new Date(now + ACTIVITY_EXPIRY_MS),
+            };
+            if (proposal.objectiveId) {
+                entry.objectiveId = proposal.objectiveId;
+                entry.objectiveName = counter.name || "";
+            }
+            transaction.set(spaceRef.collection("activity").doc(), entry);
+
+            if (!wasComplete && isQuestDocComplete(quest)) {
+                transaction.set(spaceRef.collection("activity").doc(), {
+                    action: "complete",
+                    uid: proposal.proposedBy,
+                    name: proposal.proposedByName,
+                    questId: proposal.questId,
+                    questName: quest.name || "Untitled",
+                    createdAt: now,
+                    at: admin.firestore.FieldValue.serverTimestamp(),
+                    expiresAt: new Date(now + ACTIVITY_EXPIRY_MS),
+                });
+            }
+
+            return { status: resolution.status, appliedAmount: amount };
+        });
+    });
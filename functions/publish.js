@@ -0,0 +1,242 @@
+/**
+ * Public Page Functions
+ * Owners can publish a space to a public, unguessable URL. Anyone can read the
+ * published copy (publicSpaces/{token}, quests in its subcollection) without
+ * signing in; it is kept up to date from the space and stripped of notes and
+ * anything else about the members.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Quests written per batch (Firestore allows 500 writes per batch)
+const WRITE_BATCH_SIZE = 400;
+
+/**
+ * Random public token, 128 bits so the URL can't be guessed
+ */
+function generatePublicToken() {
+    return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Published copy of a space document: only what the page shows
+ */
+function toPublicSpace(ownerId, spaceData) {
+    return {
+        name: spaceData.name || "Unnamed Space",
+        color: spaceData.color || "#e8b84a",
+        categories: Array.isArray(spaceData.categories) ? spaceData.categories : [],
+        ownerId,
+        publishedAt: spaceData.publishedAt || admin.firestore.FieldValue.serverTimestamp(),
+        lastModified: admin.firestore.FieldValue.serverTimestamp(),
+    };
+}
+
+/**
+ * Published copy of a quest document
+ * Notes, assignees, contributions and per-member progress stay private, and the
+ * definitions of its tags come along because tags belong to the owner, not the space.
+ */
+function toPublicQuest(questDoc, ownerTags) {
+    const tagIds = Array.isArray(questDoc.tags) ? questDoc.tags.filter((id) => typeof id === "string") : [];
+    return {
+        type: questDoc.type || "item",
+        name: questDoc.name || "Unknown",
+        imageUrl: questDoc.imageUrl || null,
+        category: questDoc.category || "Misc",
+        current: questDoc.current || 0,
+        target: questDoc.target || 1,
+        objectives: (questDoc.objectives || []).map((objective) => ({
+            id: objective.id,
+            name: objective.name || "Objective",
+            imageUrl: objective.imageUrl || null,
+            current: objective.current || 0,
+            target: objective.target || 1,
+            complete: !!objective.complete,
+        })),
+        createdAt: questDoc.createdAt || 0,
+        completedAt: questDoc.completedAt || null,
+        archivedAt: questDoc.archivedAt || null,
+        color: questDoc.color || null,
+        priority: questDoc.priority || null,
+        sortIndex: questDoc.sortIndex === undefined ? null : questDoc.sortIndex,
+        tags: tagIds,
+        tagDefs: (ownerTags || [])
+            .filter((tag) => tag && tagIds.includes(tag.id))
+            .map((tag) => ({ id: tag.id, name: tag.name || "", color: tag.color || "" })),
+        list: questDoc.list === "archivedItems" ? "archivedItems" : "items",
+    };
+}
+
+async function getOwnerTags(ownerId) {
+    const userSnap = await getDb().doc(`users/${ownerId}`).get();
+    return (userSnap.exists && userSnap.data().tags) || [];
+}
+
+/**
+ * Delete a public copy, if it is this owner's
+ */
+async function deletePublicCopy(ownerId, publicToken) {
+    const publicRef = getDb().doc(`publicSpaces/${publicToken}`);
+    const publicSnap = await publicRef.get();
+    if (!publicSnap.exists || publicSnap.data().ownerId !== ownerId) return;
+    await getDb().recursiveDelete(publicRef);
+}
+
+exports.deletePublicCopy = deletePublicCopy;
+
+/**
+ * Publish a space to a public page, or take it down again.
+ * Only the space owner can call this. Publishing an already published space
+ * refreshes its copy and keeps its URL.
+ */
+exports.publishSpace = functions
+    .region("us-east1")
+    .runWith({ timeoutSeconds: 120 })
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId, publish = true } = data;
+        const ownerId = context.auth.uid;
+
+        if (!spaceId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId");
+        }
+
+        // 2. Verify caller owns the space
+        const spaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const spaceSnap = await spaceRef.get();
+
+        if (!spaceSnap.exists) {
+            throw new functions.https.HttpsError("not-found", "Space not found");
+        }
+
+        const spaceData = spaceSnap.data();
+
+        // 3. Unpublish: delete the copy, the URL stops working right away
+        if (!publish) {
+            if (spaceData.publicToken) await deletePublicCopy(ownerId, spaceData.publicToken);
+            await spaceRef.update({
+                publicToken: admin.firestore.FieldValue.delete(),
+                publishedAt: admin.firestore.FieldValue.delete(),
+            });
+            console.log(`Space ${spaceId} of ${ownerId} unpublished`);
+            return { success: true, publicToken: null };
+        }
+
+        // Spaces still holding quest arrays are migrated by the owner's client first
+        if (Array.isArray(spaceData.items) || Array.isArray(spaceData.archivedItems)) {
+            throw new functions.https.HttpsError("failed-precondition", "Space has not been migrated to quest documents");
+        }
+
+        // 4. Mark the space first, so quest writes from now on are mirrored by onPublishedQuestWrite
+        // (a token written to the space doc by hand is only reused if its copy is this owner's)
+        let publicToken = spaceData.publicToken;
+        if (publicToken) {
+            const existingSnap = await getDb().doc(`publicSpaces/${publicToken}`).get();
+            if (existingSnap.exists && existingSnap.data().ownerId !== ownerId) publicToken = null;
+        }
+        if (!publicToken) {
+            publicToken = generatePublicToken();
+            await spaceRef.update({
+                publicToken,
+                publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+        }
+
+        // 5. Write the public copy of the space and its quests
+        const publicRef = getDb().doc(`publicSpaces/${publicToken}`);
+        await publicRef.set(toPublicSpace(ownerId, spaceData));
+
+        const [questsSnap, ownerTags] = await Promise.all([
+            spaceRef.collection("quests").get(),
+            getOwnerTags(ownerId),
+        ]);
+        for (let i = 0; i < questsSnap.docs.length; i += WRITE_BATCH_SIZE) {
+            const batch = getDb().batch();
+            questsSnap.docs.slice(i, i + WRITE_BATCH_SIZE).forEach((questSnap) => {
+                batch.set(publicRef.collection("quests").doc(questSnap.id), toPublicQuest(questSnap.data(), ownerTags));
+            });
+            await batch.commit();
+        }
+
+        console.log(`Space ${spaceId} of ${ownerId} published (${questsSnap.size} quest(s))`);
+
+        return { success: true, publicToken };
+    });
+
+/**
+ * Firestore trigger: Mirror quest changes of a published space to its public copy
+ */
+exports.onPublishedQuestWrite = functions
+    .region("us-east1")
+    .firestore.document("users/{userId}/spaces/{spaceId}/quests/{questId}")
+    .onWrite(async (change, context) => {
+        const { userId, questId } = context.params;
+
+        try {
+            const spaceSnap = await change.after.ref.parent.parent.get();
+            const publicToken = spaceSnap.exists && spaceSnap.data().publicToken;
+            if (!publicToken) return null;
+
+            // The copy must exist and be this owner's (it is gone once unpublished)
+            const publicRef = getDb().doc(`publicSpaces/${publicToken}`);
+            const publicSnap = await publicRef.get();
+            if (!publicSnap.exists || publicSnap.data().ownerId !== userId) return null;
+
+            const publicQuestRef = publicRef.collection("quests").doc(questId);
+            if (!change.after.exists) {
+                await publicQuestRef.delete();
+                return null;
+            }
+
+            const questDoc = change.after.data();
+            const ownerTags = (questDoc.tags || []).length > 0 ? await getOwnerTags(userId) : [];
+            await publicQuestRef.set(toPublicQuest(questDoc, ownerTags));
+            return null;
+        } catch (error) {
+            console.error(`Failed to update public copy of quest ${questId}:`, error);
+            return null;
+        }
+    });
+
+/**
+ * Firestore trigger: Keep the name, color and categories of a public copy current
+ * Deleting the space deletes its public copy in onSpaceDelete
+ */
+exports.onPublishedSpaceUpdate = functions
+    .region("us-east1")
+    .firestore.document("users/{userId}/spaces/{spaceId}")
+    .onUpdate(async (change, context) => {
+        const { userId, spaceId } = context.params;
+        const before = change.before.data();
+        const after = change.after.data();
+
+        // Unpublishing and first publishing are handled by publishSpace
+        if (!after.publicToken || after.publicToken !== before.publicToken) return null;
+
+        const changed = ["name", "color", "categories"].some((field) =>
+            JSON.stringify(before[field]) !== JSON.stringify(after[field])
+        );
+        if (!changed) return null;
+
+        try {
+            const publicRef = getDb().doc(`publicSpaces/${after.publicToken}`);
+            const publicSnap = await publicRef.get();
+            if (!publicSnap.exists || publicSnap.data().ownerId !== userId) return null;
+            await publicRef.set(toPublicSpace(userId, after));
+        } catch (error) {
+            console.error(`Failed to update public copy of space ${spaceId}:`, error);
+        }
+        return null;
+    });
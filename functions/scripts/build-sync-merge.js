@@ -0,0 +1,51 @@
+/**
+ * Build functions/sync-merge.js from js/sync-merge.js
+ * Cloud Functions are deployed on their own and use CommonJS, so they get a generated
+ * copy of the client's merge helpers instead of a second hand-kept one.
+ * Run with: npm run build:sync-merge (also runs before every functions deploy)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_PATH = path.join(__dirname, "..", "..", "js", "sync-merge.js");
+const TARGET_PATH = path.join(__dirname, "..", "sync-merge.js");
+
+const HEADER = `/**
+ * Sync Merge (server copy)
+ * GENERATED from js/sync-merge.js by functions/scripts/build-sync-merge.js - do not edit.
+ * Change js/sync-merge.js and run \`npm run build:sync-merge\` in functions/.
+ */
+`;
+
+/**
+ * CommonJS version of the ES module source
+ * Exports become module.exports, and string literals switch to double quotes (functions/ style)
+ * @param {string} source - Contents of js/sync-merge.js
+ * @returns {string} Contents of functions/sync-merge.js
+ */
+function buildServerCopy(source) {
+    const names = [...source.matchAll(/^export (?:const|function) (\w+)/gm)].map((match) => match[1]);
+
+    // Drop the module's doc comment, the header replaces it
+    let body = source.slice(source.indexOf("*/\n") + 3);
+    body = body.replace(/^export (const|function) /gm, "$1 ");
+    body = body.split("\n").map((line) => {
+        const trimmed = line.trimStart();
+        if (trimmed.startsWith("//") || trimmed.startsWith("*") || trimmed.startsWith("/**")) return line;
+        const commentAt = line.indexOf(" // ");
+        const code = commentAt === -1 ? line : line.slice(0, commentAt);
+        const comment = commentAt === -1 ? "" : line.slice(commentAt);
+        return code.replace(/'/g, "\"") + comment;
+    }).join("\n");
+
+    const exportList = names.map((name) => `    ${name},\n`).join("");
+    return `${HEADER}${body.replace(/\n+$/, "")}\n\nmodule.exports = {\n${exportList}};\n`;
+}
+
+if (require.main === module) {
+    fs.writeFileSync(TARGET_PATH, buildServerCopy(fs.readFileSync(SOURCE_PATH, "utf8")));
+    console.log(`Wrote ${path.relative(process.cwd(), TARGET_PATH)}`);
+}
+
+module.exports = { buildServerCopy, SOURCE_PATH, TARGET_PATH };
@@ -0,0 +1,124 @@
+/**
+ * Space Sync Functions for Collaborative Spaces
+ * Merges client changes into shared spaces atomically, server-side.
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { mergeQuestChanges, mergeTombstones, pruneTombstones, toQuestDoc, keepOthersMemberEntries } = require("./sync-merge.js");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Transaction attempts before giving up under heavy contention
+const MAX_TRANSACTION_ATTEMPTS = 10;
+
+// Quest writes per call (a transaction allows 500 writes, one is the space doc)
+const MAX_QUEST_CHANGES = 400;
+
+/**
+ * Check whether a user may change the quests of a space
+ */
+function canEditSpace(userId, ownerId, spaceData) {
+    if (userId === ownerId) return true;
+    const collaborator = spaceData.collaborators && spaceData.collaborators[userId];
+    return !!collaborator && collaborator.role === "editor";
+}
+
+/**
+ * Apply a client's change set to a space.
+ * The client sends its changed quest documents (with pending counter deltas),
+ * the IDs it deleted and its tombstones; they are merged with the stored quest
+ * documents inside a transaction, which Firestore retries if another save lands
+ * in between. Returns the quest documents as written.
+ */
+exports.applySpaceChanges = functions
+    .region("us-east1")
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { ownerId, spaceId, quests, deletedIds = [], tombstones } = data;
+        const userId = context.auth.uid;
+
+        if (!ownerId || !spaceId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing ownerId or spaceId");
+        }
+        if (!Array.isArray(quests) || !Array.isArray(deletedIds)) {
+            throw new functions.https.HttpsError("invalid-argument", "Invalid quest changes");
+        }
+        if (quests.some((quest) => !quest || typeof quest.id !== "string" || !quest.id)) {
+            throw new functions.https.HttpsError("invalid-argument", "Every quest needs an id");
+        }
+        if (quests.length + deletedIds.length > MAX_QUEST_CHANGES) {
+            throw new functions.https.HttpsError("invalid-argument", `At most ${MAX_QUEST_CHANGES} quest changes per call`);
+        }
+
+        const spaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const questsRef = spaceRef.collection("quests");
+
+        // 2. Read, merge and write atomically
+        const merged = await getDb().runTransaction(async (transaction) => {
+            const spaceSnap = await transaction.get(spaceRef);
+
+            if (!spaceSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Space not found");
+            }
+
+            const spaceData = spaceSnap.data();
+
+            // 3. Verify caller is the owner or an editor
+            if (!canEditSpace(userId, ownerId, spaceData)) {
+                throw new functions.https.HttpsError("permission-denied", "Not allowed to edit this space");
+            }
+
+            // Spaces still holding quest arrays are migrated by the owner's client first
+            if (Array.isArray(spaceData.items) || Array.isArray(spaceData.archivedItems)) {
+                throw new functions.https.HttpsError("failed-precondition", "Space has not been migrated to quest documents");
+            }
+
+            // Locked while transferOwnership copies it, changes would be lost with the old space
+            if (spaceData.transferredTo) {
+                throw new functions.https.HttpsError("aborted", "Space is being transferred to a new owner");
+            }
+
+            // 4. Merge with the stored quest documents
+            const mergedTombstones = pruneTombstones(mergeTombstones(tombstones, spaceData.tombstones));
+            const refs = [...quests.map((quest) => quest.id), ...deletedIds].map((id) => questsRef.doc(id));
+            const snaps = refs.length > 0 ? await transaction.getAll(...refs) : [];
+
+            const serverDocs = new Map();
+            snaps.forEach((snap) => {
+                if (snap.exists) serverDocs.set(snap.id, { id: snap.id, ...snap.data() });
+            });
+
+            // Editors change only their own contributions and counters (as in firestore.rules)
+            if (userId !== ownerId) {
+                quests.forEach((quest) => keepOthersMemberEntries(quest, serverDocs.get(quest.id) || null, userId));
+            }
+
+            const { upserts, deletes } = mergeQuestChanges(quests, serverDocs, deletedIds, mergedTombstones);
+
+            // 5. Write quests and space metadata
+            const written = upserts.map((quest) => toQuestDoc(quest, quest.list));
+            written.forEach((quest) => transaction.set(questsRef.doc(quest.id), quest));
+            deletes.forEach((id) => transaction.delete(questsRef.doc(id)));
+
+            transaction.update(spaceRef, {
+                tombstones: mergedTombstones,
+                lastModified: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            return { written, deletes, tombstones: mergedTombstones };
+        }, { maxAttempts: MAX_TRANSACTION_ATTEMPTS });
+
+        return {
+            quests: merged.written,
+            deletedIds: merged.deletes,
+            tombstones: merged.tombstones,
+        };
+    });
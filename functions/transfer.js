@@ -0,0 +1,276 @@
+/**
+ * Ownership Transfer Function for Collaborative Spaces
+ * Moves a space, its subcollections and its images to one of its collaborators.
+ */
+
+const crypto = require("crypto");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+
+// Lazy getter for Firestore (admin is initialized in index.js)
+function getDb() {
+    return admin.firestore();
+}
+
+// Per-user Storage limit, same as storage.rules
+const STORAGE_LIMIT_BYTES = 10 * 1024 * 1024;
+
+// Subcollections moved with the space (presence is per tab and is not worth keeping)
+const MOVED_SUBCOLLECTIONS = ["quests", "activity", "proposals", "comments", "clonedQuests"];
+
+// A transfer lock older than this was left by a transfer that crashed (the function's timeout)
+const TRANSFER_TIMEOUT_MS = 300 * 1000;
+
+/**
+ * Download URL of a Storage file, in the form the client SDK returns
+ */
+function downloadUrl(bucketName, path, token) {
+    return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+}
+
+/**
+ * Storage path of a download URL, or null for anything else
+ */
+function storagePath(url) {
+    if (typeof url !== "string" || !url.includes("firebasestorage.googleapis.com")) return null;
+    const match = url.match(/\/o\/([^?]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Copy a Storage file and return the copy's download URL
+ * The copy keeps the file's download token unless freshToken is set (a copy for someone
+ * else, whose URL must not also open the original)
+ */
+async function copyStorageFile(bucket, file, newPath, { freshToken = false } = {}) {
+    const [copy] = await file.copy(bucket.file(newPath));
+    let token = freshToken ? null : (file.metadata.metadata || {}).firebaseStorageDownloadTokens;
+    if (token) {
+        token = token.split(",")[0];
+    } else {
+        token = crypto.randomUUID();
+        await copy.setMetadata({ metadata: { firebaseStorageDownloadTokens: token } });
+    }
+    return downloadUrl(bucket.name, newPath, token);
+}
+
+/**
+ * Point the images of a quest document at their moved copies
+ */
+function rewriteImageUrls(questDoc, movedUrls) {
+    const moved = (url) => movedUrls.get(storagePath(url)) || url;
+    const rewritten = { ...questDoc };
+    if (rewritten.imageUrl) rewritten.imageUrl = moved(rewritten.imageUrl);
+    if (Array.isArray(rewritten.objectives)) {
+        rewritten.objectives = rewritten.objectives.map((objective) =>
+            objective.imageUrl ? { ...objective, imageUrl: moved(objective.imageUrl) } : objective
+        );
+    }
+    return rewritten;
+}
+
+/**
+ * Copy the images and subcollections of a locked space to the new owner
+ * @returns {Promise<Array>} The space's image files, removed once the transfer is done
+ */
+async function copySpaceContents({ bucket, ownerId, newOwnerId, spaceId, oldSpaceRef, newSpaceRef }) {
+    // Check the images fit in the new owner's storage
+    const [files] = await bucket.getFiles({ prefix: `users/${ownerId}/${spaceId}/` });
+    const totalBytes = files.reduce((sum, file) => sum + (parseInt(file.metadata.size, 10) || 0), 0);
+
+    if (totalBytes > 0) {
+        const storageSnap = await getDb().doc(`userStorage/${newOwnerId}`).get();
+        const bytesUsed = storageSnap.exists ? (storageSnap.data().bytesUsed || 0) : 0;
+        if (bytesUsed + totalBytes >= STORAGE_LIMIT_BYTES) {
+            throw new functions.https.HttpsError("resource-exhausted", "The new owner does not have enough storage for this space's images");
+        }
+    }
+
+    // Copy the images (keeping their download tokens)
+    const movedUrls = new Map(); // old path -> new download URL
+    for (const file of files) {
+        const newPath = `users/${newOwnerId}/${file.name.slice(`users/${ownerId}/`.length)}`;
+        movedUrls.set(file.name, await copyStorageFile(bucket, file, newPath));
+    }
+
+    // Copy the subcollections
+    const writer = getDb().bulkWriter();
+    for (const name of MOVED_SUBCOLLECTIONS) {
+        const snapshot = await oldSpaceRef.collection(name).get();
+        snapshot.docs.forEach((docSnap) => {
+            const docData = name === "quests" ? rewriteImageUrls(docSnap.data(), movedUrls) : docSnap.data();
+            writer.set(newSpaceRef.collection(name).doc(docSnap.id), docData);
+        });
+    }
+    await writer.close();
+
+    return files;
+}
+
+/**
+ * Undo a failed transfer: remove what was copied to the new owner (onFileDelete gives
+ * them their storage back) and unlock the old space, so it can be used and transferred again
+ */
+async function rollBackTransfer({ bucket, ownerId, newOwnerId, spaceId, oldSpaceRef, newSpaceRef }) {
+    try {
+        // Marked first (if it was created), so onSpaceDelete doesn't tell the collaborators
+        await newSpaceRef.update({ transferredTo: ownerId }).catch(() => null);
+        await getDb().recursiveDelete(newSpaceRef);
+        await bucket.deleteFiles({ prefix: `users/${newOwnerId}/${spaceId}/` });
+    } catch (error) {
+        console.error(`Failed to clean up transfer of space ${spaceId} to ${newOwnerId}:`, error);
+    }
+
+    await oldSpaceRef.update({
+        transferredTo: admin.firestore.FieldValue.delete(),
+        transferStartedAt: admin.firestore.FieldValue.delete(),
+    });
+}
+
+exports.STORAGE_LIMIT_BYTES = STORAGE_LIMIT_BYTES;
+exports.downloadUrl = downloadUrl;
+exports.storagePath = storagePath;
+exports.copyStorageFile = copyStorageFile;
+exports.rewriteImageUrls = rewriteImageUrls;
+
+/**
+ * Transfer a space to one of its collaborators.
+ * Only the space owner can call this. The previous owner can stay on as an editor.
+ *
+ * The old space is locked (transferredTo) before anything is copied, so no change made
+ * meanwhile is lost with it. Everything is copied to the new owner before anything is
+ * removed from the old one, so a failed transfer removes the copies and leaves the
+ * original space intact (and unlocked) to be retried.
+ * The new owner's userStorage is charged by onFileUpload as the images are copied.
+ */
+exports.transferOwnership = functions
+    .region("us-east1")
+    .runWith({ timeoutSeconds: 300 })
+    .https.onCall(async (data, context) => {
+        // 1. Auth check
+        if (!context.auth) {
+            throw new functions.https.HttpsError("unauthenticated", "Must be logged in");
+        }
+
+        const { spaceId, newOwnerId, keepAccess = false } = data;
+        const ownerId = context.auth.uid;
+        const ownerName = context.auth.token.name || context.auth.token.email || "Unknown";
+
+        if (!spaceId || !newOwnerId) {
+            throw new functions.https.HttpsError("invalid-argument", "Missing spaceId or newOwnerId");
+        }
+        if (newOwnerId === ownerId) {
+            throw new functions.https.HttpsError("invalid-argument", "You already own this space");
+        }
+
+        // 2. Verify caller owns the space and the new owner is a collaborator, and lock it:
+        // the rules and applySpaceChanges refuse changes from now on, so none is lost with the
+        // old space (the mark also keeps onSpaceDelete from telling the collaborators it was deleted)
+        const oldSpaceRef = getDb().doc(`users/${ownerId}/spaces/${spaceId}`);
+        const newSpaceRef = getDb().doc(`users/${newOwnerId}/spaces/${spaceId}`);
+        const spaceData = await getDb().runTransaction(async (transaction) => {
+            const [oldSpaceSnap, newSpaceSnap] = await transaction.getAll(oldSpaceRef, newSpaceRef);
+
+            if (!oldSpaceSnap.exists) {
+                throw new functions.https.HttpsError("not-found", "Space not found");
+            }
+
+            const lockedData = oldSpaceSnap.data();
+
+            if (!(lockedData.collaborators || {})[newOwnerId]) {
+                throw new functions.https.HttpsError("failed-precondition", "The new owner must be a collaborator of the space");
+            }
+            if (newSpaceSnap.exists) {
+                throw new functions.https.HttpsError("already-exists", "The new owner already has a space with this ID");
+            }
+            // A lock older than a transfer can run was left by one that crashed
+            if (lockedData.transferredTo && Date.now() - (lockedData.transferStartedAt || 0) < TRANSFER_TIMEOUT_MS) {
+                throw new functions.https.HttpsError("failed-precondition", "This space is already being transferred");
+            }
+
+            transaction.update(oldSpaceRef, { transferredTo: newOwnerId, transferStartedAt: Date.now() });
+            return lockedData;
+        });
+        const collaborators = spaceData.collaborators || {};
+
+        // If any of steps 3-5 fails, what was copied is removed again and the space unlocked
+        const bucket = admin.storage().bucket();
+        let files;
+        try {
+            // 3. Copy the images and subcollections
+            files = await copySpaceContents({ bucket, ownerId, newOwnerId, spaceId, oldSpaceRef, newSpaceRef });
+
+            // 4. Create the space under the new owner
+            // Its public page is not carried over: onSpaceDelete takes it down with the old space
+            const { publicToken, publishedAt, transferredTo, transferStartedAt, ...movedSpaceData } = spaceData;
+            const newCollaborators = { ...collaborators };
+            delete newCollaborators[newOwnerId];
+            if (keepAccess) {
+                newCollaborators[ownerId] = {
+                    role: "editor",
+                    displayName: ownerName,
+                    addedAt: admin.firestore.FieldValue.serverTimestamp(),
+                };
+            }
+
+            await newSpaceRef.set({
+                ...movedSpaceData,
+                collaborators: newCollaborators,
+                isShared: Object.keys(newCollaborators).length > 0,
+                transferredFrom: { ownerId, at: admin.firestore.FieldValue.serverTimestamp() },
+                lastModified: admin.firestore.FieldValue.serverTimestamp(),
+            });
+
+            // 5. Point everyone's sharedWithMe and the open invites at the new owner
+            const batch = getDb().batch();
+            const isOldEntry = (shared) => shared.ownerId === ownerId && shared.spaceId === spaceId;
+            const userIds = Object.keys(collaborators);
+            const userSnaps = await getDb().getAll(...userIds.map((id) => getDb().doc(`users/${id}`)));
+
+            userSnaps.forEach((userSnap, index) => {
+                const userId = userIds[index];
+                const sharedWithMe = (userSnap.exists && userSnap.data().sharedWithMe) || [];
+                batch.set(userSnap.ref, {
+                    sharedWithMe: userId === newOwnerId
+                        ? sharedWithMe.filter((shared) => !isOldEntry(shared))
+                        : sharedWithMe.map((shared) => isOldEntry(shared) ? { ...shared, ownerId: newOwnerId } : shared),
+                }, { merge: true });
+            });
+
+            if (keepAccess) {
+                batch.set(getDb().doc(`users/${ownerId}`), {
+                    sharedWithMe: admin.firestore.FieldValue.arrayUnion({
+                        ownerId: newOwnerId,
+                        spaceId,
+                        spaceName: spaceData.name,
+                        role: "editor",
+                    }),
+                }, { merge: true });
+            }
+
+            const invitesQuery = await getDb().collection("invites")
+                .where("ownerId", "==", ownerId)
+                .where("spaceId", "==", spaceId)
+                .get();
+            invitesQuery.docs.forEach((inviteDoc) => batch.update(inviteDoc.ref, { ownerId: newOwnerId }));
+
+            await batch.commit();
+        } catch (error) {
+            await rollBackTransfer({ bucket, ownerId, newOwnerId, spaceId, oldSpaceRef, newSpaceRef });
+            throw error;
+        }
+
+        // 6. Remove the old space (onSpaceDelete clears its subcollections) and its images
+        await oldSpaceRef.delete();
+        for (const file of files) {
+            try {
+                await file.delete();
+            } catch (error) {
+                console.error(`Failed to delete ${file.name} after transfer:`, error);
+            }
+        }
+
+        console.log(`Space ${spaceId} transferred from ${ownerId} to ${newOwnerId} (${files.length} image(s))`);
+
+        return { success: true, ownerId: newOwnerId, spaceId };
+    });
@@ -0,0 +1,348 @@
+/**
+ * Activity Module
+ * Records who changed what in collaborative spaces, and shows it in a side panel
+ * Entries are kept in an "activity" subcollection of the space
+ */
+
+import { state } from './state.js';
+import { escapeHtml, getTimeAgo } from './utils.js';
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+// Quick repeated changes to the same quest are sent as one entry
+const FLUSH_DELAY_MS = 3000;
+const FEED_LIMIT = 100;
+const MAX_BATCH_WRITES = 450;
+// Entries are removed by the TTL policy on expiresAt (firestore.indexes.json)
+const EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+const FIELD_LABELS = {
+    name: 'name',
+    notes: 'notes',
+    target: 'goal',
+    category: 'category',
+    assignee: 'assignee',
+    perMember: 'progress mode'
+};
+
+// DOM elements
+let elements = {
+    activityPanel: null,
+    activityList: null,
+    activityMemberFilter: null,
+    activityActionFilter: null,
+    btnActivity: null
+};
+
+// Callback references (set via init)
+let showQuestCallback = null;
+
+let pending = []; // Entries waiting to be written
+let flushTimer = null;
+let feed = { key: null, entries: [], unsubscribe: null };
+
+/**
+ * Initialize activity module
+ */
+export function initActivity(domElements, callbacks = {}) {
+    elements = { ...elements, ...domElements };
+    if (callbacks.showQuest) showQuestCallback = callbacks.showQuest;
+    // Best effort: don't lose the last few seconds of activity when the tab closes
+    window.addEventListener('pagehide', flushActivity);
+}
+
+// -------------------------------------------------------------------------
+// Entries
+// -------------------------------------------------------------------------
+
+/**
+ * Build an activity entry
+ * @param {string} action - 'progress', 'complete', 'edit', 'archive' or 'delete'
+ * @param {Object} item - Quest the change applies to
+ * @param {Object} details - { objective, delta, field }
+ * @returns {Object} Entry (without the author)
+ */
+export function createActivityEntry(action, item, details = {}) {
+    const { objective, delta, field } = details;
+    const target = objective || item;
+    const entry = {
+        action,
+        questId: item.id,
+        questName: item.name || 'Untitled',
+        createdAt: Date.now()
+    };
+    if (objective) {
+        entry.objectiveId = objective.id;
+        entry.objectiveName = objective.name || '';
+    }
+    if (delta !== undefined) {
+        entry.delta = delta;
+        entry.current = target.current || 0;
+        entry.target = target.target || 1;
+    }
+    if (field) entry.field = field;
+    return entry;
+}
+
+/**
+ * Add an entry to a queue, folding it into the previous one when it continues it
+ * (the same author moving the same counter, or editing the same field)
+ * @param {Array} queue - Pending entries (mutated)
+ * @param {Object} entry - New entry
+ */
+export function queueActivityEntry(queue, entry) {
+    const last = queue[queue.length - 1];
+    const continues = last && last.spaceKey === entry.spaceKey && last.uid === entry.uid &&
+        last.action === entry.action && last.questId === entry.questId &&
+        (last.objectiveId || null) === (entry.objectiveId || null) &&
+        (entry.action === 'progress' || (entry.action === 'edit' && last.field === entry.field));
+
+    if (!continues) {
+        queue.push(entry);
+        return;
+    }
+
+    if (entry.action === 'progress') {
+        last.delta += entry.delta;
+        last.current = entry.current;
+        last.target = entry.target;
+    }
+    last.questName = entry.questName;
+    last.createdAt = entry.createdAt;
+}
+
+/**
+ * One-line description of an entry, e.g. "Alex +3 Rusted Gear (5/10)"
+ * @param {Object} entry - Activity entry
+ * @returns {string}
+ */
+export function describeActivity(entry) {
+    const who = entry.name || 'Someone';
+    const quest = entry.objectiveName ? `${entry.questName} › ${entry.objectiveName}` : entry.questName;
+
+    switch (entry.action) {
+        case 'progress': {
+            const sign = entry.delta > 0 ? '+' : '−';
+            return `${who} ${sign}${Math.abs(entry.delta)} ${quest} (${entry.current}/${entry.target})`;
+        }
+        case 'complete':
+            return `${who} completed ${quest}`;
+        case 'edit':
+            return `${who} changed the ${FIELD_LABELS[entry.field] || entry.field} of ${quest}`;
+        case 'archive':
+            return `${who} archived ${quest}`;
+        case 'delete':
+            return `${who} deleted ${quest}`;
+        default:
+            return `${who} updated ${quest}`;
+    }
+}
+
+/**
+ * Entries matching the panel filters
+ * @param {Array} entries - Activity entries
+ * @param {Object} filters - { uid, action } ('' = any)
+ * @returns {Array}
+ */
+export function filterActivity(entries, filters = {}) {
+    return entries.filter(entry =>
+        (!filters.uid || entry.uid === filters.uid) &&
+        (!filters.action || entry.action === filters.action));
+}
+
+// -------------------------------------------------------------------------
+// Recording
+// -------------------------------------------------------------------------
+
+/**
+ * Record a change to a quest of a collaborative space
+ * Does nothing for personal spaces or when signed out
+ * @param {Object} space - Space the quest belongs to
+ * @param {string} action - 'progress', 'complete', 'edit', 'archive' or 'delete'
+ * @param {Object} item - Quest
+ * @param {Object} details - { objective, delta, field }
+ */
+export function recordActivity(space, action, item, details = {}) {
+    const user = window.FirebaseBridge?.currentUser;
+    if (!user || !space || !item || !isCollaborative(space)) return;
+    if (action === 'progress' && !details.delta) return;
+
+    const entry = createActivityEntry(action, item, details);
+    entry.uid = user.uid;
+    entry.name = user.displayName || user.email?.split('@')[0] || 'Someone';
+    entry.spaceKey = spaceKey(space, user.uid);
+    queueActivityEntry(pending, entry);
+
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = setTimeout(flushActivity, FLUSH_DELAY_MS);
+}
+
+/**
+ * Write pending entries now
+ */
+export async function flushActivity() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    const db = window.FirebaseBridge?.getDb?.();
+    if (pending.length === 0 || !db) return;
+
+    // Changes that cancelled out (+1 then -1) aren't worth a line
+    const entries = pending.filter(entry => entry.action !== 'progress' || entry.delta !== 0);
+    pending = [];
+
+    try {
+        const { collection, doc, writeBatch, serverTimestamp } = await import(FIRESTORE_URL);
+        for (let i = 0; i < entries.length; i += MAX_BATCH_WRITES) {
+            const batch = writeBatch(db);
+            for (const { spaceKey: key, ...entry } of entries.slice(i, i + MAX_BATCH_WRITES)) {
+                const [ownerId, spaceId] = key.split('/');
+                const ref = doc(collection(db, 'users', ownerId, 'spaces', spaceId, 'activity'));
+                batch.set(ref, { ...entry, at: serverTimestamp(), expiresAt: new Date(Date.now() + EXPIRY_MS) });
+            }
+            await batch.commit();
+        }
+    } catch (e) {
+        console.warn('Could not record activity:', e.message);
+    }
+}
+
+// -------------------------------------------------------------------------
+// Panel
+// -------------------------------------------------------------------------
+
+/**
+ * Show the activity button only in collaborative spaces, and follow the active space while open
+ */
+export function updateActivityPanel() {
+    const space = getActiveSpace();
+    const available = !!window.FirebaseBridge?.currentUser && !!space && isCollaborative(space);
+    elements.btnActivity?.classList.toggle('hidden', !available);
+
+    if (!isPanelOpen()) return;
+    if (!available) {
+        closeActivityPanel();
+        return;
+    }
+    subscribe(space);
+}
+
+export function toggleActivityPanel() {
+    if (isPanelOpen()) closeActivityPanel();
+    else openActivityPanel();
+}
+
+export function openActivityPanel() {
+    const space = getActiveSpace();
+    if (!elements.activityPanel || !space || !isCollaborative(space)) return;
+    elements.activityPanel.classList.remove('hidden');
+    subscribe(space);
+    renderActivity();
+}
+
+export function closeActivityPanel() {
+    elements.activityPanel?.classList.add('hidden');
+    unsubscribe();
+}
+
+function isPanelOpen() {
+    return !!elements.activityPanel && !elements.activityPanel.classList.contains('hidden');
+}
+
+async function subscribe(space) {
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!user || !db) return;
+
+    const key = spaceKey(space, user.uid);
+    if (feed.key === key) return;
+    unsubscribe();
+    feed.key = key;
+
+    const { collection, query, orderBy, limit, onSnapshot } = await import(FIRESTORE_URL);
+    if (feed.key !== key) return; // Switched again while loading
+
+    const [ownerId, spaceId] = key.split('/');
+    const activityQuery = query(
+        collection(db, 'users', ownerId, 'spaces', spaceId, 'activity'),
+        orderBy('at', 'desc'),
+        limit(FEED_LIMIT)
+    );
+
+    feed.unsubscribe = onSnapshot(activityQuery, (snapshot) => {
+        feed.entries = snapshot.docs.map(docSnap => {
+            const data = docSnap.data({ serverTimestamps: 'estimate' });
+            return { ...data, id: docSnap.id, at: data.at?.toMillis?.() || data.createdAt || 0 };
+        });
+        renderActivity();
+    }, (error) => {
+        console.warn('Activity listener error:', error.message);
+    });
+}
+
+function unsubscribe() {
+    feed.unsubscribe?.();
+    feed = { key: null, entries: [], unsubscribe: null };
+}
+
+/**
+ * Render the feed with the selected filters
+ */
+export function renderActivity() {
+    if (!elements.activityList) return;
+
+    // Member filter lists everyone who appears in the feed
+    const memberFilter = elements.activityMemberFilter;
+    if (memberFilter) {
+        const selected = memberFilter.value;
+        const members = new Map(feed.entries.map(entry => [entry.uid, entry.name]));
+        memberFilter.innerHTML = '<option value="">Everyone</option>' + [...members]
+            .map(([uid, name]) => `<option value="${escapeHtml(uid)}">${escapeHtml(name || 'Someone')}</option>`)
+            .join('');
+        memberFilter.value = members.has(selected) ? selected : '';
+    }
+
+    const entries = filterActivity(feed.entries, {
+        uid: memberFilter?.value || '',
+        action: elements.activityActionFilter?.value || ''
+    });
+
+    if (entries.length === 0) {
+        elements.activityList.innerHTML = '<div class="activity-empty">No activity yet.</div>';
+        return;
+    }
+
+    elements.activityList.innerHTML = entries.map(entry => `
+        <button type="button" class="activity-entry activity-${escapeHtml(entry.action)}" data-quest-id="${escapeHtml(entry.questId)}">
+            <span class="activity-text">${escapeHtml(describeActivity(entry))}</span>
+            <span class="activity-time">${getTimeAgo(entry.at)}</span>
+        </button>
+    `).join('');
+}
+
+/**
+ * Handle clicks in the feed: jump to the quest card
+ * @param {Event} e - Click event
+ */
+export function handleActivityClick(e) {
+    const entry = e.target.closest('.activity-entry');
+    if (!entry || !showQuestCallback) return;
+    showQuestCallback(entry.dataset.questId);
+}
+
+// -------------------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------------------
+
+function getActiveSpace() {
+    return (state.spaces || []).find(s => s.id === state.activeSpaceId);
+}
+
+function isCollaborative(space) {
+    return space.isOwned === false || Object.keys(space.collaborators || {}).length > 0;
+}
+
+function spaceKey(space, uid) {
+    return `${space.isOwned === false ? space.ownerId : uid}/${space.id}`;
+}
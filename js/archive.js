@@ -3,10 +3,12 @@
  * Handles archive panel functionality
  */
 
-import { state, isViewOnly } from './state.js';
+import { state, isViewOnly, getActiveSpace } from './state.js';
 import { $, escapeHtml, getTimeAgo } from './utils.js';
 import { saveState } from './storage.js';
 import { showConfirm } from './popup.js';
+import { recordTombstone, setItemField, resetContributions, resetMemberProgress } from './sync-merge.js';
+import { recordActivity } from './activity.js';
 
 // Callback references
 let insertItemIntoDOMCallback = null;
@@ -70,6 +72,8 @@ export function archiveItem(itemId) {
     item.archivedAt = Date.now();
     archivedItems.unshift(item);
     items.splice(itemIndex, 1);
+    recordTombstone(targetSpace || getActiveSpace(), 'items', itemId, item.archivedAt);
+    recordActivity(targetSpace || getActiveSpace(), 'archive', item);
     const spaceId = targetSpace ? targetSpace.id : state.activeSpaceId;
     saveState(spaceId);
 
@@ -99,20 +103,27 @@ export function restoreItem(itemId) {
 
     const item = state.archivedItems[itemIndex];
     delete item.archivedAt;
+    item.restoredAt = Date.now();
     // Reset progress to allow re-tracking
     if (item.type === 'item') {
-        item.current = 0;
+        setItemField(item, 'current', 0);
     } else if (item.objectives) {
         item.objectives.forEach(obj => {
-            obj.current = 0;
+            setItemField(item, 'current', 0, obj);
             obj.complete = false;
         });
     }
-    item.completedAt = null;
+    setItemField(item, 'completedAt', null);
+    // Members of someone else's space reset only their own credit and counters
+    const space = getActiveSpace();
+    const onlyUid = space?.isOwned === false ? window.FirebaseBridge?.currentUser?.uid || null : null;
+    resetContributions(item, item.restoredAt, onlyUid);
+    resetMemberProgress(item, item.restoredAt, onlyUid);
 
     if (!state.items) state.items = [];
     state.items.push(item);
     if (state.archivedItems) state.archivedItems.splice(itemIndex, 1);
+    recordTombstone(space, 'archivedItems', itemId, item.restoredAt);
     saveState(); // active space
 
     if (insertItemIntoDOMCallback) insertItemIntoDOMCallback(item);
@@ -134,7 +145,8 @@ export function deleteArchivedItem(itemId) {
     // Note: Images stay in 'items' folder even when archived, so use 'items' prefix
     if (window.FirebaseBridge?.currentUser && item.imageUrl) {
         if (window.FirebaseBridge.isStorageUrl(item.imageUrl)) {
-            window.FirebaseBridge.deleteItemImages(state.activeSpaceId, item.id, 'items')
+            window.FirebaseBridge.deleteItemImages(state.activeSpaceId, item.id, 'items',
+                window.FirebaseBridge.spaceOwnerId(getActiveSpace()))
                 .then(async result => {
                     if (result.success && result.deletedCount > 0) {
                         console.log(`🗑️ Cleaned up ${result.deletedCount} storage file(s) for deleted archived item`);
@@ -151,6 +163,7 @@ export function deleteArchivedItem(itemId) {
     }
 
     state.archivedItems.splice(itemIndex, 1);
+    recordTombstone(getActiveSpace(), 'archivedItems', itemId);
     saveState(); // active space
     renderArchive();
 }
@@ -175,7 +188,8 @@ export async function deleteAllArchived() {
         if (itemsWithStorageImages.length > 0) {
             Promise.all(
                 itemsWithStorageImages.map(item =>
-                    window.FirebaseBridge.deleteItemImages(state.activeSpaceId, item.id, 'items')
+                    window.FirebaseBridge.deleteItemImages(state.activeSpaceId, item.id, 'items',
+                        window.FirebaseBridge.spaceOwnerId(getActiveSpace()))
                 )
             ).then(async results => {
                 const totalDeleted = results.reduce((sum, r) => sum + (r.deletedCount || 0), 0);
@@ -192,6 +206,8 @@ export async function deleteAllArchived() {
         }
     }
 
+    const deletedAt = Date.now();
+    state.archivedItems.forEach(item => recordTombstone(getActiveSpace(), 'archivedItems', item.id, deletedAt));
     state.archivedItems = [];
     saveState();
     renderArchive();
@@ -0,0 +1,93 @@
+/**
+ * Assignees Module
+ * Quests of a collaborative space can be assigned to one of its members ("I'll take it")
+ * The assignee ({ uid, name }) is a stamped quest field, so it merges like any other field
+ */
+
+import { state, getActiveSpace, isViewOnly } from './state.js';
+import { escapeHtml } from './utils.js';
+import { saveState } from './storage.js';
+import { setItemField } from './sync-merge.js';
+import { recordActivity } from './activity.js';
+import { renderAvatar } from './presence.js';
+
+/**
+ * Whether quests of a space can be assigned (it has, or belongs to, other members)
+ * @param {Object} space - Space object
+ * @returns {boolean}
+ */
+export function canAssign(space) {
+    return !!space && (space.isOwned === false || Object.keys(space.collaborators || {}).length > 0);
+}
+
+/**
+ * People a quest of the space can be assigned to: the owner, then the collaborators by name
+ * @param {Object} space - Space object
+ * @returns {Array} [{ uid, name }]
+ */
+export function getSpaceMembers(space) {
+    if (!space) return [];
+    const me = window.FirebaseBridge?.currentUser;
+    const owner = space.isOwned === false
+        ? { uid: space.ownerId, name: 'Owner' }
+        : { uid: me?.uid, name: myName(me) };
+
+    const collaborators = Object.entries(space.collaborators || {})
+        .map(([uid, collaborator]) => ({ uid, name: collaborator.displayName || 'Member' }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return [owner, ...collaborators].filter(member => member.uid);
+}
+
+/**
+ * Whether a quest is assigned to the signed-in user
+ * @param {Object} item - Quest item
+ * @returns {boolean}
+ */
+export function isAssignedToMe(item) {
+    const uid = window.FirebaseBridge?.currentUser?.uid;
+    return !!uid && item.assignee?.uid === uid;
+}
+
+/**
+ * Assign a quest of the active space, or clear its assignee
+ * @param {string} itemId - Quest ID
+ * @param {Object|null} member - { uid, name } from getSpaceMembers(), null to unassign
+ */
+export function assignQuest(itemId, member) {
+    const space = getActiveSpace();
+    const item = (state.items || []).find(i => i.id === itemId);
+    if (!item || !canAssign(space) || isViewOnly()) return;
+    if ((item.assignee?.uid || null) === (member?.uid || null)) return;
+
+    setItemField(item, 'assignee', member ? { uid: member.uid, name: member.name } : null);
+    recordActivity(space, 'edit', item, { field: 'assignee' });
+    saveState();
+
+    document.dispatchEvent(new CustomEvent('render-app'));
+}
+
+/**
+ * Assign a quest of the active space to the signed-in user
+ * @param {string} itemId - Quest ID
+ */
+export function claimQuest(itemId) {
+    const me = window.FirebaseBridge?.currentUser;
+    if (!me) return;
+    assignQuest(itemId, { uid: me.uid, name: myName(me) });
+}
+
+/**
+ * Avatar of a quest's assignee, for the card tags
+ * @param {Object} item - Quest item
+ * @returns {string} HTML
+ */
+export function renderAssignee(item) {
+    if (!item.assignee?.uid) return '';
+    const label = isAssignedToMe(item) ? 'you' : item.assignee.name;
+    return `<span class="quest-assignee" title="Assigned to ${escapeHtml(label)}">${renderAvatar(item.assignee)}</span>`;
+}
+
+function myName(user) {
+    return user?.displayName || user?.email?.split('@')[0] || 'Member';
+}
@@ -4,11 +4,20 @@
  */
 
 import { state, STORAGE_KEY, syncActiveSpace } from './state.js';
-import { $, $$ } from './utils.js';
-import { saveState, loadState, updateLastSyncedDisplay, updateStorageDisplay, startSyncTimeInterval } from './storage.js';
+import { $, $$, escapeHtml } from './utils.js';
+import { saveState, saveStateLocal, loadState, updateLastSyncedDisplay, updateStorageDisplay, startSyncTimeInterval } from './storage.js';
+import { showToast } from './popup.js';
 import { sortItems } from './utils.js';
 import { syncManager } from './sync-manager.js';
 import { CURRENT_POLICY_VERSION } from './firebase-bridge.js';
+import {
+    ITEM_LISTS, mergeSpaceLists, mergeTombstones, applyQuestChanges,
+    collectPendingDeltas, takePendingDeltas, addPendingDeltas
+} from './sync-merge.js';
+import { detectConflicts, updateConflictIndicator } from './conflicts.js';
+import { isLeaderTab, broadcast, broadcastState } from './tab-sync.js';
+import { startPresence, stopPresence } from './presence.js';
+import { startNotifications, stopNotifications } from './notifications.js';
 
 // Callbacks
 let renderCallback = null;
@@ -168,6 +177,10 @@ export async function updateAuthUI(user) {
         // Load cloud data via SyncManager
         const result = await syncManager.load();
 
+        // Changes queued while offline (or in a tab closed before they synced) go on top of cloud data
+        // (the leader tab replays them; other tabs receive the result over the tab channel)
+        const replayed = result.success && isLeaderTab() && await syncManager.replayOutbox(result.state);
+
         if (result.success && result.state) {
             // Apply cloud state
             state.spaces = result.state.spaces;
@@ -194,6 +207,19 @@ export async function updateAuthUI(user) {
             handleRealtimeUpdate(data);
         });
         syncManager.onStatusChange(updateSyncStatusUI);
+        syncManager.onPendingCountChange(updatePendingCountUI);
+        syncManager.onStatusChange(shareSyncStatus);
+        syncManager.onPendingCountChange(shareSyncStatus);
+        syncManager.refreshPendingCount();
+        window.addEventListener('online', handleConnectionRestored);
+
+        if (replayed) {
+            syncManager.save(state);
+            broadcastState(state);
+        }
+
+        startPresence(user);
+        startNotifications(user);
 
         startSyncTimeInterval();
 
@@ -213,18 +239,109 @@ export async function updateAuthUI(user) {
         if (elements.userDropdown) elements.userDropdown.classList.add('hidden');
 
         syncManager.stop();
+        stopPresence();
+        stopNotifications();
+        window.removeEventListener('online', handleConnectionRestored);
+        updatePendingCountUI(0);
     }
 }
 
 /**
- * Update sync status UI indicator
+ * Handle a message from another open tab
  */
-export function updateSyncStatusUI(status) {
+export function handleTabMessage(message) {
+    if (message.type === 'state' && message.state) {
+        handleRealtimeUpdate({ type: 'tabState', state: message.state });
+    }
+
+    // Followers show the leader's sync status
+    if (message.type === 'syncStatus' && !isLeaderTab()) {
+        updateSyncStatusUI(message.status, message.lastError);
+        updatePendingCountUI(message.pendingCount);
+        if (message.lastSyncTime && window.FirebaseBridge) {
+            window.FirebaseBridge.lastSyncTime = message.lastSyncTime;
+        }
+        updateLastSyncedDisplay();
+    }
+
+    // "Retry now" pressed in a follower tab
+    if (message.type === 'retrySync' && isLeaderTab()) {
+        syncManager.retryNow();
+    }
+}
+
+/**
+ * Retry a failed cloud save now (the leader tab does the saving)
+ */
+export function handleRetrySync() {
+    if (isLeaderTab()) syncManager.retryNow();
+    else broadcast('retrySync');
+}
+
+/**
+ * Take over cloud sync when the previous leader tab closes
+ */
+export function handleLeadershipChange(isLeader) {
+    if (!isLeader || !window.FirebaseBridge?.currentUser) return;
+    syncManager.start();
+    syncManager.save(state);
+}
+
+/**
+ * Let follower tabs mirror this tab's sync status
+ */
+function shareSyncStatus() {
+    if (!isLeaderTab()) return;
+    broadcast('syncStatus', {
+        status: syncManager.status,
+        pendingCount: syncManager.pendingCount,
+        lastError: syncManager.lastError,
+        lastSyncTime: window.FirebaseBridge?.lastSyncTime || null
+    });
+}
+
+/**
+ * Push queued changes as soon as the connection comes back
+ */
+function handleConnectionRestored() {
+    if (syncManager.pendingCount > 0 || syncManager.lastError) {
+        SyncLog.info(`Back online, sending ${syncManager.pendingCount} pending change(s)`);
+        syncManager.save(state);
+    }
+}
+
+/**
+ * Show the number of changes waiting to be synced in the status bar
+ */
+export function updatePendingCountUI(count) {
+    if (elements.statusPending) elements.statusPending.textContent = count;
+    elements.statusPendingItem?.classList.toggle('hidden', !count);
+}
+
+/**
+ * Update sync status UI indicator, with the reason and a retry action after a failed save
+ * @param {string} status - Sync status
+ * @param {Object} lastError - Failure details (defaults to this tab's)
+ */
+export function updateSyncStatusUI(status, lastError = syncManager.lastError) {
     const syncStatus = elements.syncStatus;
     if (!syncStatus) return;
 
-    syncStatus.classList.remove('syncing', 'synced', 'error');
+    syncStatus.classList.remove('syncing', 'synced', 'error', 'offline');
     syncStatus.classList.add(status);
+
+    const failed = (status === 'error' || status === 'offline') && !!lastError;
+    elements.syncError?.classList.toggle('hidden', !failed);
+    if (!failed || !elements.syncErrorMessage) return;
+
+    let message = lastError.message;
+    if (lastError.nextRetryAt) {
+        const seconds = Math.max(1, Math.round((lastError.nextRetryAt - Date.now()) / 1000));
+        message += ` Retrying in ${seconds}s.`;
+    } else if (lastError.retryable && lastError.code !== 'offline') {
+        message += ' Stopped retrying.';
+    }
+    elements.syncErrorMessage.textContent = message;
 }
 
 /**
@@ -432,6 +549,8 @@ export async function handleDeleteAccount() {
     showToast('Deleting account...');
     const { cleanupSharedSpaces } = await import('./sharing.js');
     await cleanupSharedSpaces(state.spaces);
+    const { leaveDirectory } = await import('./directory.js');
+    await leaveDirectory();
 
     const result = await window.FirebaseBridge.deleteAccount();
     if (result.success) {
@@ -477,19 +596,20 @@ function handleRealtimeUpdate(data) {
                 incomingSpace._localModified = localSpace._localModified;
                 incomingSpace._lastSyncedLocal = localSpace._lastSyncedLocal;
 
-                // Compare timestamps
-                const incomingTime = incomingSpace._cloudTimestamp || 0;
-                const localTime = localSpace._localModified || localSpace._cloudTimestamp || 0;
-
-                if (localTime > incomingTime) {
-                    SyncLog.debug(`Keeping local version of "${localSpace.name}" (local edit is newer)`);
-                    return { ...localSpace, isOwned: true };
-                } else if (localTime < incomingTime) {
-                    SyncLog.info(`Updating "${localSpace.name}" from server (server is newer)`);
+                if (hasUnsyncedChanges(localSpace)) {
+                    // Keep local settings, merge quests field by field (pending saves merge again server-side)
+                    SyncLog.debug(`Merging server changes into local edits of "${localSpace.name}"`);
+                    return {
+                        ...localSpace,
+                        ...mergeIncomingQuests(localSpace, incomingSpace),
+                        _cloudTimestamp: incomingSpace._cloudTimestamp,
+                        isOwned: true
+                    };
                 }
+                SyncLog.info(`Updating "${localSpace.name}" from server`);
             }
 
-            return { ...incomingSpace, isOwned: true };
+            return { ...carryOverQuests(incomingSpace, localSpace), isOwned: true };
         });
 
         state.spaces = [...mergedOwnedSpaces, ...sharedSpaces];
@@ -509,33 +629,113 @@ function handleRealtimeUpdate(data) {
 
         if (existingIndex >= 0) {
             const existingSpace = state.spaces[existingIndex];
-            const isViewer = existingSpace.myRole === 'viewer';
+            const isViewer = existingSpace.myRole !== 'editor';
+
+            carryOverQuests(incomingSpace, existingSpace);
 
             if (isViewer) {
-                // Viewers always accept incoming data
+                // Viewers and helpers always accept incoming data
                 state.spaces[existingIndex] = incomingSpace;
             } else {
-                // Editors use timestamp comparison
+                // Editors merge unsaved local edits into the incoming version
                 // Preserve sync markers
                 incomingSpace._localModified = existingSpace._localModified;
                 incomingSpace._lastSyncedLocal = existingSpace._lastSyncedLocal;
 
-                const incomingTime = incomingSpace._cloudTimestamp || 0;
-                const localTime = existingSpace._localModified || existingSpace._cloudTimestamp || 0;
-
-                if (incomingTime >= localTime) {
-                    state.spaces[existingIndex] = incomingSpace;
+                if (hasUnsyncedChanges(existingSpace)) {
+                    Object.assign(incomingSpace, mergeIncomingQuests(existingSpace, incomingSpace));
                 }
+                state.spaces[existingIndex] = incomingSpace;
             }
         } else {
             // New shared space
             if (!state.spaces) state.spaces = [];
-            state.spaces.push(incomingSpace);
+            state.spaces.push(carryOverQuests(incomingSpace, null));
         }
 
         syncActiveSpace();
     }
 
+    // Handle state shared by another tab (each change is broadcast as it's made)
+    if (data.type === 'tabState') {
+        applyTabState(data.state);
+        // Edits made in follower tabs are saved by the leader
+        syncManager.save(state);
+    }
+
+    // Handle per-quest changes (quests are stored as documents in a subcollection)
+    if (data.type === 'questChanges') {
+        const isOwn = data.ownerId === window.FirebaseBridge?.currentUser?.uid;
+        const space = (state.spaces || []).find(s => s.id === data.spaceId &&
+            (isOwn ? s.isOwned !== false : s.ownerId === data.ownerId));
+
+        if (space) {
+            // Unsaved local edits are merged in, otherwise the server copy wins
+            const keepLocalEdits = hasUnsyncedChanges(space);
+            if (keepLocalEdits) {
+                detectConflicts(space, data.ownerId, data.changes
+                    .filter(change => change.type !== 'removed')
+                    .map(change => ({ local: findLocalQuest(space, change.id), server: change.quest })));
+            }
+            applyQuestChanges(space, data.changes, keepLocalEdits);
+            syncActiveSpace();
+        }
+    }
+
+    // Shared space deleted by its owner, or our access was revoked
+    if (data.type === 'sharedSpaceRemoved') {
+        const space = (state.spaces || []).find(s => s.isOwned === false &&
+            s.id === data.spaceId && s.ownerId === data.ownerId);
+
+        if (space) {
+            state.spaces = state.spaces.filter(s => s !== space);
+            state.conflicts = (state.conflicts || []).filter(c => !(c.ownerId === data.ownerId && c.spaceId === data.spaceId));
+            updateConflictIndicator();
+            // A transferred space comes back under the same ID, so stay on it
+            if (state.activeSpaceId === space.id && data.reason !== 'transferred') {
+                state.activeSpaceId = state.spaces[0]?.id;
+            }
+            syncActiveSpace();
+            saveStateLocal();
+
+            // Leaving on purpose already removed it locally (and said so)
+            if (!space._leaving) {
+                const name = escapeHtml(space.name || data.spaceName || 'A shared space');
+                const isMine = data.newOwnerId === window.FirebaseBridge?.currentUser?.uid;
+                const notices = {
+                    deleted: `"${name}" was deleted by its owner`,
+                    transferred: isMine ? `"${name}" is now yours` : `"${name}" has a new owner`
+                };
+                showToast(notices[data.reason] || `Your access to "${name}" was removed`, 5000);
+            }
+        }
+    }
+
+    // Owner changed our role in a shared space
+    if (data.type === 'sharedRoleChange') {
+        const space = (state.spaces || []).find(s => s.isOwned === false &&
+            s.id === data.spaceId && s.ownerId === data.ownerId);
+
+        if (space && space.myRole !== data.role) {
+            space.myRole = data.role;
+            syncActiveSpace();
+            showToast(`You are now ${data.role === 'editor' ? 'an editor' : `a ${escapeHtml(data.role)}`} in "${escapeHtml(space.name)}"`, 4000);
+        }
+    }
+
+    // Conflicts found while merging our own save with someone else's edits
+    if (data.type === 'conflicts') {
+        const isOwn = data.ownerId === window.FirebaseBridge?.currentUser?.uid;
+        const space = (state.spaces || []).find(s => s.id === data.spaceId &&
+            (isOwn ? s.isOwned !== false : s.ownerId === data.ownerId));
+        if (space) detectConflicts(space, data.ownerId, data.pairs);
+    }
+
+    // Cloud changes are received by the leader tab only, pass them on
+    if (data.type !== 'tabState' && isLeaderTab()) {
+        broadcastState(state);
+    }
+
     // Render updates
     if (renderCallback) renderCallback();
     if (renderArchiveCallback) renderArchiveCallback();
@@ -548,6 +748,95 @@ function handleRealtimeUpdate(data) {
     updateLastSyncedDisplay();
 }
 
+/**
+ * Adopt state from another tab, keeping anything changed more recently here
+ */
+function applyTabState(incoming) {
+    const localSpaces = state.spaces || [];
+    // Counter deltas are handed to the leader, which sends them with its saves (see broadcastState)
+    const keepsDeltas = isLeaderTab();
+
+    state.spaces = (incoming.spaces || []).map(incomingSpace => {
+        const handedDeltas = takePendingDeltas(incomingSpace);
+        const localSpace = localSpaces.find(s => s.id === incomingSpace.id &&
+            (s.isOwned === false) === (incomingSpace.isOwned === false) &&
+            s.ownerId === incomingSpace.ownerId);
+
+        let space = incomingSpace;
+        if (localSpace && (localSpace._localModified || 0) > (incomingSpace._localModified || 0)) {
+            space = localSpace;
+        } else if (localSpace) {
+            // Sync markers and unsent deltas belong to the tab that syncs
+            ['_lastSyncedLocal', '_syncingTimestamp'].forEach(marker => {
+                if (localSpace[marker] === undefined) delete incomingSpace[marker];
+                else incomingSpace[marker] = localSpace[marker];
+            });
+            addPendingDeltas(incomingSpace, collectPendingDeltas(localSpace));
+        }
+
+        if (keepsDeltas) addPendingDeltas(space, handedDeltas);
+        return space;
+    });
+
+    if ((incoming._localModified || 0) >= (state._localModified || 0)) {
+        ['tags', 'shiftAmount', 'ctrlAmount', 'autoArchive', '_localModified'].forEach(field => {
+            if (incoming[field] !== undefined) state[field] = incoming[field];
+        });
+    }
+    // Conflicts are found by the leader and resolved in any tab
+    if (Array.isArray(incoming.conflicts)) {
+        state.conflicts = incoming.conflicts;
+        updateConflictIndicator();
+    }
+
+    if (!state.spaces.some(s => s.id === state.activeSpaceId)) {
+        state.activeSpaceId = state.spaces[0]?.id;
+    }
+    syncActiveSpace();
+}
+
+/**
+ * Space documents only carry quests in the old array layout; otherwise keep the local quests,
+ * which are kept up to date by quest document changes
+ */
+function carryOverQuests(incomingSpace, localSpace) {
+    if (!Array.isArray(incomingSpace.items)) incomingSpace.items = localSpace?.items || [];
+    if (!Array.isArray(incomingSpace.archivedItems)) incomingSpace.archivedItems = localSpace?.archivedItems || [];
+    return incomingSpace;
+}
+
+/**
+ * Merge an incoming space document into a space with unsaved local edits
+ * @returns {Object} { items, archivedItems, tombstones }
+ */
+function mergeIncomingQuests(localSpace, incomingSpace) {
+    if (Array.isArray(incomingSpace.items) || Array.isArray(incomingSpace.archivedItems)) {
+        const ownerId = localSpace.isOwned === false ? localSpace.ownerId : window.FirebaseBridge?.currentUser?.uid;
+        detectConflicts(localSpace, ownerId, ITEM_LISTS.flatMap(list => (incomingSpace[list] || [])
+            .map(server => ({ local: findLocalQuest(localSpace, server.id), server }))));
+        return mergeSpaceLists(localSpace, incomingSpace);
+    }
+    return {
+        items: localSpace.items || [],
+        archivedItems: localSpace.archivedItems || [],
+        tombstones: mergeTombstones(localSpace.tombstones, incomingSpace.tombstones)
+    };
+}
+
+/**
+ * Find a quest in either list of a space
+ */
+function findLocalQuest(space, questId) {
+    return ITEM_LISTS.flatMap(list => space[list] || []).find(item => item.id === questId) || null;
+}
+
+/**
+ * Check whether a space has local edits the server hasn't confirmed yet
+ */
+function hasUnsyncedChanges(space) {
+    return (space._localModified || 0) > (space._lastSyncedLocal || 0);
+}
+
 /**
  * Check if user's accepted policy version is current
  * Shows policy update modal if outdated
@@ -693,5 +982,45 @@ export async function handleChangeName() {
         console.error('Failed to change name:', error);
         const { showAlert } = await import('./popup.js');
         showAlert('Failed to update name.', 'ERROR');
+        return;
+    }
+
+    await changeDirectoryUsername(displayName);
+}
+
+/**
+ * Second step of changing names: the opt-in username in the player directory,
+ * which lets other players find and invite this user
+ * @param {string} displayName - The (new) display name, shown next to the username
+ */
+async function changeDirectoryUsername(displayName) {
+    const { showPrompt, showAlert, showToast } = await import('./popup.js');
+    const { getMyProfile, saveDirectoryProfile } = await import('./directory.js');
+
+    let profile = null;
+    try {
+        profile = await getMyProfile();
+    } catch (error) {
+        console.warn('Could not load directory profile:', error);
+        return;
+    }
+
+    const current = profile?.username || '';
+    const answer = await showPrompt(
+        'Username in the player directory, so others can find you and invite you to their spaces. Leave empty to stay unlisted.',
+        'PLAYER DIRECTORY',
+        current
+    );
+
+    // Cancelled: keep the username, but the listed name still follows the display name
+    const username = answer === null ? current : answer.trim().toLowerCase().replace(/^@/, '');
+    if (!username && !profile) return;
+    if (username === current && profile?.displayName === displayName) return;
+
+    const result = await saveDirectoryProfile(username, displayName);
+    if (!result.success) {
+        showAlert(result.error || 'Failed to update your username.', 'ERROR');
+        return;
     }
+    if (username !== current) showToast(username ? `Listed as @${username}` : 'Removed from the directory');
 }
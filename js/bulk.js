@@ -3,9 +3,11 @@
  * Multi-select mode for mass archive/delete
  */
 
-import { state, selectedItems, clearSelectedItems, addSelectedItem, removeSelectedItem, setBulkMode, bulkMode, isViewOnly } from './state.js';
+import { state, selectedItems, clearSelectedItems, addSelectedItem, removeSelectedItem, setBulkMode, bulkMode, isViewOnly, getActiveSpace } from './state.js';
 import { $$ } from './utils.js';
 import { saveState } from './storage.js';
+import { recordTombstone } from './sync-merge.js';
+import { recordActivity } from './activity.js';
 
 // DOM elements
 let elements = {
@@ -98,6 +100,8 @@ export function bulkArchiveItems() {
         if (itemIndex !== -1) {
             const [archivedItem] = state.items.splice(itemIndex, 1);
             archivedItem.archivedAt = Date.now();
+            recordTombstone(getActiveSpace(), 'items', itemId, archivedItem.archivedAt);
+            recordActivity(getActiveSpace(), 'archive', archivedItem);
             if (!state.archivedItems) state.archivedItems = [];
             state.archivedItems.push(archivedItem);
         }
@@ -126,11 +130,17 @@ export function bulkDeleteItems() {
             // Check if item has storage images to delete
             if (window.FirebaseBridge?.currentUser && item.imageUrl) {
                 if (window.FirebaseBridge.isStorageUrl(item.imageUrl)) {
-                    itemsWithStorageImages.push({ id: item.id, spaceId: state.activeSpaceId });
+                    itemsWithStorageImages.push({
+                        id: item.id,
+                        spaceId: state.activeSpaceId,
+                        ownerId: window.FirebaseBridge.spaceOwnerId(getActiveSpace())
+                    });
                 }
             }
 
             state.items.splice(itemIndex, 1);
+            recordTombstone(getActiveSpace(), 'items', itemId);
+            recordActivity(getActiveSpace(), 'delete', item);
         }
     });
 
@@ -138,7 +148,7 @@ export function bulkDeleteItems() {
     if (itemsWithStorageImages.length > 0) {
         Promise.all(
             itemsWithStorageImages.map(item =>
-                window.FirebaseBridge.deleteItemImages(item.spaceId, item.id, 'items')
+                window.FirebaseBridge.deleteItemImages(item.spaceId, item.id, 'items', item.ownerId)
             )
         ).then(async results => {
             const totalDeleted = results.reduce((sum, r) => sum + (r.deletedCount || 0), 0);
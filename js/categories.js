@@ -6,6 +6,7 @@
 import { elements } from './elements.js';
 import { state } from './state.js';
 import { saveState } from './storage.js';
+import { setItemField } from './sync-merge.js';
 import { escapeHtml, $$ } from './utils.js';
 import { showAlert, showConfirm } from './popup.js';
 
@@ -123,7 +124,7 @@ function deleteCategory(category) {
     let itemsUpdated = false;
     (state.items || []).forEach(item => {
         if (item.category === category) {
-            item.category = 'Misc';
+            setItemField(item, 'category', 'Misc');
             itemsUpdated = true;
         }
     });
@@ -0,0 +1,312 @@
+/**
+ * Comments Module
+ * Members of a collaborative space discuss a quest in a comment thread, instead of
+ * overwriting each other in the shared notes field
+ * Comments are kept in a "comments" subcollection of the space, apart from the quests;
+ * only their author may edit or delete them (see firestore.rules)
+ */
+
+import { state } from './state.js';
+import { escapeHtml, getTimeAgo } from './utils.js';
+import { showConfirm, showPrompt, showAlert } from './popup.js';
+import { renderAvatar } from './presence.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Comments');
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+// Must match the limit in firestore.rules
+const MAX_COMMENT_LENGTH = 1000;
+const FEED_LIMIT = 1000;
+
+// DOM elements
+let elements = {
+    questContainer: null,
+    modalComments: null,
+    commentsQuestName: null,
+    commentsList: null,
+    commentForm: null,
+    commentInput: null,
+    btnPostComment: null
+};
+
+let feed = { key: null, comments: [], unsubscribe: null };
+let openQuestId = null; // Quest whose thread is shown in the modal
+
+/**
+ * Initialize comments module
+ */
+export function initComments(domElements) {
+    elements = { ...elements, ...domElements };
+}
+
+// -------------------------------------------------------------------------
+// Listening
+// -------------------------------------------------------------------------
+
+/**
+ * Follow the comments of the active space and show their count on its cards
+ * Cheap when nothing changed, so it runs on every render
+ */
+export function updateComments() {
+    const space = getActiveSpace();
+    const user = window.FirebaseBridge?.currentUser;
+    if (user && space && isCollaborative(space)) subscribe(space, user);
+    else unsubscribe();
+    updateCommentsUI();
+}
+
+async function subscribe(space, user) {
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db) return;
+
+    const key = spaceKey(space, user.uid);
+    if (feed.key === key) return;
+    unsubscribe();
+    feed.key = key;
+
+    const { collection, query, orderBy, limit, onSnapshot } = await import(FIRESTORE_URL);
+    if (feed.key !== key) return; // Switched again while loading
+
+    const [ownerId, spaceId] = key.split('/');
+    const commentsQuery = query(
+        collection(db, 'users', ownerId, 'spaces', spaceId, 'comments'),
+        orderBy('createdAt', 'desc'),
+        limit(FEED_LIMIT)
+    );
+
+    feed.unsubscribe = onSnapshot(commentsQuery, (snapshot) => {
+        feed.comments = snapshot.docs
+            .map(docSnap => {
+                const data = docSnap.data({ serverTimestamps: 'estimate' });
+                return {
+                    ...data,
+                    id: docSnap.id,
+                    createdAt: data.createdAt?.toMillis?.() || 0,
+                    editedAt: data.editedAt?.toMillis?.() || null
+                };
+            })
+            .reverse();
+        updateCommentsUI();
+        renderThread();
+    }, (error) => {
+        log.warn('Comments listener error', error.message);
+    });
+}
+
+function unsubscribe() {
+    if (!feed.key) return;
+    feed.unsubscribe?.();
+    feed = { key: null, comments: [], unsubscribe: null };
+    if (openQuestId) closeCommentsModal();
+}
+
+// -------------------------------------------------------------------------
+// Cards
+// -------------------------------------------------------------------------
+
+/**
+ * Put a comment count badge on the cards of the active space
+ */
+export function updateCommentsUI() {
+    const container = elements.questContainer;
+    if (!container) return;
+
+    container.querySelectorAll('.comment-badge').forEach(el => el.remove());
+
+    const space = getActiveSpace();
+    if (!space || !feed.key) return;
+
+    const counts = new Map();
+    for (const comment of feed.comments) {
+        counts.set(comment.questId, (counts.get(comment.questId) || 0) + 1);
+    }
+
+    const canComment = canCommentIn(space);
+    container.querySelectorAll('.quest-card').forEach(card => {
+        const tags = card.querySelector('.quest-tags');
+        const count = counts.get(card.dataset.id) || 0;
+        if (!tags || (count === 0 && !canComment)) return;
+
+        tags.insertAdjacentHTML('beforeend', `
+            <button type="button" class="comment-badge ${count === 0 ? 'empty' : ''}" data-action="open-comments" title="${count === 0 ? 'Start a thread' : `${count} comment${count === 1 ? '' : 's'}`}">
+                💬${count > 0 ? ` ${count}` : ''}
+            </button>
+        `);
+    });
+}
+
+// -------------------------------------------------------------------------
+// Thread
+// -------------------------------------------------------------------------
+
+/**
+ * Open the comment thread of a quest of the active space
+ * @param {string} questId - Quest ID
+ */
+export function openCommentsModal(questId) {
+    const space = getActiveSpace();
+    const item = (space?.items || []).find(i => i.id === questId);
+    if (!item || !elements.modalComments) return;
+
+    openQuestId = questId;
+    if (elements.commentsQuestName) elements.commentsQuestName.textContent = item.name || 'Untitled';
+    const canComment = canCommentIn(space);
+    elements.commentForm?.classList.toggle('hidden', !canComment);
+    elements.btnPostComment?.classList.toggle('hidden', !canComment);
+    if (elements.commentInput) elements.commentInput.value = '';
+
+    renderThread();
+    elements.modalComments.classList.remove('hidden');
+    elements.commentInput?.focus();
+}
+
+function closeCommentsModal() {
+    openQuestId = null;
+    elements.modalComments?.classList.add('hidden');
+}
+
+function renderThread() {
+    if (!openQuestId || !elements.commentsList) return;
+    const uid = window.FirebaseBridge?.currentUser?.uid;
+    const comments = feed.comments.filter(comment => comment.questId === openQuestId);
+    // Authors who became viewers keep their comments but can no longer change them
+    const space = getActiveSpace();
+    const canChangeOwn = !!space && canCommentIn(space);
+
+    if (comments.length === 0) {
+        elements.commentsList.innerHTML = '<div class="comments-empty">No comments yet.</div>';
+        return;
+    }
+
+    elements.commentsList.innerHTML = comments.map(comment => `
+        <div class="comment" data-comment-id="${escapeHtml(comment.id)}">
+            <div class="comment-header">
+                ${renderAvatar({ uid: comment.authorId, name: comment.authorName })}
+                <strong class="comment-author">${escapeHtml(comment.authorName || 'Someone')}</strong>
+                <span class="comment-time">${getTimeAgo(comment.createdAt)}${comment.editedAt ? ' · edited' : ''}</span>
+                ${comment.authorId === uid && canChangeOwn ? `
+                    <button type="button" class="btn-comment" data-comment-action="edit" title="Edit">EDIT</button>
+                    <button type="button" class="btn-comment danger" data-comment-action="delete" title="Delete">DELETE</button>
+                ` : ''}
+            </div>
+            <p class="comment-text">${escapeHtml(comment.text)}</p>
+        </div>
+    `).join('');
+    elements.commentsList.scrollTop = elements.commentsList.scrollHeight;
+}
+
+/**
+ * Handle edit/delete clicks in the thread
+ * @param {Event} e - Click event
+ */
+export function handleCommentsClick(e) {
+    const button = e.target.closest('[data-comment-action]');
+    const commentId = button?.closest('[data-comment-id]')?.dataset.commentId;
+    if (!commentId) return;
+
+    if (button.dataset.commentAction === 'edit') editComment(commentId);
+    else deleteComment(commentId);
+}
+
+// -------------------------------------------------------------------------
+// Writing
+// -------------------------------------------------------------------------
+
+/**
+ * Post the text of the comment box to the open thread
+ */
+export async function postComment() {
+    const space = getActiveSpace();
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    const text = elements.commentInput?.value.trim() || '';
+    if (!openQuestId || !space || !user || !db || !text) return;
+
+    if (text.length > MAX_COMMENT_LENGTH) {
+        showAlert(`Comments can be at most ${MAX_COMMENT_LENGTH} characters.`, 'COMMENT');
+        return;
+    }
+
+    const button = elements.btnPostComment;
+    if (button) button.disabled = true;
+
+    try {
+        const { collection, addDoc, serverTimestamp } = await import(FIRESTORE_URL);
+        const [ownerId, spaceId] = spaceKey(space, user.uid).split('/');
+        await addDoc(collection(db, 'users', ownerId, 'spaces', spaceId, 'comments'), {
+            questId: openQuestId,
+            text,
+            authorId: user.uid,
+            authorName: user.displayName || user.email?.split('@')[0] || 'Someone',
+            createdAt: serverTimestamp(),
+            editedAt: null
+        });
+        if (elements.commentInput) elements.commentInput.value = '';
+    } catch (error) {
+        log.error('Failed to post comment', error.message);
+        showAlert(error.message || 'Failed to post comment.', 'ERROR');
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+async function editComment(commentId) {
+    const comment = feed.comments.find(c => c.id === commentId);
+    if (!comment) return;
+
+    const text = (await showPrompt('Edit your comment:', 'EDIT COMMENT', comment.text))?.trim();
+    if (!text || text === comment.text) return;
+    if (text.length > MAX_COMMENT_LENGTH) {
+        showAlert(`Comments can be at most ${MAX_COMMENT_LENGTH} characters.`, 'COMMENT');
+        return;
+    }
+
+    try {
+        const { doc, updateDoc, serverTimestamp } = await import(FIRESTORE_URL);
+        await updateDoc(commentRef(doc, commentId), { text, editedAt: serverTimestamp() });
+    } catch (error) {
+        log.error('Failed to edit comment', error.message);
+        showAlert(error.message || 'Failed to edit comment.', 'ERROR');
+    }
+}
+
+async function deleteComment(commentId) {
+    const confirmed = await showConfirm('Delete this comment?', 'DELETE COMMENT', true);
+    if (!confirmed) return;
+
+    try {
+        const { doc, deleteDoc } = await import(FIRESTORE_URL);
+        await deleteDoc(commentRef(doc, commentId));
+    } catch (error) {
+        log.error('Failed to delete comment', error.message);
+        showAlert(error.message || 'Failed to delete comment.', 'ERROR');
+    }
+}
+
+// -------------------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------------------
+
+function commentRef(doc, commentId) {
+    const [ownerId, spaceId] = feed.key.split('/');
+    return doc(window.FirebaseBridge.getDb(), 'users', ownerId, 'spaces', spaceId, 'comments', commentId);
+}
+
+function getActiveSpace() {
+    return (state.spaces || []).find(s => s.id === state.activeSpaceId);
+}
+
+function isCollaborative(space) {
+    return space.isOwned === false || Object.keys(space.collaborators || {}).length > 0;
+}
+
+// Viewers can read the threads but not take part
+function canCommentIn(space) {
+    return space.isOwned !== false || space.myRole !== 'viewer';
+}
+
+function spaceKey(space, uid) {
+    return `${space.isOwned === false ? space.ownerId : uid}/${space.id}`;
+}
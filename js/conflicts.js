@@ -0,0 +1,311 @@
+/**
+ * Conflicts Module
+ * Keeps track of quests edited here and elsewhere before they synced,
+ * and lets the user pick which version of each field to keep
+ */
+
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+import { saveState, saveStateLocal } from './storage.js';
+import { ITEM_LISTS, setItemField, toServerItems, findQuestConflicts } from './sync-merge.js';
+
+// DOM elements
+let elements = {
+    modalConflicts: null,
+    conflictsList: null,
+    statusConflicts: null,
+    statusConflictsCount: null
+};
+
+// Callback references (set via init)
+let renderCallback = null;
+let renderArchiveCallback = null;
+
+const FIELD_LABELS = {
+    name: 'Name',
+    notes: 'Notes',
+    tags: 'Tags',
+    target: 'Target',
+    category: 'Category',
+    priority: 'Priority'
+};
+
+/**
+ * Initialize conflicts module
+ */
+export function initConflicts(domElements, callbacks = {}) {
+    elements = { ...elements, ...domElements };
+    if (callbacks.render) renderCallback = callbacks.render;
+    if (callbacks.renderArchive) renderArchiveCallback = callbacks.renderArchive;
+    updateConflictIndicator();
+}
+
+// -------------------------------------------------------------------------
+// Detection
+// -------------------------------------------------------------------------
+
+/**
+ * Record conflicts between local quests with unsynced edits and their incoming versions
+ * Call before the incoming versions are merged in
+ * @param {Object} space - Local space
+ * @param {string} ownerId - Owner of the space
+ * @param {Array} pairs - [{ local, server }] versions of the same quest
+ * @returns {number} Number of quests with conflicts
+ */
+export function detectConflicts(space, ownerId, pairs) {
+    const since = space._lastSyncedLocal || 0;
+    let found = 0;
+
+    for (const { local, server } of pairs) {
+        if (!local || !server) continue;
+        const fields = findQuestConflicts(local, server, since);
+        if (fields.length === 0) continue;
+        recordConflict(space, ownerId, local, server, fields);
+        found++;
+    }
+
+    if (found > 0) {
+        saveStateLocal();
+        updateConflictIndicator();
+    }
+    return found;
+}
+
+function recordConflict(space, ownerId, local, server, fields) {
+    if (!state.conflicts) state.conflicts = [];
+    const id = `${ownerId}/${space.id}/${local.id}`;
+    const existing = state.conflicts.find(c => c.id === id);
+    const [mine, theirs] = toServerItems([local, server]);
+
+    if (existing) {
+        // Keep earlier unresolved fields, refresh the versions
+        const keys = new Set(fields.map(conflictKey));
+        existing.fields = [...existing.fields.filter(f => !keys.has(conflictKey(f))), ...fields];
+        existing.mine = mine;
+        existing.theirs = theirs;
+        existing.detectedAt = Date.now();
+        return;
+    }
+
+    state.conflicts.push({
+        id,
+        ownerId,
+        spaceId: space.id,
+        questId: local.id,
+        spaceName: space.name,
+        detectedAt: Date.now(),
+        mine,
+        theirs,
+        fields
+    });
+}
+
+function conflictKey(conflict) {
+    return conflict.objectiveId ? `${conflict.objectiveId}.${conflict.field}` : conflict.field;
+}
+
+// -------------------------------------------------------------------------
+// UI
+// -------------------------------------------------------------------------
+
+/**
+ * Show the number of unresolved conflicts in the status bar
+ */
+export function updateConflictIndicator() {
+    const count = (state.conflicts || []).length;
+    if (elements.statusConflictsCount) elements.statusConflictsCount.textContent = count;
+    elements.statusConflicts?.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Open the conflicts modal
+ */
+export function openConflictsModal() {
+    if (!elements.modalConflicts) return;
+
+    // Close all other modals first
+    document.querySelectorAll('.modal:not(.hidden)').forEach(modal => {
+        modal.classList.add('hidden');
+    });
+
+    renderConflicts();
+    elements.modalConflicts.classList.remove('hidden');
+}
+
+/**
+ * Render the list of unresolved conflicts
+ */
+export function renderConflicts() {
+    if (!elements.conflictsList) return;
+    const conflicts = state.conflicts || [];
+
+    if (conflicts.length === 0) {
+        elements.conflictsList.innerHTML = '<div class="conflicts-empty">No conflicts. Everything is in sync.</div>';
+        return;
+    }
+
+    elements.conflictsList.innerHTML = conflicts.map(renderConflictCard).join('');
+}
+
+function renderConflictCard(conflict) {
+    const { mine, theirs } = conflict;
+    const conflicting = new Map(conflict.fields.map(f => [conflictKey(f), f]));
+
+    const rows = [
+        diffRow(conflict, 'name', 'Name', mine.name, theirs.name, conflicting),
+        diffRow(conflict, 'progress', 'Progress', formatProgress(mine), formatProgress(theirs), conflicting),
+        diffRow(conflict, 'notes', 'Notes', mine.notes, theirs.notes, conflicting),
+        diffRow(conflict, 'tags', 'Tags', formatTags(mine.tags), formatTags(theirs.tags), conflicting)
+    ];
+
+    // Remaining conflicting fields (category, target, priority, objectives)
+    for (const field of conflict.fields) {
+        if (['name', 'notes', 'tags'].includes(field.field) && !field.objectiveId) continue;
+        const label = field.objectiveId
+            ? `Objective "${objectiveName(conflict, field.objectiveId)}" ${FIELD_LABELS[field.field]?.toLowerCase() || field.field}`
+            : FIELD_LABELS[field.field] || field.field;
+        rows.push(diffRow(conflict, conflictKey(field), label, field.mine, field.theirs, conflicting));
+    }
+
+    if ((mine.objectives || []).length > 0 || (theirs.objectives || []).length > 0) {
+        rows.push(diffRow(conflict, 'objectives', 'Objectives', formatObjectives(mine), formatObjectives(theirs), conflicting));
+    }
+
+    return `
+        <div class="conflict-card" data-conflict-id="${escapeHtml(conflict.id)}">
+            <div class="conflict-header">
+                <span class="conflict-quest-name">${escapeHtml(mine.name || theirs.name || 'Untitled')}</span>
+                <span class="conflict-space">${escapeHtml(conflict.spaceName || '')}</span>
+            </div>
+            <table class="conflict-diff">
+                <thead><tr><th></th><th>MINE</th><th>THEIRS</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <div class="conflict-actions">
+                <button type="button" class="btn btn-secondary" data-action="keep-mine">KEEP MINE</button>
+                <button type="button" class="btn btn-secondary" data-action="keep-theirs">KEEP THEIRS</button>
+                <button type="button" class="btn btn-primary" data-action="apply">APPLY SELECTION</button>
+            </div>
+        </div>
+    `;
+}
+
+function diffRow(conflict, key, label, mineValue, theirsValue, conflicting) {
+    const cell = (value) => escapeHtml(formatValue(value));
+
+    if (!conflicting.has(key)) {
+        return `<tr><th>${escapeHtml(label)}</th><td>${cell(mineValue)}</td><td>${cell(theirsValue)}</td></tr>`;
+    }
+
+    // Newest edit is preselected: that's what the merge applied
+    const field = conflicting.get(key);
+    const mineStamp = stampOf(conflict.mine, field);
+    const theirsStamp = stampOf(conflict.theirs, field);
+    const name = `${conflict.id}:${key}`;
+    return `
+        <tr class="conflicting">
+            <th>${escapeHtml(label)}</th>
+            <td><label><input type="radio" name="${escapeHtml(name)}" value="mine" data-key="${escapeHtml(key)}" ${mineStamp >= theirsStamp ? 'checked' : ''}> ${cell(mineValue)}</label></td>
+            <td><label><input type="radio" name="${escapeHtml(name)}" value="theirs" data-key="${escapeHtml(key)}" ${mineStamp < theirsStamp ? 'checked' : ''}> ${cell(theirsValue)}</label></td>
+        </tr>
+    `;
+}
+
+function stampOf(item, field) {
+    const record = field.objectiveId
+        ? (item.objectives || []).find(o => o.id === field.objectiveId)
+        : item;
+    return record?.fieldStamps?.[field.field] || 0;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return value.join(', ') || '—';
+    return String(value);
+}
+
+function formatProgress(item) {
+    if (item.type === 'quest' && (item.objectives || []).length > 0) {
+        const done = item.objectives.filter(o => (o.current || 0) >= (o.target || 1)).length;
+        return `${done}/${item.objectives.length} objectives`;
+    }
+    return `${item.current || 0}/${item.target || 1}`;
+}
+
+function formatTags(tagIds) {
+    const tags = state.tags || [];
+    return (tagIds || []).map(id => tags.find(t => t.id === id)?.name || id);
+}
+
+function formatObjectives(item) {
+    return (item.objectives || []).map(o => `${o.name} ${o.current || 0}/${o.target || 1}`);
+}
+
+function objectiveName(conflict, objectiveId) {
+    const find = (item) => (item.objectives || []).find(o => o.id === objectiveId);
+    return find(conflict.mine)?.name || find(conflict.theirs)?.name || objectiveId;
+}
+
+// -------------------------------------------------------------------------
+// Resolution
+// -------------------------------------------------------------------------
+
+/**
+ * Handle clicks on conflict card actions
+ * @param {Event} e - Click event
+ */
+export function handleConflictAction(e) {
+    const button = e.target.closest('[data-action]');
+    const card = e.target.closest('.conflict-card');
+    if (!button || !card) return;
+
+    const conflict = (state.conflicts || []).find(c => c.id === card.dataset.conflictId);
+    if (!conflict) return;
+
+    const choices = {};
+    for (const field of conflict.fields) {
+        const key = conflictKey(field);
+        if (button.dataset.action === 'keep-mine') choices[key] = 'mine';
+        else if (button.dataset.action === 'keep-theirs') choices[key] = 'theirs';
+        else {
+            const checked = card.querySelector(`input[data-key="${CSS.escape(key)}"]:checked`);
+            choices[key] = checked?.value || 'mine';
+        }
+    }
+
+    resolveConflict(conflict, choices);
+}
+
+/**
+ * Apply the chosen version of each conflicting field and drop the conflict
+ * Choices are stamped now, so they win the next merge everywhere
+ * @param {Object} conflict - Recorded conflict
+ * @param {Object} choices - Conflict key -> 'mine' | 'theirs'
+ */
+export function resolveConflict(conflict, choices) {
+    const space = (state.spaces || []).find(s => s.id === conflict.spaceId &&
+        (s.isOwned === false ? s.ownerId === conflict.ownerId : true));
+    const item = space && ITEM_LISTS.flatMap(list => space[list] || []).find(i => i.id === conflict.questId);
+
+    if (item) {
+        const now = Date.now();
+        for (const field of conflict.fields) {
+            const value = choices[conflictKey(field)] === 'theirs' ? field.theirs : field.mine;
+            const objective = field.objectiveId
+                ? (item.objectives || []).find(o => o.id === field.objectiveId)
+                : null;
+            if (field.objectiveId && !objective) continue;
+            setItemField(item, field.field, value, objective, now);
+        }
+    }
+
+    state.conflicts = (state.conflicts || []).filter(c => c.id !== conflict.id);
+
+    if (item) saveState(space.id);
+    else saveStateLocal(); // Quest or space is gone, nothing left to resolve
+
+    updateConflictIndicator();
+    renderConflicts();
+    if (renderCallback) renderCallback();
+    if (renderArchiveCallback) renderArchiveCallback();
+}
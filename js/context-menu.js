@@ -3,9 +3,15 @@
  * Custom right-click context menus for spaces and quests
  */
 
-import { state } from './state.js';
-import { $ } from './utils.js';
-import { showConfirm } from './popup.js';
+import { state, getActiveSpace, isViewOnly } from './state.js';
+import { $, escapeHtml, isPerMemberItem } from './utils.js';
+import { showConfirm, showToast } from './popup.js';
+import { copyToClipboard, cloneSharedSpace, pullSourceQuests } from './sharing.js';
+import { canAssign, getSpaceMembers, isAssignedToMe, assignQuest, claimQuest } from './assignees.js';
+import { getProgressScope, setQuestPerMember } from './member-progress.js';
+
+const ASSIGN_ICON = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>';
+const MEMBERS_ICON = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>';
 
 // Module state
 let contextMenuTarget = null;
@@ -48,7 +54,7 @@ export function showContextMenu(e, menuItems) {
     menuContainer.innerHTML = menuItems.map(item => {
         if (item.divider) return '<div class="context-menu-divider"></div>';
         return `
-            <button class="context-menu-item ${item.danger ? 'danger' : ''}" data-action="${item.action}">
+            <button class="context-menu-item ${item.danger ? 'danger' : ''}" data-action="${item.action}" ${item.value ? `data-value="${escapeHtml(item.value)}"` : ''}>
                 ${item.icon || ''}
                 <span>${item.label}</span>
             </button>
@@ -116,6 +122,21 @@ export function handleSpaceContextMenu(e) {
         });
     }
 
+    // Shared spaces can be copied into my own; copies can catch up with their source
+    if (isSharedSpace) {
+        menuItems.push({
+            label: 'Clone to My Spaces',
+            action: 'clone-space',
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>'
+        });
+    } else if (space.clonedFrom) {
+        menuItems.push({
+            label: 'Pull New Quests',
+            action: 'pull-source-quests',
+            icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>'
+        });
+    }
+
     menuItems.push({ divider: true });
     menuItems.push({
         label: isSharedSpace ? 'Leave Space' : 'Delete Space',
@@ -131,11 +152,12 @@ export function handleSpaceContextMenu(e) {
 
 /**
  * Handle right-click on quest card
+ * Only collaborative spaces get a menu (for assigning quests), elsewhere the browser's shows
  * @param {Event} e - The contextmenu event
  */
 export function handleQuestContextMenu(e) {
     const card = e.target.closest('.quest-card');
-    if (!card) return;
+    if (!card || !canAssign(getActiveSpace())) return;
 
     const itemId = card.dataset.id;
     const item = (state.items || []).find(i => i.id === itemId);
@@ -143,11 +165,10 @@ export function handleQuestContextMenu(e) {
 
     contextMenuTarget = { type: 'quest', id: itemId, data: item };
 
-    const isSharedSpace = item.isOwned === false;
     let menuItems;
 
-    if (isSharedSpace) {
-        // Viewers can only copy ID/JSON
+    if (isViewOnly()) {
+        // Viewers (and helpers) can only copy ID/JSON
         menuItems = [
             { label: 'Copy ID', action: 'copy-id', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>' },
             { label: 'Copy JSON', action: 'copy-json', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>' }
@@ -158,12 +179,32 @@ export function handleQuestContextMenu(e) {
             { label: 'Copy ID', action: 'copy-id', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>' },
             { label: 'Copy JSON', action: 'copy-json', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>' },
             { divider: true },
+            ...assignMenuItems(item),
+            isPerMemberItem(item, getProgressScope())
+                ? { label: 'Track Together', action: 'track-together', icon: MEMBERS_ICON }
+                : { label: 'Track Per Member', action: 'track-per-member', icon: MEMBERS_ICON },
+            { divider: true },
             { label: 'Delete', action: 'delete-quest', danger: true, icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>' }
         ];
     }
     showContextMenu(e, menuItems);
 }
 
+/**
+ * Claim / assign / unassign entries for a quest of a collaborative space
+ */
+function assignMenuItems(item) {
+    const menuItems = [];
+    if (!isAssignedToMe(item)) {
+        menuItems.push({ label: "I'll Take It", action: 'claim-quest', icon: ASSIGN_ICON });
+    }
+    menuItems.push({ label: 'Assign To...', action: 'assign-quest', icon: ASSIGN_ICON });
+    if (item.assignee) {
+        menuItems.push({ label: 'Unassign', action: 'unassign-quest', icon: ASSIGN_ICON });
+    }
+    return menuItems;
+}
+
 /**
  * Handle context menu item click
  * @param {Event} e - Click event
@@ -196,6 +237,12 @@ export function handleContextMenuAction(e) {
                 shareSpaceCallback(target.id);
             }
             break;
+        case 'clone-space':
+            if (target.type === 'space') cloneSharedSpace(target.data);
+            break;
+        case 'pull-source-quests':
+            if (target.type === 'space') pullSourceQuests(target.data);
+            break;
         case 'edit-name':
             if (target.type === 'quest') {
                 const card = $(`.quest-card[data-id="${target.id}"]`);
@@ -221,6 +268,44 @@ export function handleContextMenuAction(e) {
                 editTagsCallback(target.id);
             }
             break;
+        case 'copy-id':
+            if (target.type === 'quest') {
+                copyToClipboard(target.id).then(copied => copied && showToast('ID copied'));
+            }
+            break;
+        case 'copy-json':
+            if (target.type === 'quest') {
+                copyToClipboard(JSON.stringify(target.data, null, 2)).then(copied => copied && showToast('JSON copied'));
+            }
+            break;
+        case 'claim-quest':
+            if (target.type === 'quest') claimQuest(target.id);
+            break;
+        case 'assign-quest':
+            if (target.type === 'quest') {
+                // Keep the document click handler from closing the member list right away
+                e.stopPropagation();
+                showContextMenu(e, getSpaceMembers(getActiveSpace()).map(member => ({
+                    label: escapeHtml(member.name),
+                    action: 'assign-member',
+                    value: member.uid
+                })));
+                contextMenuTarget = target;
+            }
+            break;
+        case 'assign-member':
+            if (target.type === 'quest') {
+                const member = getSpaceMembers(getActiveSpace()).find(m => m.uid === item.dataset.value);
+                if (member) assignQuest(target.id, member);
+            }
+            break;
+        case 'unassign-quest':
+            if (target.type === 'quest') assignQuest(target.id, null);
+            break;
+        case 'track-per-member':
+        case 'track-together':
+            if (target.type === 'quest') setQuestPerMember(target.id, action === 'track-per-member');
+            break;
         case 'delete-quest':
             if (target.type === 'quest' && deleteItemCallback) {
                 showConfirm('Remove this target?', 'DELETE ITEM', true).then(confirmed => {
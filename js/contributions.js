@@ -0,0 +1,66 @@
+/**
+ * Contributions Module
+ * In spaces that opt in (space.trackContributions), progress is credited to whoever made it:
+ * each quest shows a per-member breakdown and the statistics modal a leaderboard
+ * The per-quest data lives in quest.contributions and is merged in sync-merge.js
+ */
+
+import { escapeHtml, formatBigNumber } from './utils.js';
+import { recordContribution } from './sync-merge.js';
+
+/**
+ * Credit the signed-in user with progress on a quest, if the space tracks contributions
+ * @param {Object} space - Space the quest belongs to
+ * @param {Object} item - Quest (mutated)
+ * @param {number} delta - Units added (or removed)
+ */
+export function recordProgress(space, item, delta) {
+    const user = window.FirebaseBridge?.currentUser;
+    if (!user || !space?.trackContributions) return;
+    const name = user.displayName || user.email?.split('@')[0] || 'Someone';
+    recordContribution(item, user.uid, name, delta);
+}
+
+/**
+ * Members who contributed to a quest, most first
+ * @param {Object} item - Quest
+ * @returns {Array} [{ uid, name, amount }]
+ */
+export function getContributionBreakdown(item) {
+    return Object.entries(item?.contributions || {})
+        .map(([uid, entry]) => ({ uid, name: entry.name || 'Someone', amount: entry.amount || 0 }))
+        .filter(entry => entry.amount > 0)
+        .sort((a, b) => b.amount - a.amount || a.name.localeCompare(b.name));
+}
+
+/**
+ * Contributions of every member over all quests of a space (archived included), most first
+ * @param {Object} space - Space object
+ * @returns {Array} [{ uid, name, amount, quests }]
+ */
+export function getLeaderboard(space) {
+    const totals = new Map();
+    for (const item of [...(space?.items || []), ...(space?.archivedItems || [])]) {
+        for (const { uid, name, amount } of getContributionBreakdown(item)) {
+            const total = totals.get(uid) || { uid, name, amount: 0, quests: 0 };
+            total.amount += amount;
+            total.quests++;
+            totals.set(uid, total);
+        }
+    }
+    return [...totals.values()].sort((a, b) => b.amount - a.amount || a.name.localeCompare(b.name));
+}
+
+/**
+ * One-line breakdown for a quest card, e.g. "Sam 6 · Riley 4 of 10"
+ * @param {Object} item - Quest
+ * @param {number} total - The quest's goal
+ * @returns {string} HTML (empty when nobody contributed)
+ */
+export function renderContributions(item, total) {
+    const breakdown = getContributionBreakdown(item);
+    if (breakdown.length === 0) return '';
+    const parts = breakdown.map(entry =>
+        `<span class="contribution">${escapeHtml(entry.name)} <strong>${formatBigNumber(entry.amount)}</strong></span>`);
+    return `<div class="quest-contributions">${parts.join(' · ')} of ${formatBigNumber(total)}</div>`;
+}
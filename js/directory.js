@@ -0,0 +1,371 @@
+/**
+ * Directory Module
+ * Opt-in player directory and direct invites: owners find users by username in the share
+ * modal and invite them to a space; recipients answer from their notifications and can
+ * block the sender. Profiles, usernames and invites are written by Cloud Functions
+ * (functions/directory.js); blocked users are kept on the user document
+ */
+
+import { escapeHtml } from './utils.js';
+import { callFunction } from './sharing.js';
+import { showAlert, showConfirm, showToast, completeToast } from './popup.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Directory');
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+// Must match the list limit in firestore.rules
+const SEARCH_LIMIT = 10;
+const SEARCH_DELAY_MS = 300;
+
+// DOM elements
+let elements = {
+    shareRole: null,
+    shareUserSearch: null,
+    shareUserResults: null,
+    directInvitesSection: null,
+    directInvitesList: null,
+    modalBlockedUsers: null,
+    blockedUsersList: null
+};
+
+let searchTimer = null;
+let shareSpaceId = null; // Space the share modal is open for
+
+/**
+ * Initialize directory module
+ */
+export function initDirectory(domElements) {
+    elements = { ...elements, ...domElements };
+}
+
+// -------------------------------------------------------------------------
+// Profile
+// -------------------------------------------------------------------------
+
+/**
+ * The signed-in user's directory profile
+ * @returns {Promise<Object|null>} { username, displayName }, null when unlisted
+ */
+export async function getMyProfile() {
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!user || !db) return null;
+
+    const { doc, getDoc } = await import(FIRESTORE_URL);
+    const profileSnap = await getDoc(doc(db, 'profiles', user.uid));
+    return profileSnap.exists() ? profileSnap.data() : null;
+}
+
+/**
+ * List the signed-in user in the directory, or remove them with an empty username
+ * @param {string} username - Username (lowercased by the server)
+ * @param {string} displayName - Name shown next to it
+ * @returns {Promise<{success: boolean, username?: string|null, error?: string}>}
+ */
+export async function saveDirectoryProfile(username, displayName) {
+    try {
+        const result = await callFunction('setDirectoryProfile', { username, displayName });
+        return { success: true, username: result.data.username };
+    } catch (error) {
+        log.error('Failed to save directory profile', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Remove the signed-in user from the directory before account deletion (best effort)
+ */
+export async function leaveDirectory() {
+    try {
+        if (await getMyProfile()) await callFunction('setDirectoryProfile', { username: '' });
+    } catch (error) {
+        log.warn('Could not leave the directory', error.message);
+    }
+}
+
+// -------------------------------------------------------------------------
+// Share modal: search and invite
+// -------------------------------------------------------------------------
+
+/**
+ * Listed users whose username starts with the text (the signed-in user left out)
+ * @param {string} text - Search text, with or without a leading @
+ * @returns {Promise<Array>} [{ uid, username, displayName }]
+ */
+export async function searchProfiles(text) {
+    const db = window.FirebaseBridge?.getDb?.();
+    const prefix = (text || '').trim().toLowerCase().replace(/^@/, '');
+    if (!db || prefix.length < 2) return [];
+
+    const { collection, query, where, orderBy, limit, getDocs } = await import(FIRESTORE_URL);
+    const profilesQuery = query(
+        collection(db, 'profiles'),
+        where('username', '>=', prefix),
+        where('username', '<=', `${prefix}\uf8ff`),
+        orderBy('username'),
+        limit(SEARCH_LIMIT)
+    );
+    const snapshot = await getDocs(profilesQuery);
+    const uid = window.FirebaseBridge?.currentUser?.uid;
+    return snapshot.docs
+        .filter(docSnap => docSnap.id !== uid)
+        .map(docSnap => ({ uid: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Reset the directory part of the share modal for a space
+ * @param {string} spaceId - Space being shared
+ */
+export function openDirectorySection(spaceId) {
+    shareSpaceId = spaceId;
+    if (elements.shareUserSearch) elements.shareUserSearch.value = '';
+    if (elements.shareUserResults) elements.shareUserResults.innerHTML = '';
+    refreshDirectInvites();
+}
+
+/**
+ * Search as the owner types (debounced)
+ */
+export function handleUserSearchInput() {
+    if (searchTimer) clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY_MS);
+}
+
+async function runSearch() {
+    searchTimer = null;
+    const list = elements.shareUserResults;
+    const text = elements.shareUserSearch?.value || '';
+    if (!list) return;
+
+    if (text.trim().replace(/^@/, '').length < 2) {
+        list.innerHTML = '';
+        return;
+    }
+
+    try {
+        const profiles = await searchProfiles(text);
+        if ((elements.shareUserSearch?.value || '') !== text) return; // Typed on meanwhile
+
+        list.innerHTML = profiles.length === 0
+            ? '<p class="settings-hint">No players found.</p>'
+            : profiles.map(profile => `
+                <div class="user-result" data-user-id="${escapeHtml(profile.uid)}">
+                    <span class="user-result-name">${escapeHtml(profile.displayName || profile.username)}</span>
+                    <span class="user-result-username">@${escapeHtml(profile.username)}</span>
+                    <button type="button" class="btn btn-secondary btn-invite-user" data-user-id="${escapeHtml(profile.uid)}">INVITE</button>
+                </div>
+            `).join('');
+    } catch (error) {
+        log.error('Directory search failed', error.message);
+        list.innerHTML = '<p class="settings-hint">Search failed.</p>';
+    }
+}
+
+/**
+ * Invite the clicked search result with the access level picked in the share modal
+ * @param {Event} e - Click event
+ */
+export async function handleUserResultsClick(e) {
+    const button = e.target.closest('.btn-invite-user');
+    if (!button || !shareSpaceId) return;
+
+    const role = elements.shareRole?.value || 'viewer';
+    button.disabled = true;
+    showToast('Sending invite...');
+
+    try {
+        await callFunction('sendDirectInvite', { spaceId: shareSpaceId, targetUserId: button.dataset.userId, role });
+        completeToast('Invite sent!');
+        button.textContent = 'INVITED';
+        refreshDirectInvites();
+    } catch (error) {
+        completeToast('Failed', 500);
+        log.error('Failed to send direct invite', error.message);
+        button.disabled = false;
+        showAlert(error.message || 'Failed to send the invite.', 'ERROR');
+    }
+}
+
+/**
+ * List the pending direct invites of the space being shared
+ */
+async function refreshDirectInvites() {
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    const { directInvitesSection: section, directInvitesList: list } = elements;
+    if (!user || !db || !section || !list || !shareSpaceId) return;
+
+    const spaceId = shareSpaceId;
+    try {
+        const { collection, query, where, getDocs } = await import(FIRESTORE_URL);
+        const snapshot = await getDocs(query(
+            collection(db, 'directInvites'),
+            where('fromUid', '==', user.uid),
+            where('spaceId', '==', spaceId),
+            where('status', '==', 'pending')
+        ));
+        if (shareSpaceId !== spaceId) return;
+
+        const now = Date.now();
+        const invites = snapshot.docs
+            .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+            .filter(invite => (invite.expiresAt?.toMillis?.() || 0) > now);
+
+        section.classList.toggle('hidden', invites.length === 0);
+        list.innerHTML = invites.map(invite => `
+            <div class="invite-item" data-direct-invite-id="${escapeHtml(invite.id)}">
+                <div class="invite-info">
+                    <span class="collaborator-email">${escapeHtml(invite.toName || 'Unknown')}</span>
+                    <span class="collaborator-role ${escapeHtml(invite.role)}">${escapeHtml(invite.role)}</span>
+                    <span class="invite-expiry">${Math.ceil((invite.expiresAt.toMillis() - now) / (24 * 60 * 60 * 1000))}d left</span>
+                </div>
+                <button type="button" class="btn-revoke-invite" data-direct-invite-id="${escapeHtml(invite.id)}" title="Withdraw">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18" />
+                        <line x1="6" y1="6" x2="18" y2="18" />
+                    </svg>
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        log.warn('Could not list direct invites', error.message);
+        section.classList.add('hidden');
+    }
+}
+
+/**
+ * Withdraw a pending direct invite from the share modal
+ * @param {Event} e - Click event
+ */
+export async function handleDirectInvitesClick(e) {
+    const button = e.target.closest('.btn-revoke-invite[data-direct-invite-id]');
+    if (!button) return;
+
+    const confirmed = await showConfirm('Withdraw this invite?', 'WITHDRAW INVITE', true);
+    if (!confirmed) return;
+
+    try {
+        await callFunction('cancelDirectInvite', { inviteId: button.dataset.directInviteId });
+        refreshDirectInvites();
+    } catch (error) {
+        log.error('Failed to withdraw direct invite', error.message);
+        showAlert(error.message || 'Failed to withdraw the invite.', 'ERROR');
+    }
+}
+
+// -------------------------------------------------------------------------
+// Recipient: answer and block
+// -------------------------------------------------------------------------
+
+/**
+ * Accept or decline a direct invite (the space appears once sharedWithMe updates)
+ * @param {string} inviteId - Direct invite ID
+ * @param {boolean} accept - Accept or decline
+ * @returns {Promise<boolean>} Whether it went through
+ */
+export async function respondToDirectInvite(inviteId, accept) {
+    showToast(accept ? 'Joining space...' : 'Declining...');
+    try {
+        const result = await callFunction('respondDirectInvite', { inviteId, accept });
+        completeToast(accept ? `Joined "${result.data.spaceName}"` : 'Invite declined', 1000);
+        return true;
+    } catch (error) {
+        completeToast('Failed', 500);
+        log.error('Failed to answer direct invite', error.message);
+        showAlert(error.message || 'Something went wrong.', 'ERROR');
+        return false;
+    }
+}
+
+/**
+ * Block a user: neither of you can send the other direct invites
+ * @param {string} uid - User to block
+ * @param {string} name - Their name, for the blocked users list
+ * @returns {Promise<boolean>} Whether they were blocked
+ */
+export async function blockUser(uid, name) {
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!user || !db || !uid) return false;
+
+    const confirmed = await showConfirm(
+        `Block ${name || 'this user'}? They won't be able to invite you, and you won't be able to invite them.`,
+        'BLOCK USER',
+        true
+    );
+    if (!confirmed) return false;
+
+    try {
+        const { doc, setDoc, serverTimestamp } = await import(FIRESTORE_URL);
+        await setDoc(doc(db, 'users', user.uid), {
+            blockedUsers: { [uid]: { name: name || 'Unknown', at: serverTimestamp() } }
+        }, { merge: true });
+        showToast('User blocked');
+        return true;
+    } catch (error) {
+        log.error('Failed to block user', error.message);
+        showAlert('Failed to block user.', 'ERROR');
+        return false;
+    }
+}
+
+/**
+ * Open the blocked users modal (user menu)
+ */
+export async function openBlockedUsersModal() {
+    if (!elements.modalBlockedUsers) return;
+    elements.modalBlockedUsers.classList.remove('hidden');
+    await renderBlockedUsers();
+}
+
+async function renderBlockedUsers() {
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    const list = elements.blockedUsersList;
+    if (!user || !db || !list) return;
+
+    list.innerHTML = '<p class="settings-hint">Loading...</p>';
+    try {
+        const { doc, getDoc } = await import(FIRESTORE_URL);
+        const userSnap = await getDoc(doc(db, 'users', user.uid));
+        const blocked = Object.entries(userSnap.data()?.blockedUsers || {});
+
+        list.innerHTML = blocked.length === 0
+            ? '<p class="settings-hint">You haven\'t blocked anyone.</p>'
+            : blocked.map(([uid, entry]) => `
+                <div class="collaborator-item" data-user-id="${escapeHtml(uid)}">
+                    <div class="collaborator-info">
+                        <span class="collaborator-email">${escapeHtml(entry.name || 'Unknown')}</span>
+                    </div>
+                    <button type="button" class="btn btn-secondary btn-unblock-user" data-user-id="${escapeHtml(uid)}">UNBLOCK</button>
+                </div>
+            `).join('');
+    } catch (error) {
+        log.error('Failed to load blocked users', error.message);
+        list.innerHTML = '<p class="settings-hint">Could not load blocked users.</p>';
+    }
+}
+
+/**
+ * Handle unblock clicks in the blocked users modal
+ * @param {Event} e - Click event
+ */
+export async function handleBlockedUsersClick(e) {
+    const button = e.target.closest('.btn-unblock-user');
+    const user = window.FirebaseBridge?.currentUser;
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!button || !user || !db) return;
+
+    button.disabled = true;
+    try {
+        const { doc, updateDoc, deleteField } = await import(FIRESTORE_URL);
+        await updateDoc(doc(db, 'users', user.uid), { [`blockedUsers.${button.dataset.userId}`]: deleteField() });
+        await renderBlockedUsers();
+    } catch (error) {
+        button.disabled = false;
+        log.error('Failed to unblock user', error.message);
+        showAlert('Failed to unblock user.', 'ERROR');
+    }
+}
@@ -7,6 +7,7 @@
 import { state } from './state.js';
 import { updateItemField } from './quests.js';
 import { saveState } from './storage.js';
+import { setItemField } from './sync-merge.js';
 
 // State
 let isDragging = false;
@@ -330,7 +331,7 @@ function handleMouseUp(e) {
         } else if (targetCategory !== dragSourceCategory) {
             updateItemField(draggedItemId, 'category', targetCategory);
             const item = (state.items || []).find(i => i.id === draggedItemId);
-            if (item) delete item.sortIndex;
+            if (item) setItemField(item, 'sortIndex', undefined);
             didReorder = true;
         }
     }
@@ -551,7 +552,7 @@ function reorderItemSilent(draggedId, targetId, position, targetCategory) {
 
     // Update dragged item's category if changed
     if (draggedItem.category !== targetCategory) {
-        draggedItem.category = targetCategory;
+        setItemField(draggedItem, 'category', targetCategory);
     }
 
     // Recalculate sort indices for ALL items in the affected category based on DOM order
@@ -565,7 +566,7 @@ function reorderItemSilent(draggedId, targetId, position, targetCategory) {
             const item = (state.items || []).find(i => i.id === id);
             if (item) {
                 // Use large gaps to allow inserting between without reindexing everything next time
-                item.sortIndex = index * 1000;
+                setItemField(item, 'sortIndex', index * 1000);
             }
         });
     }
@@ -579,7 +580,7 @@ function reorderItemSilent(draggedId, targetId, position, targetCategory) {
             .sort((a, b) => (a.sortIndex || 0) - (b.sortIndex || 0));
 
         sourceCategoryItems.forEach((item, index) => {
-            item.sortIndex = index * 1000;
+            setItemField(item, 'sortIndex', index * 1000);
         });
     }
 }
@@ -35,6 +35,8 @@ export const elements = {
 
     // Quest display
     questContainer: $('#quest-container'),
+    presenceBar: $('#presence-bar'),
+    publicSpaceName: $('#public-space-name'),
     emptyState: $('#empty-state'),
 
     // Modals
@@ -66,6 +68,10 @@ export const elements = {
     // Status bar
     statusTotal: $('#status-total'),
     statusComplete: $('#status-complete'),
+    statusPending: $('#status-pending'),
+    statusPendingItem: $('#status-pending-item'),
+    statusConflicts: $('#status-conflicts'),
+    statusConflictsCount: $('#status-conflicts-count'),
     saveIndicator: $('#save-indicator'),
 
     // Archive
@@ -101,8 +107,14 @@ export const elements = {
     userDisplayName: $('#user-display-name'),
     btnShowInfo: $('#btn-show-info'),
     userDropdown: $('#user-dropdown'),
+    notificationBadge: $('#notification-badge'),
+    notificationsList: $('#notifications-list'),
+    btnMarkNotificationsRead: $('#btn-mark-notifications-read'),
     btnLogout: $('#btn-logout'),
     btnExportData: $('#btn-export-data'),
+    btnBlockedUsers: $('#btn-blocked-users'),
+    modalBlockedUsers: $('#modal-blocked-users'),
+    blockedUsersList: $('#blocked-users-list'),
     btnChangeName: $('#btn-change-name'),
     btnDeleteAccount: $('#btn-delete-account'),
     modalAuth: $('#modal-auth'),
@@ -120,6 +132,9 @@ export const elements = {
     btnBackToSignin: $('#btn-back-to-signin'),
     syncStatus: $('#sync-status'),
     lastSynced: $('#last-synced'),
+    syncError: $('#sync-error'),
+    syncErrorMessage: $('#sync-error-message'),
+    btnRetrySync: $('#btn-retry-sync'),
     storageUsage: $('#storage-usage'),
     storageFill: $('#storage-fill'),
     storageText: $('#storage-text'),
@@ -133,6 +148,11 @@ export const elements = {
     statRate: $('#stat-rate'),
     statsCategories: $('#stats-categories'),
     statsSpaces: $('#stats-spaces'),
+    statsTabs: $$('.stats-tab'),
+    statsOverviewPane: $('#stats-overview-pane'),
+    statsLeaderboardPane: $('#stats-leaderboard-pane'),
+    statsLeaderboardTitle: $('#stats-leaderboard-title'),
+    statsLeaderboard: $('#stats-leaderboard'),
 
     // Category manager
     btnManageCategories: $('#btn-manage-categories'),
@@ -171,15 +191,55 @@ export const elements = {
     filesList: $('#files-list'),
     btnRefreshFiles: $('#btn-refresh-files'),
 
+    // Conflicts
+    modalConflicts: $('#modal-conflicts'),
+    conflictsList: $('#conflicts-list'),
+
+    // Proposals
+    modalPropose: $('#modal-propose'),
+    proposeQuestName: $('#propose-quest-name'),
+    proposeObjectiveRow: $('#propose-objective-row'),
+    proposeObjective: $('#propose-objective'),
+    proposeAmount: $('#propose-amount'),
+    proposeNote: $('#propose-note'),
+    btnSubmitProposal: $('#btn-submit-proposal'),
+
+    // Comments
+    modalComments: $('#modal-comments'),
+    commentsQuestName: $('#comments-quest-name'),
+    commentsList: $('#comments-list'),
+    commentForm: $('#comment-form'),
+    commentInput: $('#comment-input'),
+    btnPostComment: $('#btn-post-comment'),
+
+    // Activity
+    btnActivity: $('#btn-activity'),
+    activityPanel: $('#activity-panel'),
+    btnCloseActivity: $('#btn-close-activity'),
+    activityList: $('#activity-list'),
+    activityMemberFilter: $('#activity-member-filter'),
+    activityActionFilter: $('#activity-action-filter'),
+
     // Share modal
     modalShare: $('#modal-share'),
     shareSpaceId: $('#share-space-id'),
     shareRole: $('#share-role'),
+    shareMaxUses: $('#share-max-uses'),
+    shareExpiry: $('#share-expiry'),
     shareLinkContainer: $('#share-link-container'),
     shareLinkUrl: $('#share-link-url'),
     shareLinkExpiry: $('#share-link-expiry'),
     btnGenerateShareLink: $('#btn-generate-share-link'),
     btnCopyShareLink: $('#btn-copy-share-link'),
+    shareUserSearch: $('#share-user-search'),
+    shareUserResults: $('#share-user-results'),
+    directInvitesSection: $('#direct-invites-section'),
+    directInvitesList: $('#direct-invites-list'),
+    publishSection: $('#publish-section'),
+    publicLinkContainer: $('#public-link-container'),
+    publicLinkUrl: $('#public-link-url'),
+    btnCopyPublicLink: $('#btn-copy-public-link'),
+    btnPublishSpace: $('#btn-publish-space'),
 
     // Context menu
     contextMenu: $('#context-menu'),
@@ -48,6 +48,7 @@ import {
     ReCaptchaV3Provider
 } from "https://www.gstatic.com/firebasejs/11.0.1/firebase-app-check.js";
 import { Logger } from './logger.js';
+import { fromQuestDocs } from './sync-merge.js';
 
 const log = Logger.module('Firebase');
 
@@ -375,8 +376,14 @@ window.FirebaseBridge = {
         };
     },
 
+    // Helper: Storage owner of a space's images (shared spaces keep them under their owner)
+    spaceOwnerId(space) {
+        return space?.isOwned === false && space.ownerId ? space.ownerId : this.currentUser?.uid;
+    },
+
     // Helper: Upload a single base64 image to Storage (with compression)
-    async uploadImage(base64Data, path) {
+    // Images of a shared space go under its owner and count toward the owner's quota
+    async uploadImage(base64Data, path, ownerId = this.currentUser?.uid) {
         if (!storage || !this.currentUser) return null;
 
         // Skip if already a storage URL
@@ -387,18 +394,21 @@ window.FirebaseBridge = {
             const compressed = await compressImage(base64Data);
             const imageSize = getBase64Size(compressed);
 
-            // Check storage limit
-            if (this.storageUsedBytes + imageSize > this.storageLimitBytes) {
+            // Check storage limit (the owner's limit is enforced by storage.rules)
+            const isOwn = ownerId === this.currentUser.uid;
+            if (isOwn && this.storageUsedBytes + imageSize > this.storageLimitBytes) {
                 console.warn('Storage limit exceeded, skipping image upload');
                 return null;
             }
 
-            const storageRef = ref(storage, `users/${this.currentUser.uid}/${path}`);
-            await uploadString(storageRef, compressed, 'data_url');
+            const storageRef = ref(storage, `users/${ownerId}/${path}`);
+            await uploadString(storageRef, compressed, 'data_url', {
+                customMetadata: { uploadedBy: this.currentUser.uid }
+            });
             const url = await getDownloadURL(storageRef);
 
             // Track storage usage
-            this.storageUsedBytes += imageSize;
+            if (isOwn) this.storageUsedBytes += imageSize;
 
             return url;
         } catch (error) {
@@ -408,7 +418,7 @@ window.FirebaseBridge = {
     },
 
     // Helper: Process items/spaces and upload images, returning modified data with URLs
-    async processItemsForUpload(items, spaceId, prefix = 'items') {
+    async processItemsForUpload(items, spaceId, prefix = 'items', ownerId = this.currentUser?.uid) {
         const processedItems = [];
         for (const item of items) {
             const processedItem = { ...item };
@@ -416,7 +426,7 @@ window.FirebaseBridge = {
             // Upload main image if base64
             if (this.isBase64Image(item.imageUrl)) {
                 const path = `${spaceId}/${prefix}/${item.id}/main.jpg`;
-                const url = await this.uploadImage(item.imageUrl, path);
+                const url = await this.uploadImage(item.imageUrl, path, ownerId);
                 if (url) processedItem.imageUrl = url;
             }
 
@@ -427,7 +437,7 @@ window.FirebaseBridge = {
                     const processedObj = { ...obj };
                     if (this.isBase64Image(obj.imageUrl)) {
                         const objPath = `${spaceId}/${prefix}/${item.id}/obj_${obj.id}.jpg`;
-                        const objUrl = await this.uploadImage(obj.imageUrl, objPath);
+                        const objUrl = await this.uploadImage(obj.imageUrl, objPath, ownerId);
                         if (objUrl) processedObj.imageUrl = objUrl;
                     }
                     processedItem.objectives.push(processedObj);
@@ -594,9 +604,19 @@ window.FirebaseBridge = {
             const spacesSnap = await getDocs(spacesRef);
 
             const spaces = [];
-            spacesSnap.forEach(doc => {
-                spaces.push({ id: doc.id, ...doc.data() });
-            });
+            for (const spaceSnap of spacesSnap.docs) {
+                // Quests are stored as documents in each space's quests subcollection
+                const questsSnap = await getDocs(collection(db, 'users', this.currentUser.uid, 'spaces', spaceSnap.id, 'quests'));
+                const quests = fromQuestDocs(questsSnap.docs.map(questSnap => ({ id: questSnap.id, ...questSnap.data() })));
+                // Comment threads are kept apart from the quests, in the comments subcollection
+                const commentsSnap = await getDocs(collection(db, 'users', this.currentUser.uid, 'spaces', spaceSnap.id, 'comments'));
+                const comments = commentsSnap.docs.map(commentSnap => ({ id: commentSnap.id, ...commentSnap.data() }));
+                spaces.push({ id: spaceSnap.id, ...quests, ...spaceSnap.data(), comments });
+            }
+
+            const notificationsSnap = await getDocs(collection(db, 'users', this.currentUser.uid, 'notifications'));
+            const notifications = notificationsSnap.docs.map(notificationSnap => ({ id: notificationSnap.id, ...notificationSnap.data() }));
+            const profileSnap = await getDoc(doc(db, 'profiles', this.currentUser.uid));
 
             const exportData = {
                 exportDate: new Date().toISOString(),
@@ -605,7 +625,9 @@ window.FirebaseBridge = {
                     displayName: this.currentUser.displayName
                 },
                 userData: userSnap.exists() ? userSnap.data() : {},
-                spaces: spaces
+                spaces: spaces,
+                notifications: notifications,
+                directoryProfile: profileSnap.exists() ? profileSnap.data() : null
             };
 
             return { success: true, data: exportData };
@@ -634,6 +656,9 @@ window.FirebaseBridge = {
             spacesSnap.forEach(docRef => {
                 batch.delete(doc(db, 'users', this.currentUser.uid, 'spaces', docRef.id));
             });
+            // Notifications too (the server keeps at most 100 per user)
+            const notificationsSnap = await getDocs(collection(db, 'users', this.currentUser.uid, 'notifications'));
+            notificationsSnap.forEach(docRef => batch.delete(docRef.ref));
             await batch.commit();
 
             // Delete user document
@@ -706,11 +731,11 @@ window.FirebaseBridge = {
     },
 
     // Delete all images associated with an item (main image + objective images)
-    async deleteItemImages(spaceId, itemId, prefix = 'items') {
+    async deleteItemImages(spaceId, itemId, prefix = 'items', ownerId = this.currentUser?.uid) {
         if (!storage || !this.currentUser) return { success: false };
         try {
-            // Path where item images are stored: users/{uid}/{spaceId}/{prefix}/{itemId}/
-            const itemFolderPath = `users/${this.currentUser.uid}/${spaceId}/${prefix}/${itemId}`;
+            // Path where item images are stored: users/{ownerId}/{spaceId}/{prefix}/{itemId}/
+            const itemFolderPath = `users/${ownerId}/${spaceId}/${prefix}/${itemId}`;
             const itemFolderRef = ref(storage, itemFolderPath);
 
             // List all files in the item's folder
@@ -0,0 +1,111 @@
+/**
+ * Member Progress Module
+ * Quests of a collaborative space can be tracked per member ("each of us needs 3 keycards"):
+ * every member who can edit keeps their own counters in quest.memberProgress, the card shows
+ * mine with a compact view of everyone else's, and the space decides whether the quest is
+ * complete once everyone has finished or once I have (space.perMemberCompleteWhen)
+ */
+
+import { state, getActiveSpace, isViewOnly } from './state.js';
+import {
+    escapeHtml, formatBigNumber, findItemAcrossSpaces,
+    isPerMemberItem, getMemberView, getItemProgress, isItemComplete
+} from './utils.js';
+import { saveState } from './storage.js';
+import { setItemField, setMemberProgress } from './sync-merge.js';
+import { recordActivity } from './activity.js';
+import { canAssign, getSpaceMembers } from './assignees.js';
+
+/**
+ * Progress scope of a space, passed to isItemComplete() and getItemProgress()
+ * Only the owner and editors count as members, since they are the ones who can make progress
+ * @param {Object} space - Space object
+ * @returns {Object|null} { uid, members, perMember, completeWhen }, null outside collaborative spaces
+ */
+export function getProgressScope(space = getActiveSpace()) {
+    const uid = window.FirebaseBridge?.currentUser?.uid;
+    if (!uid || !canAssign(space)) return null;
+
+    const members = getSpaceMembers(space)
+        .filter(member => !space.collaborators?.[member.uid] || space.collaborators[member.uid].role === 'editor')
+        .map(member => member.uid);
+
+    return {
+        uid,
+        members,
+        perMember: !!space.perMemberProgress,
+        completeWhen: space.perMemberCompleteWhen === 'mine' ? 'mine' : 'everyone'
+    };
+}
+
+/**
+ * Progress scope of the space a quest belongs to (cross-space search shows other spaces' quests)
+ * @param {Object} item - Quest item
+ * @returns {Object|null} Scope
+ */
+export function getItemScope(item) {
+    if ((state.items || []).includes(item)) return getProgressScope();
+    return getProgressScope(findItemAcrossSpaces(state, item.id).space);
+}
+
+/**
+ * The counters the signed-in user sees and edits: their own for quests tracked per member
+ * @param {Object} item - Quest item
+ * @param {Object|null} scope - Scope of the quest's space
+ * @returns {Object} The item itself or a per-member view of it
+ */
+export function getCounterView(item, scope = getItemScope(item)) {
+    return isPerMemberItem(item, scope) ? getMemberView(item, scope.uid) : item;
+}
+
+/**
+ * Set the signed-in member's own counter on a quest tracked per member
+ * @param {Object} item - Quest item (mutated)
+ * @param {number} value - New count
+ * @param {string|null} objectiveId - Objective, null for the quest's own counter
+ */
+export function setMyProgress(item, value, objectiveId = null) {
+    const user = window.FirebaseBridge?.currentUser;
+    if (!user) return;
+    const name = user.displayName || user.email?.split('@')[0] || 'Member';
+    setMemberProgress(item, user.uid, name, value, objectiveId);
+}
+
+/**
+ * Switch a quest of the active space between shared and per-member progress
+ * @param {string} itemId - Quest ID
+ * @param {boolean} perMember - Track per member
+ */
+export function setQuestPerMember(itemId, perMember) {
+    const space = getActiveSpace();
+    const item = (state.items || []).find(i => i.id === itemId);
+    if (!item || !canAssign(space) || isViewOnly()) return;
+
+    setItemField(item, 'perMember', perMember);
+    recordActivity(space, 'edit', item, { field: 'perMember' });
+    saveState();
+
+    document.dispatchEvent(new CustomEvent('render-app'));
+}
+
+/**
+ * Compact view of the other members' progress on a quest card, one chip per member ("Sam 3/3")
+ * @param {Object} item - Quest tracked per member
+ * @param {Object} scope - Scope of the quest's space
+ * @returns {string} HTML (empty for quests shared by everyone)
+ */
+export function renderMemberProgress(item, scope) {
+    if (!isPerMemberItem(item, scope)) return '';
+    const space = (state.items || []).includes(item) ? getActiveSpace() : findItemAcrossSpaces(state, item.id).space;
+    const names = new Map(getSpaceMembers(space).map(member => [member.uid, member.name]));
+
+    const others = scope.members.filter(uid => uid !== scope.uid).map(uid => {
+        const view = getMemberView(item, uid);
+        const progress = getItemProgress(view);
+        const done = isItemComplete(view);
+        const name = item.memberProgress?.[uid]?.name || names.get(uid) || 'Member';
+        return `<span class="member-progress ${done ? 'done' : ''}" title="${escapeHtml(name)}: ${progress.current}/${progress.total}">${escapeHtml(name)} ${formatBigNumber(progress.current)}/${formatBigNumber(progress.total)}</span>`;
+    });
+
+    return others.length > 0 ? `<div class="quest-member-progress">${others.join('')}</div>` : '';
+}
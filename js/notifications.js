@@ -0,0 +1,240 @@
+/**
+ * Notifications Module
+ * Inbox in the user menu for what other members did: joined through my invite, revoked
+ * my access, completed a quest assigned to me, deleted a shared space, invited me directly
+ * (answered right in the inbox, see directory.js)
+ * Notifications are written by Cloud Functions to users/{uid}/notifications (see
+ * functions/notifications.js); the client only marks them read or deletes them
+ */
+
+import { escapeHtml, getTimeAgo } from './utils.js';
+import { respondToDirectInvite, blockUser } from './directory.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Notifications');
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+const FEED_LIMIT = 50;
+const MAX_BATCH_WRITES = 450;
+
+// DOM elements
+let elements = {
+    notificationBadge: null,
+    notificationsList: null,
+    btnMarkNotificationsRead: null
+};
+
+// Callback references (set via init)
+let openCallback = null;
+
+let feed = { uid: null, notifications: [], unsubscribe: null };
+
+/**
+ * Initialize notifications module
+ */
+export function initNotifications(domElements, callbacks = {}) {
+    elements = { ...elements, ...domElements };
+    if (callbacks.open) openCallback = callbacks.open;
+}
+
+// -------------------------------------------------------------------------
+// Lifecycle
+// -------------------------------------------------------------------------
+
+/**
+ * Follow the signed-in user's notifications (after sign in)
+ * @param {Object} currentUser - Firebase user
+ */
+export async function startNotifications(currentUser) {
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db || !currentUser || feed.uid === currentUser.uid) return;
+    stopNotifications();
+    feed.uid = currentUser.uid;
+
+    const { collection, query, orderBy, limit, onSnapshot } = await import(FIRESTORE_URL);
+    if (feed.uid !== currentUser.uid) return; // Signed out while loading
+
+    const notificationsQuery = query(
+        collection(db, 'users', currentUser.uid, 'notifications'),
+        orderBy('createdAt', 'desc'),
+        limit(FEED_LIMIT)
+    );
+
+    feed.unsubscribe = onSnapshot(notificationsQuery, (snapshot) => {
+        feed.notifications = snapshot.docs.map(docSnap => {
+            const data = docSnap.data({ serverTimestamps: 'estimate' });
+            return { ...data, id: docSnap.id, createdAt: data.createdAt?.toMillis?.() || 0 };
+        });
+        renderNotifications();
+    }, (error) => {
+        log.warn('Notifications listener error', error.message);
+    });
+}
+
+/**
+ * Stop following notifications (on sign out)
+ */
+export function stopNotifications() {
+    feed.unsubscribe?.();
+    feed = { uid: null, notifications: [], unsubscribe: null };
+    renderNotifications();
+}
+
+// -------------------------------------------------------------------------
+// Rendering
+// -------------------------------------------------------------------------
+
+/**
+ * Number of unread notifications
+ * @returns {number}
+ */
+export function getUnreadCount() {
+    return feed.notifications.filter(notification => !notification.read).length;
+}
+
+/**
+ * One-line description of a notification
+ * @param {Object} notification - Notification document
+ * @returns {string} HTML
+ */
+export function describeNotification(notification) {
+    const space = `"${escapeHtml(notification.spaceName || 'a shared space')}"`;
+    const actor = `<strong>${escapeHtml(notification.actorName || 'Someone')}</strong>`;
+
+    switch (notification.type) {
+        case 'joined':
+            return `${actor} joined ${space}${notification.role ? ` as ${escapeHtml(notification.role)}` : ''}`;
+        case 'revoked':
+            return `Your access to ${space} was removed`;
+        case 'questCompleted':
+            return `${actor} completed "${escapeHtml(notification.questName || 'Untitled')}", assigned to you in ${space}`;
+        case 'spaceDeleted':
+            return `${space} was deleted by its owner`;
+        case 'directInvite':
+            return `${actor} invited you to ${space} as ${escapeHtml(notification.role || 'viewer')}`;
+        case 'inviteDeclined':
+            return `${actor} declined your invite to ${space}`;
+        default:
+            return 'Something happened in a shared space';
+    }
+}
+
+/**
+ * Render the unread badge on the user menu and the list in its dropdown
+ */
+export function renderNotifications() {
+    const unread = getUnreadCount();
+
+    if (elements.notificationBadge) {
+        elements.notificationBadge.textContent = unread > 9 ? '9+' : String(unread);
+        elements.notificationBadge.classList.toggle('hidden', unread === 0);
+    }
+    elements.btnMarkNotificationsRead?.classList.toggle('hidden', unread === 0);
+
+    const list = elements.notificationsList;
+    if (!list) return;
+
+    if (feed.notifications.length === 0) {
+        list.innerHTML = '<div class="notifications-empty">No notifications</div>';
+        return;
+    }
+
+    list.innerHTML = feed.notifications.map(notification => `
+        <div class="notification-item ${notification.read ? '' : 'unread'}" data-notification-id="${escapeHtml(notification.id)}">
+            <div class="notification-text">
+                ${describeNotification(notification)}
+                <span class="notification-time">${getTimeAgo(notification.createdAt)}${notification.resolved ? ` · ${escapeHtml(notification.resolved)}` : ''}</span>
+                ${notification.type === 'directInvite' && !notification.resolved ? `
+                    <div class="notification-actions">
+                        <button type="button" class="btn-notification-action accept" data-notification-action="accept">ACCEPT</button>
+                        <button type="button" class="btn-notification-action" data-notification-action="decline">DECLINE</button>
+                        <button type="button" class="btn-notification-action danger" data-notification-action="block">BLOCK</button>
+                    </div>
+                ` : ''}
+            </div>
+            <button type="button" class="btn-notification-dismiss" data-notification-action="dismiss" title="Dismiss" aria-label="Dismiss">✕</button>
+        </div>
+    `).join('');
+}
+
+// -------------------------------------------------------------------------
+// Actions
+// -------------------------------------------------------------------------
+
+/**
+ * Handle clicks in the notification list: dismiss, or mark read and open what it is about
+ * @param {Event} e - Click event
+ */
+export function handleNotificationsClick(e) {
+    const item = e.target.closest('[data-notification-id]');
+    const notification = feed.notifications.find(n => n.id === item?.dataset.notificationId);
+    if (!notification) return;
+
+    const action = e.target.closest('[data-notification-action]')?.dataset.notificationAction;
+    if (action === 'dismiss') {
+        e.stopPropagation(); // Keep the dropdown open
+        deleteNotification(notification.id);
+        return;
+    }
+    if (action) {
+        answerInvite(notification, action);
+        return;
+    }
+
+    if (!notification.read) markRead([notification.id]);
+    if (openCallback && (notification.type === 'joined' || notification.type === 'questCompleted')) {
+        openCallback(notification);
+    }
+}
+
+/**
+ * Mark every loaded notification read
+ * @param {Event} e - Click event
+ */
+export function markAllNotificationsRead(e) {
+    e?.stopPropagation(); // Keep the dropdown open
+    markRead(feed.notifications.filter(n => !n.read).map(n => n.id));
+}
+
+/**
+ * Accept, decline, or decline and block, a direct invite
+ * The server settles the notification, which updates through the listener
+ */
+async function answerInvite(notification, action) {
+    if (action === 'block') {
+        const blocked = await blockUser(notification.actorId, notification.actorName);
+        if (!blocked) return;
+    }
+    await respondToDirectInvite(notification.inviteId || notification.id, action === 'accept');
+}
+
+async function markRead(ids) {
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db || !feed.uid || ids.length === 0) return;
+
+    try {
+        const { doc, writeBatch } = await import(FIRESTORE_URL);
+        for (let i = 0; i < ids.length; i += MAX_BATCH_WRITES) {
+            const batch = writeBatch(db);
+            ids.slice(i, i + MAX_BATCH_WRITES).forEach(id => {
+                batch.update(doc(db, 'users', feed.uid, 'notifications', id), { read: true });
+            });
+            await batch.commit();
+        }
+    } catch (error) {
+        log.warn('Could not mark notifications read', error.message);
+    }
+}
+
+async function deleteNotification(id) {
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db || !feed.uid) return;
+
+    try {
+        const { doc, deleteDoc } = await import(FIRESTORE_URL);
+        await deleteDoc(doc(db, 'users', feed.uid, 'notifications', id));
+    } catch (error) {
+        log.warn('Could not delete notification', error.message);
+    }
+}
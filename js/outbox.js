@@ -0,0 +1,201 @@
+/**
+ * Outbox Module
+ * Durable queue of changes not yet confirmed by the cloud, kept in IndexedDB
+ * so they survive closed tabs and reloads while offline
+ */
+
+import { mergeSpaceLists } from './sync-merge.js';
+
+const DB_NAME = 'fetchquest-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Settings saved with the user document (see SyncManager.saveNow)
+export const OUTBOX_SETTINGS_FIELDS = ['tags', 'activeSpaceId', 'shiftAmount', 'ctrlAmount', 'autoArchive'];
+
+// Space document fields written by the app (the rest is managed by Cloud Functions)
+export const SPACE_DOC_FIELDS = ['name', 'color', 'categories', 'trackContributions', 'perMemberProgress', 'perMemberCompleteWhen', 'tombstones'];
+
+// ---------------------------------------------------------------------------
+// Entries
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the outbox entry for a space with unsynced changes
+ * One entry per space: queuing again replaces it with the newer snapshot
+ * @param {string} uid - Signed-in user
+ * @param {string} ownerId - Owner of the space
+ * @param {Object} space - Local space
+ * @param {number} seq - Queue position
+ * @returns {Object} Outbox entry
+ */
+export function createSpaceEntry(uid, ownerId, space, seq) {
+    return {
+        key: `${uid}:space:${ownerId}/${space.id}`,
+        uid,
+        kind: 'space',
+        ownerId,
+        spaceId: space.id,
+        seq,
+        queuedAt: Date.now(),
+        data: JSON.parse(JSON.stringify(space))
+    };
+}
+
+/**
+ * Build the outbox entry for unsynced global settings
+ * @param {string} uid - Signed-in user
+ * @param {Object} state - App state
+ * @param {number} seq - Queue position
+ * @returns {Object} Outbox entry
+ */
+export function createSettingsEntry(uid, state, seq) {
+    const data = {};
+    OUTBOX_SETTINGS_FIELDS.forEach(field => {
+        if (state[field] !== undefined) data[field] = JSON.parse(JSON.stringify(state[field]));
+    });
+    return { key: `${uid}:settings`, uid, kind: 'settings', seq, queuedAt: Date.now(), data };
+}
+
+/**
+ * Replay queued entries onto freshly loaded cloud state, oldest first
+ * Queued quests are merged with the cloud copies (field stamps, counter deltas, tombstones)
+ * and marked unsynced so the next save sends them
+ * @param {Object} cloudState - State returned by SyncManager.load (mutated)
+ * @param {Array} entries - Outbox entries of the signed-in user
+ * @param {string} uid - Signed-in user
+ * @returns {Object} { spaces: number of replayed spaces, settings: whether settings were replayed }
+ */
+export function replayOutboxEntries(cloudState, entries, uid) {
+    const result = { spaces: 0, settings: false };
+    const ordered = [...entries].sort((a, b) => a.seq - b.seq);
+
+    for (const entry of ordered) {
+        if (entry.kind === 'settings') {
+            Object.assign(cloudState, entry.data);
+            result.settings = true;
+            continue;
+        }
+
+        const local = entry.data;
+        const isOwn = entry.ownerId === uid;
+        const index = cloudState.spaces.findIndex(s => s.id === entry.spaceId &&
+            (isOwn ? s.isOwned !== false : s.ownerId === entry.ownerId));
+
+        if (index === -1) {
+            // Only spaces that never reached the cloud are re-created; others were deleted or unshared
+            if (!isOwn || local._cloudTimestamp) continue;
+            cloudState.spaces.push({ ...local, _lastSyncedLocal: 0 });
+            result.spaces++;
+            continue;
+        }
+
+        const cloud = cloudState.spaces[index];
+        const merged = { ...cloud, ...mergeSpaceLists(local, cloud) };
+        if (isOwn) {
+            // Owners also queue space settings (tombstones were merged above)
+            SPACE_DOC_FIELDS.filter(field => field !== 'tombstones').forEach(field => {
+                if (local[field] !== undefined) merged[field] = local[field];
+            });
+        }
+        merged._localModified = local._localModified || entry.queuedAt;
+        merged._lastSyncedLocal = 0;
+        cloudState.spaces[index] = merged;
+        result.spaces++;
+    }
+
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+/**
+ * Open the outbox store
+ * Falls back to memory when IndexedDB is unavailable (private browsing, tests)
+ * Operations run one after another, so a removal never overtakes an earlier put
+ * @param {IDBFactory} idb - IndexedDB factory (defaults to the browser's)
+ * @returns {Object} Outbox with put, list, remove and count
+ */
+export function createOutbox(idb = globalThis.indexedDB) {
+    const backend = idb ? createIdbBackend(idb) : createMemoryBackend();
+    let queue = Promise.resolve();
+
+    const run = (op) => {
+        const next = queue.then(op);
+        queue = next.catch(() => {});
+        return next;
+    };
+
+    return {
+        /** Add or replace an entry */
+        put: (entry) => run(() => backend.put(entry)),
+
+        /** Entries of a user, oldest first */
+        list: (uid) => run(async () => {
+            const entries = await backend.getAll();
+            return entries.filter(e => e.uid === uid).sort((a, b) => a.seq - b.seq);
+        }),
+
+        /** Remove a user's entries queued up to (and including) seq */
+        remove: (uid, maxSeq = Infinity) => run(async () => {
+            const entries = await backend.getAll();
+            const keys = entries.filter(e => e.uid === uid && e.seq <= maxSeq).map(e => e.key);
+            await backend.delete(keys);
+            return keys.length;
+        }),
+
+        /** Number of entries of a user */
+        count: (uid) => run(async () => {
+            const entries = await backend.getAll();
+            return entries.filter(e => e.uid === uid).length;
+        })
+    };
+}
+
+function createMemoryBackend() {
+    const entries = new Map();
+    return {
+        put: async (entry) => { entries.set(entry.key, structuredClone(entry)); },
+        getAll: async () => [...entries.values()].map(e => structuredClone(e)),
+        delete: async (keys) => { keys.forEach(key => entries.delete(key)); }
+    };
+}
+
+function createIdbBackend(idb) {
+    let dbPromise = null;
+
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = idb.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    };
+
+    const transact = async (mode, work) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const result = work(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(result?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+
+    return {
+        put: (entry) => transact('readwrite', store => store.put(entry)),
+        getAll: async () => (await transact('readonly', store => store.getAll())) || [],
+        delete: (keys) => transact('readwrite', store => keys.forEach(key => store.delete(key)))
+    };
+}
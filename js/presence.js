@@ -0,0 +1,326 @@
+/**
+ * Presence Module
+ * Shows who else has a shared space open, and which quest they are editing
+ * Each tab keeps a presence document in the space it shows, refreshed by a heartbeat
+ */
+
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+import { tabId } from './tab-sync.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Presence');
+
+const HEARTBEAT_MS = 30 * 1000;
+// Entries not refreshed for this long belong to closed or sleeping tabs
+const STALE_MS = 75 * 1000;
+// No input for this long withdraws the tab's presence
+const IDLE_MS = 5 * 60 * 1000;
+// Leftover documents of crashed tabs are removed by the TTL policy on expiresAt (firestore.indexes.json)
+const EXPIRY_MS = 60 * 60 * 1000;
+const MAX_AVATARS = 3;
+
+// DOM elements
+let elements = {
+    presenceBar: null,
+    questContainer: null
+};
+
+// Callback references (set via init)
+let changeCallback = null;
+
+let firestore = null; // Firestore SDK, loaded on start
+let user = null;
+let announced = null; // { key, ref } of this tab's presence document
+let editingQuestId = null;
+let lastActivity = Date.now();
+let idle = false;
+let heartbeatTimer = null;
+let queue = Promise.resolve();
+const listeners = new Map(); // "ownerId/spaceId" -> unsubscribe
+const entries = new Map(); // "ownerId/spaceId" -> presence documents in that space
+
+/**
+ * Initialize presence module
+ */
+export function initPresence(domElements, callbacks = {}) {
+    elements = { ...elements, ...domElements };
+    if (callbacks.onChange) changeCallback = callbacks.onChange;
+}
+
+// -------------------------------------------------------------------------
+// Lifecycle
+// -------------------------------------------------------------------------
+
+/**
+ * Start announcing this tab and following others (after sign in)
+ * @param {Object} currentUser - Firebase user
+ */
+export async function startPresence(currentUser) {
+    if (!window.FirebaseBridge?.getDb?.()) return;
+    firestore = await import("https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js");
+    user = currentUser;
+    lastActivity = Date.now();
+    idle = false;
+
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.addEventListener(type, handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+    updatePresence();
+}
+
+/**
+ * Withdraw this tab and stop following others (on sign out)
+ */
+export function stopPresence() {
+    if (!user) return;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.removeEventListener(type, handleActivity);
+    });
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', handlePageHide);
+
+    run(withdraw);
+    listeners.forEach(unsubscribe => unsubscribe());
+    listeners.clear();
+    entries.clear();
+    editingQuestId = null;
+    user = null;
+    notify();
+}
+
+/**
+ * Follow presence in every collaborative space and announce this tab in the active one
+ * Cheap when nothing changed, so it runs on every render
+ */
+export function updatePresence() {
+    if (!user || !firestore) return;
+
+    const wanted = new Map((state.spaces || []).filter(isCollaborative).map(space => [spaceKey(space), space]));
+    for (const [key, unsubscribe] of listeners) {
+        if (wanted.has(key)) continue;
+        unsubscribe();
+        listeners.delete(key);
+        entries.delete(key);
+    }
+    for (const [key, space] of wanted) {
+        if (!listeners.has(key)) listen(key, space);
+    }
+
+    if (announced?.key !== targetKey()) run(announce);
+}
+
+/**
+ * Mark the quest this tab is editing (null when done)
+ * @param {string|null} questId - Quest ID
+ */
+export function setEditingQuest(questId) {
+    if (editingQuestId === questId) return;
+    editingQuestId = questId;
+    if (user) run(announce);
+}
+
+// -------------------------------------------------------------------------
+// This tab
+// -------------------------------------------------------------------------
+
+function run(operation) {
+    queue = queue.then(operation).catch(e => log.warn('Presence update failed', e.message));
+    return queue;
+}
+
+/**
+ * Space this tab should be announced in (none while hidden or idle)
+ */
+function targetKey() {
+    if (idle || document.hidden) return null;
+    const space = (state.spaces || []).find(s => s.id === state.activeSpaceId);
+    return space && isCollaborative(space) ? spaceKey(space) : null;
+}
+
+async function announce() {
+    const key = user ? targetKey() : null;
+    if (announced && announced.key !== key) await withdraw();
+    if (!key) return;
+
+    const [ownerId, spaceId] = key.split('/');
+    const { doc, setDoc, serverTimestamp } = firestore;
+    const ref = announced?.ref || doc(window.FirebaseBridge.getDb(), 'users', ownerId, 'spaces', spaceId, 'presence', tabId);
+    announced = { key, ref };
+
+    await setDoc(ref, {
+        uid: user.uid,
+        name: user.displayName || user.email?.split('@')[0] || 'Someone',
+        editingQuestId: editingQuestId || null,
+        lastSeen: serverTimestamp(),
+        expiresAt: new Date(Date.now() + EXPIRY_MS)
+    });
+}
+
+async function withdraw() {
+    if (!announced) return;
+    const { ref } = announced;
+    announced = null;
+    await firestore.deleteDoc(ref);
+}
+
+function heartbeat() {
+    if (!idle && Date.now() - lastActivity > IDLE_MS) {
+        log.debug('Idle, withdrawing presence');
+        idle = true;
+    }
+    run(announce);
+    notify(); // Others' entries may have gone stale
+}
+
+function handleActivity() {
+    lastActivity = Date.now();
+    if (!idle) return;
+    idle = false;
+    run(announce);
+}
+
+function handleVisibilityChange() {
+    if (!document.hidden) lastActivity = Date.now();
+    idle = false;
+    run(announce);
+}
+
+function handlePageHide() {
+    // Best effort: entries of tabs that close without this expire through STALE_MS
+    if (announced) firestore.deleteDoc(announced.ref).catch(() => {});
+    announced = null;
+}
+
+// -------------------------------------------------------------------------
+// Other tabs
+// -------------------------------------------------------------------------
+
+function listen(key, space) {
+    const [ownerId, spaceId] = key.split('/');
+    const { collection, onSnapshot } = firestore;
+    const presenceRef = collection(window.FirebaseBridge.getDb(), 'users', ownerId, 'spaces', spaceId, 'presence');
+
+    const unsubscribe = onSnapshot(presenceRef, (snapshot) => {
+        entries.set(key, snapshot.docs.map(docSnap => {
+            const data = docSnap.data({ serverTimestamps: 'estimate' });
+            return { ...data, tabId: docSnap.id, lastSeen: data.lastSeen?.toMillis?.() || 0 };
+        }));
+        notify();
+    }, (error) => {
+        log.warn(`Presence listener error: ${space.name}`, error.message);
+    });
+
+    listeners.set(key, unsubscribe);
+}
+
+/**
+ * Other people currently in a space, one entry per person
+ * @param {Object} space - Space object
+ * @returns {Array} [{ uid, name, editingQuestIds }]
+ */
+export function getSpacePresence(space) {
+    if (!user || !space) return [];
+    const now = Date.now();
+    const people = new Map();
+
+    for (const entry of (entries.get(spaceKey(space)) || [])) {
+        if (entry.uid === user.uid || now - entry.lastSeen > STALE_MS) continue;
+        const person = people.get(entry.uid) || { uid: entry.uid, name: entry.name, editingQuestIds: [] };
+        if (entry.editingQuestId) person.editingQuestIds.push(entry.editingQuestId);
+        people.set(entry.uid, person);
+    }
+
+    return [...people.values()].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+// -------------------------------------------------------------------------
+// UI
+// -------------------------------------------------------------------------
+
+/**
+ * Avatars with initials for a list of people
+ * @param {Array} people - Result of getSpacePresence()
+ * @returns {string} HTML
+ */
+export function renderPresenceAvatars(people) {
+    if (people.length === 0) return '';
+    const shown = people.slice(0, MAX_AVATARS).map(renderAvatar).join('');
+    const more = people.length > MAX_AVATARS
+        ? `<span class="presence-avatar presence-more">+${people.length - MAX_AVATARS}</span>`
+        : '';
+    return `<span class="presence-avatars" title="Here now: ${escapeHtml(people.map(p => p.name).join(', '))}">${shown}${more}</span>`;
+}
+
+/**
+ * Round avatar with a person's initials, colored by their uid
+ * @param {Object} person - { uid, name }
+ * @returns {string} HTML
+ */
+export function renderAvatar(person) {
+    return `<span class="presence-avatar" style="--presence-color: ${presenceColor(person.uid)}">${escapeHtml(initials(person.name))}</span>`;
+}
+
+function initials(name) {
+    const words = (name || '?').trim().split(/\s+/);
+    return words.slice(0, 2).map(word => word[0]).join('').toUpperCase();
+}
+
+function presenceColor(uid) {
+    let hash = 0;
+    for (const char of uid || '') hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    return `hsl(${hash}, 55%, 45%)`;
+}
+
+/**
+ * Show who is in the active space in the header, and mark the quests they are editing
+ */
+export function updatePresenceUI() {
+    const space = (state.spaces || []).find(s => s.id === state.activeSpaceId);
+    const people = getSpacePresence(space);
+
+    if (elements.presenceBar) {
+        elements.presenceBar.innerHTML = renderPresenceAvatars(people);
+        elements.presenceBar.classList.toggle('hidden', people.length === 0);
+    }
+
+    const container = elements.questContainer;
+    if (!container) return;
+
+    container.querySelectorAll('.presence-editing').forEach(badge => badge.remove());
+    container.querySelectorAll('.quest-card.being-edited').forEach(card => card.classList.remove('being-edited'));
+
+    for (const person of people) {
+        for (const questId of person.editingQuestIds) {
+            const card = container.querySelector(`.quest-card[data-id="${CSS.escape(questId)}"]`);
+            if (!card) continue;
+            card.classList.add('being-edited');
+            card.insertAdjacentHTML('beforeend',
+                `<span class="presence-editing" title="${escapeHtml(person.name)} is editing">${renderAvatar(person)}</span>`);
+        }
+    }
+}
+
+function notify() {
+    if (changeCallback) changeCallback();
+    updatePresenceUI();
+}
+
+// -------------------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------------------
+
+function isCollaborative(space) {
+    return space.isOwned === false || Object.keys(space.collaborators || {}).length > 0;
+}
+
+function spaceKey(space) {
+    return `${space.isOwned === false ? space.ownerId : user?.uid}/${space.id}`;
+}
@@ -0,0 +1,285 @@
+/**
+ * Proposals Module
+ * Helpers propose progress on quests of a shared space ("I have 4 of these"),
+ * the owner accepts or rejects it from a badge on the quest card
+ * Proposals are kept in a "proposals" subcollection, written only by Cloud Functions
+ */
+
+import { state } from './state.js';
+import { escapeHtml, formatBigNumber } from './utils.js';
+import { callFunction } from './sharing.js';
+import { showToast, completeToast, showAlert } from './popup.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Proposals');
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+// DOM elements
+let elements = {
+    questContainer: null,
+    modalPropose: null,
+    proposeQuestName: null,
+    proposeObjectiveRow: null,
+    proposeObjective: null,
+    proposeAmount: null,
+    proposeNote: null,
+    btnSubmitProposal: null
+};
+
+let feed = { key: null, proposals: [], unsubscribe: null };
+const expanded = new Set(); // Quest IDs whose proposal list is open
+let proposing = null; // { space, questId, hasObjectives } while the propose modal is open
+
+/**
+ * Initialize proposals module
+ */
+export function initProposals(domElements) {
+    elements = { ...elements, ...domElements };
+}
+
+// -------------------------------------------------------------------------
+// Listening
+// -------------------------------------------------------------------------
+
+/**
+ * Follow the pending proposals of the active space and mark them on its cards
+ * Cheap when nothing changed, so it runs on every render
+ */
+export function updateProposals() {
+    const space = getActiveSpace();
+    const user = window.FirebaseBridge?.currentUser;
+    if (user && space && isCollaborative(space)) subscribe(space, user);
+    else unsubscribe();
+    updateProposalsUI();
+}
+
+async function subscribe(space, user) {
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db) return;
+
+    const key = spaceKey(space, user.uid);
+    if (feed.key === key) return;
+    unsubscribe();
+    feed.key = key;
+
+    const { collection, query, where, onSnapshot } = await import(FIRESTORE_URL);
+    if (feed.key !== key) return; // Switched again while loading
+
+    const [ownerId, spaceId] = key.split('/');
+    const pendingQuery = query(
+        collection(db, 'users', ownerId, 'spaces', spaceId, 'proposals'),
+        where('status', '==', 'pending')
+    );
+
+    feed.unsubscribe = onSnapshot(pendingQuery, (snapshot) => {
+        feed.proposals = snapshot.docs
+            .map(docSnap => {
+                const data = docSnap.data({ serverTimestamps: 'estimate' });
+                return { ...data, id: docSnap.id, proposedAt: data.proposedAt?.toMillis?.() || 0 };
+            })
+            .sort((a, b) => a.proposedAt - b.proposedAt);
+        updateProposalsUI();
+    }, (error) => {
+        log.warn('Proposals listener error', error.message);
+    });
+}
+
+function unsubscribe() {
+    if (!feed.key) return;
+    feed.unsubscribe?.();
+    feed = { key: null, proposals: [], unsubscribe: null };
+    expanded.clear();
+}
+
+// -------------------------------------------------------------------------
+// Cards
+// -------------------------------------------------------------------------
+
+/**
+ * Mark quests with pending proposals, and give helpers a propose button
+ */
+export function updateProposalsUI() {
+    const container = elements.questContainer;
+    if (!container) return;
+
+    container.querySelectorAll('.proposal-badge, .btn-propose, .quest-proposals').forEach(el => el.remove());
+
+    const space = getActiveSpace();
+    if (!space || !feed.key) return;
+
+    const isOwner = space.isOwned !== false;
+    const isHelper = space.isOwned === false && space.myRole === 'helper';
+    const byQuest = new Map();
+    for (const proposal of feed.proposals) {
+        if (!byQuest.has(proposal.questId)) byQuest.set(proposal.questId, []);
+        byQuest.get(proposal.questId).push(proposal);
+    }
+
+    container.querySelectorAll('.quest-card').forEach(card => {
+        const tags = card.querySelector('.quest-tags');
+        if (!tags) return;
+        const proposals = byQuest.get(card.dataset.id) || [];
+
+        // Quests tracked per member only count each member's own progress
+        const item = (state.items || []).find(i => i.id === card.dataset.id);
+        if (isHelper && item && !(item.perMember ?? space.perMemberProgress)) {
+            tags.insertAdjacentHTML('beforeend',
+                '<button type="button" class="btn-propose" data-action="propose" title="Propose progress to the owner">+ PROPOSE</button>');
+        }
+        if (proposals.length === 0) return;
+
+        const open = expanded.has(card.dataset.id);
+        tags.insertAdjacentHTML('beforeend', `
+            <button type="button" class="proposal-badge ${open ? 'open' : ''}" data-action="toggle-proposals" title="Proposed by helpers">
+                ${proposals.length} PENDING
+            </button>
+        `);
+        if (open) {
+            card.querySelector('.quest-content')?.insertAdjacentHTML('beforeend', `
+                <div class="quest-proposals">${proposals.map(p => proposalRowHTML(p, isOwner)).join('')}</div>
+            `);
+        }
+    });
+}
+
+function proposalRowHTML(proposal, isOwner) {
+    const target = proposal.objectiveName ? ` › ${proposal.objectiveName}` : '';
+    return `
+        <div class="proposal-row" data-proposal-id="${escapeHtml(proposal.id)}">
+            <span class="proposal-text">
+                <strong>${escapeHtml(proposal.proposedByName || 'Helper')}</strong> has
+                +${formatBigNumber(proposal.amount)}${escapeHtml(target)}
+                ${proposal.note ? `<span class="proposal-note">"${escapeHtml(proposal.note)}"</span>` : ''}
+            </span>
+            ${isOwner ? `
+                <button type="button" class="btn-proposal accept" data-action="accept-proposal" title="Accept and add the progress">✓</button>
+                <button type="button" class="btn-proposal reject" data-action="reject-proposal" title="Reject">✕</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Show or hide the pending proposals of a quest
+ * @param {string} questId - Quest ID
+ */
+export function toggleProposals(questId) {
+    if (expanded.has(questId)) expanded.delete(questId);
+    else expanded.add(questId);
+    updateProposalsUI();
+}
+
+// -------------------------------------------------------------------------
+// Proposing (helpers)
+// -------------------------------------------------------------------------
+
+/**
+ * Open the propose modal for a quest of the active space
+ * @param {string} questId - Quest ID
+ */
+export function openProposeModal(questId) {
+    const space = getActiveSpace();
+    const item = (space?.items || []).find(i => i.id === questId);
+    if (!item || !elements.modalPropose) return;
+
+    const objectives = item.type === 'quest' ? (item.objectives || []) : [];
+    proposing = { space, questId, hasObjectives: objectives.length > 0 };
+
+    if (elements.proposeQuestName) elements.proposeQuestName.textContent = item.name || 'Untitled';
+    elements.proposeObjectiveRow?.classList.toggle('hidden', objectives.length === 0);
+    if (elements.proposeObjective) {
+        elements.proposeObjective.innerHTML = objectives.map(o =>
+            `<option value="${escapeHtml(o.id)}">${escapeHtml(o.name)} (${o.current || 0}/${o.target || 1})</option>`
+        ).join('');
+        // Start on the first objective still missing something
+        const open = objectives.find(o => (o.current || 0) < (o.target || 1));
+        if (open) elements.proposeObjective.value = open.id;
+    }
+    if (elements.proposeAmount) elements.proposeAmount.value = '1';
+    if (elements.proposeNote) elements.proposeNote.value = '';
+
+    elements.modalPropose.classList.remove('hidden');
+    elements.proposeAmount?.focus();
+}
+
+/**
+ * Send the proposal from the propose modal
+ */
+export async function submitProposal() {
+    if (!proposing) return;
+    const { space, questId, hasObjectives } = proposing;
+    const amount = parseInt(elements.proposeAmount?.value, 10);
+
+    if (!Number.isInteger(amount) || amount < 1) {
+        showAlert('Enter how many you have (1 or more).', 'PROPOSE');
+        return;
+    }
+
+    const button = elements.btnSubmitProposal;
+    if (button) button.disabled = true;
+    showToast('Sending proposal...');
+
+    try {
+        await callFunction('createProposal', {
+            ownerId: space.ownerId,
+            spaceId: space.id,
+            questId,
+            objectiveId: hasObjectives ? elements.proposeObjective?.value || null : null,
+            amount,
+            note: elements.proposeNote?.value.trim() || ''
+        });
+        completeToast('Proposal sent to the owner');
+        elements.modalPropose?.classList.add('hidden');
+        proposing = null;
+    } catch (error) {
+        log.error('Failed to create proposal', error.message);
+        showAlert(error.message || 'Failed to send proposal.', 'ERROR');
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+// -------------------------------------------------------------------------
+// Resolving (owner)
+// -------------------------------------------------------------------------
+
+/**
+ * Accept or reject a proposal of the active space
+ * The quest change arrives through the normal quest listener
+ * @param {string} proposalId - Proposal ID
+ * @param {boolean} accept - True to apply the progress
+ * @param {HTMLElement} button - Clicked button, disabled while the call runs
+ */
+export async function resolveProposal(proposalId, accept, button = null) {
+    const space = getActiveSpace();
+    if (!space || space.isOwned === false) return;
+
+    if (button) button.disabled = true;
+    showToast(accept ? 'Accepting...' : 'Rejecting...');
+
+    try {
+        await callFunction('resolveProposal', { spaceId: space.id, proposalId, accept });
+        completeToast(accept ? 'Proposal accepted' : 'Proposal rejected');
+    } catch (error) {
+        log.error('Failed to resolve proposal', error.message);
+        showAlert(error.message || 'Failed to resolve proposal.', 'ERROR');
+        if (button) button.disabled = false;
+    }
+}
+
+// -------------------------------------------------------------------------
+// Helpers
+// -------------------------------------------------------------------------
+
+function getActiveSpace() {
+    return (state.spaces || []).find(s => s.id === state.activeSpaceId);
+}
+
+function isCollaborative(space) {
+    return space.isOwned === false || Object.keys(space.collaborators || {}).length > 0;
+}
+
+function spaceKey(space, uid) {
+    return `${space.isOwned === false ? space.ownerId : uid}/${space.id}`;
+}
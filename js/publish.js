@@ -0,0 +1,218 @@
+/**
+ * Public Page Module
+ * Owners publish a space to a public, unguessable URL (?public=<token>) where anyone can
+ * follow its progress without signing in or being invited
+ * The page shows a copy kept current by Cloud Functions (publicSpaces/{token}, see
+ * functions/publish.js), without notes or anything about the members; it is rendered
+ * like a shared space the visitor can only view
+ */
+
+import { state, syncActiveSpace, setPublicView } from './state.js';
+import { normalizeItem } from './utils.js';
+import { fromQuestDocs } from './sync-merge.js';
+import { callFunction, copyToClipboard } from './sharing.js';
+import { showAlert, showConfirm, showToast, completeToast } from './popup.js';
+import { Logger } from './logger.js';
+
+const log = Logger.module('Publish');
+
+const FIRESTORE_URL = "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
+
+// DOM elements
+let elements = {
+    publicSpaceName: null,
+    publishSection: null,
+    publicLinkContainer: null,
+    publicLinkUrl: null,
+    btnPublishSpace: null
+};
+
+let publishSpaceId = null; // Space shown in the share modal
+
+/**
+ * Initialize publish module
+ */
+export function initPublish(domElements) {
+    elements = { ...elements, ...domElements };
+}
+
+/**
+ * Public URL of a published space
+ * @param {string} token - Public token
+ * @returns {string}
+ */
+export function getPublicUrl(token) {
+    return `${window.location.origin}${window.location.pathname}?public=${encodeURIComponent(token)}`;
+}
+
+// -------------------------------------------------------------------------
+// Public view
+// -------------------------------------------------------------------------
+
+/**
+ * Public token in the page URL, if this is a public page
+ * @returns {string|null}
+ */
+export function getPublicToken() {
+    return new URLSearchParams(window.location.search).get('public');
+}
+
+/**
+ * Show a published space instead of the visitor's own data, and follow its changes
+ * Nothing is saved while the page is open (see saveState)
+ * @param {string} token - Public token from the URL
+ * @param {Function} onChange - Called when the published copy changes
+ * @returns {Promise<boolean>} Whether the page exists
+ */
+export async function startPublicView(token, onChange) {
+    setPublicView(true);
+    document.body.classList.add('public-view');
+
+    const db = window.FirebaseBridge?.getDb?.();
+    if (!db) return false;
+
+    const space = {
+        id: `public-${token}`,
+        name: '',
+        color: '#e8b84a',
+        categories: [],
+        items: [],
+        archivedItems: [],
+        isOwned: false,
+        myRole: 'viewer',
+        isPublic: true
+    };
+
+    try {
+        const { doc, collection, getDocFromServer, onSnapshot } = await import(FIRESTORE_URL);
+        const spaceRef = doc(db, 'publicSpaces', token);
+        const spaceSnap = await getDocFromServer(spaceRef);
+        if (!spaceSnap.exists()) return false;
+
+        applyPublicSpace(space, spaceSnap.data());
+        state.spaces = [space];
+        state.activeSpaceId = space.id;
+        state.tags = [];
+        syncActiveSpace();
+
+        onSnapshot(spaceRef, (snapshot) => {
+            if (!snapshot.exists()) {
+                // Unpublished while open
+                space.items = [];
+                space.archivedItems = [];
+                onChange();
+                showAlert('This page is no longer public.', 'NOT AVAILABLE');
+                return;
+            }
+            applyPublicSpace(space, snapshot.data());
+            onChange();
+        }, (error) => {
+            log.warn('Public space listener error', error.message);
+        });
+
+        onSnapshot(collection(spaceRef, 'quests'), (snapshot) => {
+            const questDocs = snapshot.docs.map(questSnap => ({ id: questSnap.id, ...questSnap.data() }));
+            const lists = fromQuestDocs(questDocs);
+            space.items = lists.items.map(item => normalizeItem(item));
+            space.archivedItems = lists.archivedItems.map(item => normalizeItem(item));
+
+            // Tags belong to the owner, so each quest brings the definitions of its own
+            const tags = new Map();
+            questDocs.forEach(questDoc => (questDoc.tagDefs || []).forEach(tag => tags.set(tag.id, tag)));
+            state.tags = [...tags.values()];
+            onChange();
+        }, (error) => {
+            log.warn('Public quests listener error', error.message);
+        });
+
+        return true;
+    } catch (error) {
+        log.error('Failed to load public page', error.message);
+        return false;
+    }
+}
+
+function applyPublicSpace(space, data) {
+    space.name = data.name || 'Unnamed Space';
+    space.color = data.color || space.color;
+    space.categories = Array.isArray(data.categories) ? data.categories : [];
+
+    if (elements.publicSpaceName) elements.publicSpaceName.textContent = space.name;
+    document.title = `${space.name} · FetchQuest`;
+}
+
+// -------------------------------------------------------------------------
+// Share modal
+// -------------------------------------------------------------------------
+
+/**
+ * Show whether a space is published in the share modal
+ * @param {string} spaceId - Space shown in the modal
+ */
+export function openPublishSection(spaceId) {
+    publishSpaceId = spaceId;
+    const space = (state.spaces || []).find(s => s.id === spaceId);
+    elements.publishSection?.classList.toggle('hidden', !space || space.isOwned === false);
+    renderPublishSection(space);
+}
+
+function renderPublishSection(space) {
+    const token = space?.publicToken;
+    elements.publicLinkContainer?.classList.toggle('hidden', !token);
+    if (elements.publicLinkUrl) elements.publicLinkUrl.value = token ? getPublicUrl(token) : '';
+    if (elements.btnPublishSpace) {
+        elements.btnPublishSpace.textContent = token ? 'UNPUBLISH' : 'PUBLISH';
+        elements.btnPublishSpace.classList.toggle('btn-warning', !!token);
+        elements.btnPublishSpace.classList.toggle('btn-secondary', !token);
+    }
+}
+
+/**
+ * Publish the space in the share modal, or take its public page down
+ */
+export async function handlePublishClick() {
+    const space = (state.spaces || []).find(s => s.id === publishSpaceId);
+    if (!space || space.isOwned === false) return;
+
+    const publish = !space.publicToken;
+    if (!publish) {
+        const confirmed = await showConfirm(
+            `Take down the public page of "${space.name}"? Its link stops working right away.`,
+            'UNPUBLISH',
+            true
+        );
+        if (!confirmed) return;
+    } else if ((space._localModified || 0) > (space._lastSyncedLocal || 0)) {
+        // The page is copied from what is in the cloud
+        showAlert('This space has changes that have not synced yet. Try again once they are saved.', 'NOT SYNCED');
+        return;
+    }
+
+    const button = elements.btnPublishSpace;
+    if (button) button.disabled = true;
+    showToast(publish ? 'Publishing...' : 'Unpublishing...');
+
+    try {
+        const result = await callFunction('publishSpace', { spaceId: space.id, publish });
+        if (result.data.publicToken) space.publicToken = result.data.publicToken;
+        else delete space.publicToken;
+        completeToast(publish ? 'Published!' : 'Unpublished');
+
+        if (publish) await copyToClipboard(getPublicUrl(space.publicToken));
+    } catch (error) {
+        completeToast('Failed', 500);
+        log.error('Failed to publish space', error.message);
+        showAlert(error.message || 'Something went wrong.', 'ERROR');
+    } finally {
+        if (button) button.disabled = false;
+        if (publishSpaceId === space.id) renderPublishSection(space);
+    }
+}
+
+/**
+ * Copy the public link shown in the share modal
+ */
+export async function handleCopyPublicLink() {
+    const url = elements.publicLinkUrl?.value;
+    if (url && await copyToClipboard(url)) showToast('Link copied!');
+}
@@ -11,6 +11,10 @@ import { archiveItem } from './archive.js';
 import { handleBulkCardClick } from './bulk.js';
 import { showConfirm } from './popup.js';
 import { openEditTagsModal } from './tags.js';
+import { setEditingQuest } from './presence.js';
+import { openProposeModal, toggleProposals, resolveProposal } from './proposals.js';
+import { getCounterView } from './member-progress.js';
+import { openCommentsModal } from './comments.js';
 
 
 /**
@@ -42,6 +46,8 @@ export function handleQuestAction(e) {
     } else {
         item = (state.items || []).find(i => i.id === itemId);
     }
+    // The counters this user moves (their own on quests tracked per member)
+    const counters = item ? getCounterView(item) : null;
 
     switch (action) {
         case 'increment':
@@ -50,7 +56,7 @@ export function handleQuestAction(e) {
             let delta = action === 'increment' ? 1 : -1;
             if (e.shiftKey) delta *= state.shiftAmount;
             if (e.ctrlKey) delta *= state.ctrlAmount;
-            const newVal = Math.min(item.target, Math.max(0, item.current + delta));
+            const newVal = Math.min(item.target, Math.max(0, counters.current + delta));
             updateItemField(itemId, 'current', newVal);
             updateCardProgress(itemId, archiveItem);
             if (action === 'increment') {
@@ -62,7 +68,7 @@ export function handleQuestAction(e) {
         case 'obj-decrement': {
             const objEl = btn.closest('.objective-item');
             const objId = objEl?.dataset.objectiveId;
-            const objective = item?.objectives.find(o => o.id === objId);
+            const objective = counters?.objectives.find(o => o.id === objId);
             if (!objective) return;
             let delta = action === 'obj-increment' ? 1 : -1;
             if (e.shiftKey) delta *= state.shiftAmount;
@@ -95,7 +101,9 @@ export function handleQuestAction(e) {
             nameEl.replaceWith(input);
             input.focus();
             input.select();
+            setEditingQuest(itemId);
             input.addEventListener('blur', () => {
+                setEditingQuest(null);
                 const newName = input.value.trim() || item.name;
                 updateItemField(itemId, 'name', newName);
                 const span = document.createElement('span');
@@ -116,7 +124,7 @@ export function handleQuestAction(e) {
         case 'edit-current': {
             const currentEl = e.target.closest('.quest-count-current');
             if (!currentEl || !item) return;
-            const currentVal = item.current || 0;
+            const currentVal = counters.current || 0;
             const targetVal = item.target || 1;
 
             const input = document.createElement('input');
@@ -239,7 +247,7 @@ export function handleQuestAction(e) {
             const currentEl = e.target.closest('.objective-current');
             const objEl = e.target.closest('.objective-row');
             const objId = objEl?.dataset.objectiveId;
-            const objective = item?.objectives.find(o => o.id === objId);
+            const objective = counters?.objectives.find(o => o.id === objId);
 
             if (!currentEl || !objective) return;
 
@@ -333,6 +341,21 @@ export function handleQuestAction(e) {
         case 'open-edit-tags':
             openEditTagsModal(itemId);
             break;
+        case 'propose':
+            openProposeModal(itemId);
+            break;
+        case 'open-comments':
+            openCommentsModal(itemId);
+            break;
+        case 'toggle-proposals':
+            toggleProposals(itemId);
+            break;
+        case 'accept-proposal':
+        case 'reject-proposal': {
+            const row = btn.closest('[data-proposal-id]');
+            if (row) resolveProposal(row.dataset.proposalId, action === 'accept-proposal', btn);
+            break;
+        }
     }
 }
 
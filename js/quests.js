@@ -3,15 +3,20 @@
  * Quest/item CRUD operations and DOM updates
  */
 
-import { state, tempObjectives, setTempObjectives, tempImageData, setTempImageData, searchQuery } from './state.js';
+import { state, tempObjectives, setTempObjectives, tempImageData, setTempImageData, searchQuery, getActiveSpace } from './state.js';
 import {
     $, $$, generateId, escapeHtml, isItemComplete,
-    getItemProgress,
+    getItemProgress, isPerMemberItem, getMemberView,
     formatBigNumber, sortItems, getCategoryProgress, normalizeItem, groupItemsByCategory, findItemAcrossSpaces
 } from './utils.js';
 import { saveState } from './storage.js';
 import { celebrate } from './particles.js';
 import { showConfirm } from './popup.js';
+import { recordTombstone, setItemField } from './sync-merge.js';
+import { recordActivity } from './activity.js';
+import { renderAssignee } from './assignees.js';
+import { recordProgress, renderContributions } from './contributions.js';
+import { getProgressScope, getItemScope, getCounterView, setMyProgress, renderMemberProgress } from './member-progress.js';
 
 // Callbacks
 let renderArchiveCallback = null;
@@ -46,7 +51,7 @@ export function addItem(data) {
 
     if (!state.items) state.items = [];
     state.items.push(newItem);
-    sortItems(state.items);
+    sortItems(state.items, getProgressScope());
     saveState();
 
     // Surgical DOM insertion
@@ -69,27 +74,51 @@ export function updateItemField(id, field, value, objectiveId = null) {
     }
     if (!item) return;
 
-    const wasComplete = isItemComplete(item);
+    // Quests tracked per member keep the signed-in member's counters apart from the shared ones
+    const space = (state.spaces || []).find(s => s.id === spaceId);
+    const scope = getProgressScope(space);
+    const perMember = field === 'current' && isPerMemberItem(item, scope);
+    const counters = perMember ? getMemberView(item, scope.uid) : item;
 
-    if (objectiveId) {
-        const objective = item.objectives?.find(o => o.id === objectiveId);
+    const wasComplete = isItemComplete(item, scope);
+    const objective = objectiveId ? counters.objectives?.find(o => o.id === objectiveId) : null;
+    const before = objective ? objective[field] : counters[field];
+
+    if (perMember) {
+        if (!objectiveId || objective) setMyProgress(item, value, objectiveId);
+    } else if (objectiveId) {
         if (objective) {
-            objective[field] = value;
+            setItemField(item, field, value, objective);
             if (field === 'current') {
                 objective.complete = objective.current >= objective.target;
             }
         }
     } else {
-        item[field] = value;
+        setItemField(item, field, value);
     }
 
-    const isNowComplete = isItemComplete(item);
+    const isNowComplete = isItemComplete(item, scope);
 
     if (!wasComplete && isNowComplete) {
-        item.completedAt = Date.now();
+        setItemField(item, 'completedAt', Date.now());
     } else if (wasComplete && !isNowComplete) {
-        item.completedAt = null;
+        setItemField(item, 'completedAt', null);
+    }
+
+    // Collaborative spaces keep a log of who changed what (and may credit progress to them)
+    const changed = JSON.stringify(before ?? null) !== JSON.stringify(value ?? null);
+    if (changed && (objective || !objectiveId)) {
+        if (field === 'current') {
+            const delta = (value || 0) - (before || 0);
+            const after = perMember ? getMemberView(item, scope.uid) : item;
+            const afterObjective = objective ? after.objectives.find(o => o.id === objectiveId) : null;
+            recordActivity(space, 'progress', after, { objective: afterObjective, delta });
+            recordProgress(space, item, delta);
+        } else {
+            recordActivity(space, 'edit', item, { objective, field });
+        }
     }
+    if (!wasComplete && isNowComplete) recordActivity(space, 'complete', item);
 
     saveState(spaceId);
     return { wasComplete, isNowComplete };
@@ -118,7 +147,8 @@ export function deleteItem(id) {
         // Check if image is stored in Firebase Storage (not a base64 or external URL)
         if (window.FirebaseBridge.isStorageUrl(item.imageUrl)) {
             // Delete asynchronously in the background - don't block the UI
-            window.FirebaseBridge.deleteItemImages(spaceId, item.id, 'items')
+            window.FirebaseBridge.deleteItemImages(spaceId, item.id, 'items',
+                window.FirebaseBridge.spaceOwnerId(targetSpace || getActiveSpace()))
                 .then(async result => {
                     if (result.success && result.deletedCount > 0) {
                         console.log(`🗑️ Cleaned up ${result.deletedCount} storage file(s) for deleted quest`);
@@ -140,6 +170,8 @@ export function deleteItem(id) {
     } else {
         state.items = (state.items || []).filter(i => i.id !== id);
     }
+    recordTombstone(targetSpace || getActiveSpace(), 'items', id);
+    recordActivity(targetSpace || getActiveSpace(), 'delete', item);
     saveState(spaceId);
 
     if (card) {
@@ -185,7 +217,7 @@ export function insertItemIntoDOM(item) {
 
     if (!categoryGroup) {
         const categoryItems = (state.items || []).filter(i => i.category === category);
-        const progress = getCategoryProgress(categoryItems);
+        const progress = getCategoryProgress(categoryItems, getProgressScope());
 
         const groupHTML = `
             <section class="category-group" data-category="${escapeHtml(category)}">
@@ -222,7 +254,8 @@ export function insertItemIntoDOM(item) {
     newCard.style.opacity = '0';
     newCard.style.transform = 'translateY(-40px) scale(0.95)';
 
-    const isComplete = isItemComplete(item);
+    const scope = getProgressScope();
+    const isComplete = isItemComplete(item, scope);
     const cards = itemsContainer.querySelectorAll('.quest-card');
     let insertBeforeCard = null;
 
@@ -230,7 +263,7 @@ export function insertItemIntoDOM(item) {
         const existingId = existingCard.dataset.id;
         const existingItem = (state.items || []).find(i => i.id === existingId);
         if (existingItem) {
-            const existingComplete = isItemComplete(existingItem);
+            const existingComplete = isItemComplete(existingItem, scope);
             if (!isComplete && existingComplete) {
                 insertBeforeCard = existingCard;
                 break;
@@ -321,8 +354,13 @@ function renderCustomTags(item) {
  * Create HTML for a quest card
  */
 export function createQuestCardHTML(item) {
-    const isComplete = isItemComplete(item);
-    const progress = getItemProgress(item);
+    // Quests tracked per member show my counters, with everyone else's underneath
+    const scope = getItemScope(item);
+    const perMember = isPerMemberItem(item, scope);
+    const counters = perMember ? getMemberView(item, scope.uid) : item;
+    const isComplete = isItemComplete(item, scope);
+    const countersComplete = perMember ? isItemComplete(counters) : isComplete;
+    const progress = getItemProgress(counters);
     const percent = progress.total > 0 ? Math.min(100, (progress.current / progress.total) * 100) : 0;
 
     const segmentCount = Math.min(progress.total, 20);
@@ -333,7 +371,7 @@ export function createQuestCardHTML(item) {
 
     let objectivesHTML = '';
     if (item.type === 'quest' && item.objectives?.length > 0) {
-        const objItems = item.objectives.map(obj => {
+        const objItems = counters.objectives.map(obj => {
             const objComplete = obj.current >= obj.target;
             return `
                 <div class="objective-item ${objComplete ? 'complete' : ''}" data-item-id="${item.id}" data-objective-id="${obj.id}">
@@ -387,13 +425,16 @@ export function createQuestCardHTML(item) {
                             <div class="quest-tags">
                                 ${item._searchSpaceName ? `<span class="quest-space-tag">${escapeHtml(item._searchSpaceName)}</span>` : ''}
                                 ${item.type === 'quest' ? '<span class="quest-type-tag">QUEST</span>' : ''}
+                                ${perMember ? `<span class="quest-type-tag" title="Everyone tracks their own progress">EACH</span>` : ''}
                                 ${item.priority ? `<span class="quest-priority-tag priority-${item.priority}">${item.priority.toUpperCase()}</span>` : ''}
                                 <span class="quest-category-tag clickable" data-action="start-category-edit" title="Change category">${escapeHtml(item.category)}</span>
                                 ${renderCustomTags(item)}
+                                ${renderAssignee(item)}
                                 <button class="btn-add-tag" data-action="open-edit-tags" title="Edit tags">
                                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="12" height="12"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
                                 </button>
                                 ${isComplete ? '<span class="quest-complete-tag">ACQUIRED</span>' : ''}
+                                ${countersComplete && !isComplete ? '<span class="quest-complete-tag">MY PART DONE</span>' : ''}
                             </div>
                             <h3 class="quest-name">
                                 ${isComplete ? `<svg class="trophy-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9H4.5a2.5 2.5 0 0 1 0-5H6"/><path d="M18 9h1.5a2.5 2.5 0 0 0 0-5H18"/><path d="M4 22h16"/><path d="M10 14.66V17c0 .55-.47.98-.97 1.21C7.85 18.75 7 20.24 7 22"/><path d="M14 14.66V17c0 .55.47.98.97 1.21C16.15 18.75 17 20.24 17 22"/><path d="M18 2H6v7a6 6 0 0 0 12 0V2Z"/></svg>` : ''}
@@ -415,9 +456,11 @@ export function createQuestCardHTML(item) {
                             <div class="progress-segments">${segmentsHTML}</div>
                         </div>
                     </div>
+                    ${perMember ? renderMemberProgress(item, scope) : ''}
+                    ${getActiveSpace()?.trackContributions ? renderContributions(item, progress.total) : ''}
                     ${item.type === 'item' ? `
                         <div class="quest-controls">
-                            <button class="btn-control btn-decrement" data-action="decrement" ${item.current <= 0 ? 'disabled' : ''}>
+                            <button class="btn-control btn-decrement" data-action="decrement" ${counters.current <= 0 ? 'disabled' : ''}>
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="12" x2="19" y2="12"/></svg>
                             </button>
                             <span class="quest-count">
@@ -425,8 +468,8 @@ export function createQuestCardHTML(item) {
                                 <span class="quest-count-divider">/</span>
                                 <span class="quest-count-target" data-action="edit-goal" title="Click to edit goal">${formatBigNumber(progress.total)}</span>
                             </span>
-                            <button class="btn-control btn-increment" data-action="increment" ${isComplete ? 'disabled' : ''}>
-                                ${isComplete ? `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>` : `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>`}
+                            <button class="btn-control btn-increment" data-action="increment" ${countersComplete ? 'disabled' : ''}>
+                                ${countersComplete ? `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>` : `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>`}
                             </button>
                         </div>
                     ` : objectivesHTML}
@@ -483,7 +526,7 @@ export function updateCategoryProgress(category) {
     if (!groupEl) return;
 
     const categoryItems = (state.items || []).filter(i => i.category === category);
-    const progress = getCategoryProgress(categoryItems);
+    const progress = getCategoryProgress(categoryItems, getProgressScope());
 
     const fillEl = groupEl.querySelector('.category-progress-fill');
     const textEl = groupEl.querySelector('.category-progress-text');
@@ -528,8 +571,11 @@ export function updateCardProgress(id, archiveItemCallback) {
     const card = $(`.quest-card[data-id="${id}"]`);
     if (!card) return;
 
-    const isComplete = isItemComplete(item);
-    const progress = getItemProgress(item);
+    const scope = getItemScope(item);
+    const perMember = isPerMemberItem(item, scope);
+    const counters = perMember ? getMemberView(item, scope.uid) : item;
+    const isComplete = isItemComplete(item, scope);
+    const progress = getItemProgress(counters);
     const percent = Math.min(100, (progress.current / progress.total) * 100);
 
     const progressFill = card.querySelector('.progress-fill');
@@ -553,8 +599,8 @@ export function updateCardProgress(id, archiveItemCallback) {
     // Update button disabled states for item type cards
     const decrementBtn = card.querySelector('.btn-decrement');
     const incrementBtn = card.querySelector('.btn-increment');
-    if (decrementBtn) decrementBtn.disabled = item.current <= 0;
-    if (incrementBtn) incrementBtn.disabled = isComplete;
+    if (decrementBtn) decrementBtn.disabled = counters.current <= 0;
+    if (incrementBtn) incrementBtn.disabled = perMember ? isItemComplete(counters) : isComplete;
 
     if (isComplete && !card.classList.contains('complete')) {
         card.classList.add('complete');
@@ -576,7 +622,7 @@ export function updateCardProgress(id, archiveItemCallback) {
             const timerId = setTimeout(() => {
                 const stillItem = (state.items || []).find(i => i.id === item.id);
                 // Verify it's still complete and meant to be archived
-                if (stillItem && isItemComplete(stillItem)) {
+                if (stillItem && isItemComplete(stillItem, getItemScope(stillItem))) {
                     archiveItemCallback(item.id);
                 }
                 window.archiveTimers.delete(item.id);
@@ -610,7 +656,7 @@ export function updateObjectiveDisplay(itemId, objectiveId, archiveItemCallback)
     }
     if (!item) return;
 
-    const objective = item.objectives?.find(o => o.id === objectiveId);
+    const objective = getCounterView(item).objectives?.find(o => o.id === objectiveId);
     if (!objective) return;
 
     const objEl = $(`.objective-item[data-objective-id="${objectiveId}"]`);
@@ -3,7 +3,7 @@
  * Handles invite creation, acceptance, and shared spaces UI
  */
 
-import { showAlert, showConfirm, showToast, completeToast } from './popup.js';
+import { showAlert, showConfirm, showPopup, showToast, completeToast } from './popup.js';
 import { Logger } from './logger.js';
 
 const log = Logger.module('Sharing');
@@ -31,7 +31,7 @@ async function getFunctionsRef() {
 /**
  * Call a Cloud Function
  */
-async function callFunction(name, data) {
+export async function callFunction(name, data) {
     const { httpsCallable } = await import(
         "https://www.gstatic.com/firebasejs/11.0.1/firebase-functions.js"
     );
@@ -43,12 +43,15 @@ async function callFunction(name, data) {
 /**
  * Generate a share link for a space
  * @param {string} spaceId - The space to share
- * @param {string} role - "viewer" or "editor"
- * @returns {Promise<{success: boolean, url?: string, expiresAt?: string, error?: string}>}
+ * @param {string} role - "viewer", "helper" or "editor"
+ * @param {Object} options
+ * @param {number|null} options.maxUses - How many accounts can join with the link (null = unlimited)
+ * @param {number} options.expiresInDays - Days until the link expires
+ * @returns {Promise<{success: boolean, url?: string, expiresAt?: string, maxUses?: number|null, error?: string}>}
  */
-export async function createShareLink(spaceId, role = "viewer") {
+export async function createShareLink(spaceId, role = "viewer", { maxUses = 1, expiresInDays = 7 } = {}) {
     try {
-        const result = await callFunction("createInvite", { spaceId, role });
+        const result = await callFunction("createInvite", { spaceId, role, maxUses, expiresInDays });
 
         const baseUrl = window.location.origin + window.location.pathname;
         const shareUrl = `${baseUrl}?invite=${result.data.inviteCode}`;
@@ -58,6 +61,7 @@ export async function createShareLink(spaceId, role = "viewer") {
             url: shareUrl,
             inviteCode: result.data.inviteCode,
             expiresAt: result.data.expiresAt,
+            maxUses: result.data.maxUses,
         };
     } catch (error) {
         log.error('Failed to create share link', error.message);
@@ -114,6 +118,8 @@ export async function acceptInvite(inviteCode) {
             showAlert("This invite link is invalid or has expired.", "INVALID INVITE");
         } else if (error.code === "functions/already-exists") {
             showAlert("You're already a member of this space.", "ALREADY JOINED");
+        } else if (error.code === "functions/resource-exhausted") {
+            showAlert("This invite link has been used up. Ask the owner for a new one.", "INVITE USED UP");
         } else if (error.code === "functions/failed-precondition") {
             showAlert("This invite has expired.", "EXPIRED INVITE");
         } else if (error.code === "functions/invalid-argument") {
@@ -164,6 +170,126 @@ export async function revokeAccess(spaceId, targetUserId) {
     }
 }
 
+/**
+ * Change a collaborator's role (owner only)
+ * The collaborator's clients pick up the new role from their sharedWithMe entry
+ */
+export async function updateCollaboratorRole(spaceId, targetUserId, role) {
+    showToast("Updating role...");
+
+    try {
+        await callFunction("updateCollaboratorRole", { spaceId, targetUserId, role });
+        completeToast("Role updated", 400);
+        return { success: true };
+    } catch (error) {
+        completeToast("Failed", 500);
+        log.error('Failed to update role', error.message);
+        showAlert(error.message || "Failed to change role.", "ERROR");
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Hand a space over to one of its collaborators (owner only)
+ * Asks for confirmation, and whether to stay on as an editor
+ * @returns {Promise<{success: boolean, keepAccess?: boolean, error?: string}|null>} null if cancelled
+ */
+export async function transferOwnership(space, newOwnerId, newOwnerName) {
+    const confirmed = await showConfirm(
+        `Make ${newOwnerName} the owner of "${space.name}"? The space, its quests and images move to their account, and only they can undo this.`,
+        "TRANSFER OWNERSHIP",
+        true
+    );
+
+    if (!confirmed) return null;
+
+    const keepAccess = await showPopup({
+        type: 'confirm',
+        title: 'STAY IN SPACE?',
+        message: `Keep working on "${space.name}" as an editor after the transfer?`,
+        confirmText: 'STAY AS EDITOR',
+        cancelText: 'LEAVE'
+    });
+
+    showToast("Transferring...");
+
+    try {
+        await callFunction("transferOwnership", { spaceId: space.id, newOwnerId, keepAccess });
+        completeToast(`"${space.name}" now belongs to ${newOwnerName}`, 2000);
+        return { success: true, keepAccess };
+    } catch (error) {
+        completeToast("Failed", 500);
+        log.error('Failed to transfer ownership', error.message);
+        showAlert(error.message || "Failed to transfer the space.", "ERROR");
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Copy a shared space into a new space of my own (collaborators only)
+ * Asks whether to start from zero; the copy shows up through the spaces listener
+ * @returns {Promise<{success: boolean, spaceId?: string, error?: string}|null>} null if cancelled
+ */
+export async function cloneSharedSpace(space) {
+    const confirmed = await showConfirm(
+        `Copy the quests of "${space.name}" into a new space of your own? Images they use are copied too and count toward your storage.`,
+        "CLONE SPACE"
+    );
+
+    if (!confirmed) return null;
+
+    const resetProgress = await showPopup({
+        type: 'confirm',
+        title: 'RESET PROGRESS?',
+        message: `Start your copy of "${space.name}" from zero, or keep the progress made so far?`,
+        confirmText: 'START FROM ZERO',
+        cancelText: 'KEEP PROGRESS'
+    });
+
+    showToast("Cloning...");
+
+    try {
+        const result = await callFunction("cloneSpace", { ownerId: space.ownerId, spaceId: space.id, resetProgress });
+        completeToast(`"${space.name}" cloned to your spaces`, 2000);
+        return { success: true, spaceId: result.data.spaceId };
+    } catch (error) {
+        completeToast("Failed", 500);
+        log.error('Failed to clone space', error.message);
+        if (error.code === "functions/resource-exhausted") {
+            showAlert("You don't have enough storage for the images of this space.", "STORAGE FULL");
+        } else {
+            showAlert(error.message || "Failed to clone the space.", "ERROR");
+        }
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Copy the quests the source of a cloned space added since it was cloned
+ * @returns {Promise<{success: boolean, added?: number, error?: string}>}
+ */
+export async function pullSourceQuests(space) {
+    showToast("Checking for new quests...");
+
+    try {
+        const result = await callFunction("pullSourceQuests", { spaceId: space.id });
+        const added = result.data.added;
+        completeToast(added > 0 ? `${added} new quest${added === 1 ? '' : 's'} added` : "No new quests", 2000);
+        return { success: true, added };
+    } catch (error) {
+        completeToast("Failed", 500);
+        log.error('Failed to pull source quests', error.message);
+        if (error.code === "functions/not-found" || error.code === "functions/permission-denied") {
+            showAlert(`"${space.clonedFrom?.spaceName || 'The original space'}" is no longer shared with you.`, "SOURCE UNAVAILABLE");
+        } else if (error.code === "functions/resource-exhausted") {
+            showAlert("You don't have enough storage for the images of the new quests.", "STORAGE FULL");
+        } else {
+            showAlert(error.message || "Failed to pull new quests.", "ERROR");
+        }
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Leave a shared space (collaborator removes themselves)
  */
@@ -238,7 +364,7 @@ export async function copyToClipboard(text) {
 }
 
 /**
- * List active (non-expired, unused) invites for a space
+ * List active (non-expired, with uses left) invites for a space
  */
 export async function listActiveInvites(spaceId) {
     try {
@@ -7,6 +7,8 @@ import { state, syncActiveSpace, DEFAULT_CATEGORIES, isViewOnly } from './state.
 import { $, $$, escapeHtml, getItemProgress } from './utils.js';
 import { saveState, saveStateLocal } from './storage.js';
 import { showConfirm, showAlert } from './popup.js';
+import { getSpacePresence, renderPresenceAvatars } from './presence.js';
+import { getProgressScope } from './member-progress.js';
 
 
 // Callback references (set via init)
@@ -34,7 +36,7 @@ export function renderSpaces() {
         const isActive = space.id === state.activeSpaceId;
         const progress = calculateSpaceProgress(space);
         const isShared = space.isOwned === false;
-        const roleLabel = space.myRole === 'editor' ? 'E' : 'V';
+        const roleLabel = { editor: 'E', helper: 'H' }[space.myRole] || 'V';
 
         return `
             <div class="space-tab ${isActive ? 'active' : ''} ${isShared ? 'shared-space' : ''}" 
@@ -48,6 +50,7 @@ export function renderSpaces() {
                     ${isShared ? '<span class="space-shared-icon" title="Shared with you">⤵</span>' : ''}
                     ${escapeHtml(space.name)}
                     ${isShared ? `<span class="space-role-badge" title="${space.myRole}">${roleLabel}</span>` : ''}
+                    ${renderPresenceAvatars(getSpacePresence(space))}
                 </button>
             </div>
         `;
@@ -68,9 +71,10 @@ export function calculateSpaceProgress(space) {
 
     let totalCurrent = 0;
     let totalTarget = 0;
+    const scope = getProgressScope(space);
 
     allItems.forEach(item => {
-        const prog = getItemProgress(item);
+        const prog = getItemProgress(item, scope);
         totalCurrent += prog.current;
         totalTarget += prog.total;
     });
@@ -137,6 +141,12 @@ export function handleAddSpace() {
     $('#edit-space-id').value = '';
     $('#edit-space-name').value = '';
     $('#edit-space-color').value = randomColor;
+    $('#edit-space-contributions').checked = false;
+    $('#edit-space-contributions').disabled = false;
+    $('#edit-space-per-member').checked = false;
+    $('#edit-space-per-member').disabled = false;
+    $('#edit-space-complete-when').value = 'everyone';
+    $('#edit-space-complete-when').disabled = false;
 
     // Update modal title for new space
     modal.querySelector('.modal-title').textContent = 'NEW SPACE';
@@ -174,6 +184,13 @@ export function openSpaceEditModal(spaceId) {
     $('#edit-space-id').value = spaceId;
     nameInput.value = space.name;
     $('#edit-space-color').value = space.color;
+    // Only the owner decides how progress is counted and credited
+    $('#edit-space-contributions').checked = !!space.trackContributions;
+    $('#edit-space-contributions').disabled = isGuest;
+    $('#edit-space-per-member').checked = !!space.perMemberProgress;
+    $('#edit-space-per-member').disabled = isGuest;
+    $('#edit-space-complete-when').value = space.perMemberCompleteWhen === 'mine' ? 'mine' : 'everyone';
+    $('#edit-space-complete-when').disabled = isGuest;
     // Store ownerId for leave action
     modal.dataset.ownerId = space.ownerId || '';
 
@@ -243,6 +260,9 @@ export function handleSaveSpace() {
     const spaceId = $('#edit-space-id').value;
     const name = $('#edit-space-name').value.trim().toUpperCase();
     const color = $('#edit-space-color').value;
+    const trackContributions = $('#edit-space-contributions').checked;
+    const perMemberProgress = $('#edit-space-per-member').checked;
+    const perMemberCompleteWhen = $('#edit-space-complete-when').value;
 
     if (!name) {
         $('#edit-space-name').focus();
@@ -255,6 +275,9 @@ export function handleSaveSpace() {
         if (space) {
             space.name = name;
             space.color = color;
+            space.trackContributions = trackContributions;
+            space.perMemberProgress = perMemberProgress;
+            space.perMemberCompleteWhen = perMemberCompleteWhen;
         }
     } else {
         // Creating new space
@@ -264,7 +287,10 @@ export function handleSaveSpace() {
             color: color,
             items: [],
             archivedItems: [],
-            categories: [...DEFAULT_CATEGORIES]
+            categories: [...DEFAULT_CATEGORIES],
+            trackContributions,
+            perMemberProgress,
+            perMemberCompleteWhen
         };
         if (!state.spaces) state.spaces = [];
         state.spaces.push(newSpace);
@@ -296,7 +322,9 @@ export async function handleDeleteSpace() {
     // If it's a shared space we're a guest on, handle as "leave" instead of "delete"
     if (space.isOwned === false) {
         const { leaveSharedSpace } = await import('./sharing.js');
+        space._leaving = true; // No "access removed" notice when sharedWithMe updates
         const result = await leaveSharedSpace(space.ownerId, spaceId, space.name);
+        if (!result?.success) delete space._leaving;
 
         if (result && result.success) {
             // Remove from local state
@@ -18,7 +18,8 @@ export const state = {
     shiftAmount: 5,
     ctrlAmount: 10,
     autoArchive: true,
-    multiColumn: false
+    multiColumn: false,
+    conflicts: [] // Unresolved sync conflicts (kept locally until the user picks a version)
 };
 
 // Active space pointer (for compatibility with existing code)
@@ -118,6 +119,7 @@ export let searchQuery = '';
 export let bulkMode = false;
 export let selectedItems = new Set();
 export let selectedTags = []; // Tags selected in form
+export let publicView = false; // Showing a published space (?public=<token>), nothing is saved
 
 // Setters for mutable UI state
 export function setCurrentType(type) { currentType = type; }
@@ -130,3 +132,4 @@ export function addSelectedItem(id) { selectedItems.add(id); }
 export function removeSelectedItem(id) { selectedItems.delete(id); }
 export function setSelectedTags(tags) { selectedTags = tags; }
 export function clearSelectedTags() { selectedTags = []; }
+export function setPublicView(value) { publicView = value; }
@@ -3,8 +3,10 @@
  * Calculates and displays progress statistics
  */
 
-import { state } from './state.js';
-import { $, escapeHtml, isItemComplete } from './utils.js';
+import { state, getActiveSpace } from './state.js';
+import { $, escapeHtml, isItemComplete, formatBigNumber } from './utils.js';
+import { getLeaderboard } from './contributions.js';
+import { getProgressScope } from './member-progress.js';
 
 // DOM elements
 let elements = {
@@ -15,7 +17,12 @@ let elements = {
     statActive: null,
     statRate: null,
     statsCategories: null,
-    statsSpaces: null
+    statsSpaces: null,
+    statsTabs: null,
+    statsOverviewPane: null,
+    statsLeaderboardPane: null,
+    statsLeaderboardTitle: null,
+    statsLeaderboard: null
 };
 
 /**
@@ -41,6 +48,18 @@ export function openStatistics() {
     elements.modalStatistics.classList.remove('hidden');
 }
 
+/**
+ * Switch between the overview and the leaderboard of the active space
+ * @param {string} tab - 'overview' or 'leaderboard'
+ */
+export function switchStatisticsTab(tab) {
+    elements.statsTabs?.forEach(t => {
+        t.classList.toggle('active', t.dataset.tab === tab);
+    });
+    elements.statsOverviewPane?.classList.toggle('hidden', tab !== 'overview');
+    elements.statsLeaderboardPane?.classList.toggle('hidden', tab !== 'leaderboard');
+}
+
 /**
  * Calculate statistics across all spaces
  * @returns {Object} Statistics data
@@ -60,8 +79,9 @@ export function calculateStatistics() {
         const archived = space.archivedItems || [];
         const allItems = [...items, ...archived];
 
+        const scope = getProgressScope(space);
         const spaceTotal = allItems.length;
-        const spaceCompleted = archived.length + items.filter(i => isItemComplete(i)).length;
+        const spaceCompleted = archived.length + items.filter(i => isItemComplete(i, scope)).length;
 
         stats.total += spaceTotal;
         stats.completed += spaceCompleted;
@@ -83,7 +103,7 @@ export function calculateStatistics() {
                     stats.byCategory[cat] = { total: 0, completed: 0 };
                 }
                 stats.byCategory[cat].total++;
-                if (archived.includes(item) || isItemComplete(item)) {
+                if (archived.includes(item) || isItemComplete(item, scope)) {
                     stats.byCategory[cat].completed++;
                 }
             });
@@ -149,4 +169,42 @@ export function renderStatistics() {
             `).join('');
         }
     }
+
+    renderLeaderboard();
+}
+
+/**
+ * Render who contributed most to the active space (spaces that track contributions)
+ */
+function renderLeaderboard() {
+    if (!elements.statsLeaderboard) return;
+    const space = getActiveSpace();
+
+    if (elements.statsLeaderboardTitle) {
+        elements.statsLeaderboardTitle.textContent = space ? `LEADERBOARD: ${space.name}` : 'LEADERBOARD';
+    }
+
+    if (!space?.trackContributions) {
+        elements.statsLeaderboard.innerHTML = '<div class="stats-empty">Contributions are not tracked in this space. The owner can turn them on in the space settings.</div>';
+        return;
+    }
+
+    const leaderboard = getLeaderboard(space);
+    if (leaderboard.length === 0) {
+        elements.statsLeaderboard.innerHTML = '<div class="stats-empty">No contributions yet</div>';
+        return;
+    }
+
+    const top = leaderboard[0].amount;
+    elements.statsLeaderboard.innerHTML = leaderboard.map((member, index) => `
+        <div class="stats-bar-item">
+            <div class="stats-bar-header">
+                <span class="stats-bar-name">${index + 1}. ${escapeHtml(member.name)}</span>
+                <span class="stats-bar-value" title="${member.quests} quest(s)">${formatBigNumber(member.amount)}</span>
+            </div>
+            <div class="stats-bar-track">
+                <div class="stats-bar-fill" style="width: ${(member.amount / top) * 100}%"></div>
+            </div>
+        </div>
+    `).join('');
 }
@@ -3,10 +3,11 @@
  * Handles LocalStorage and Cloud sync operations
  */
 
-import { state, syncActiveSpace, DEFAULT_CATEGORIES, STORAGE_KEY } from './state.js';
+import { state, syncActiveSpace, publicView, DEFAULT_CATEGORIES, STORAGE_KEY } from './state.js';
 import { normalizeItem } from './utils.js';
 import { showAlert } from './popup.js';
 import { syncManager } from './sync-manager.js';
+import { broadcastState } from './tab-sync.js';
 import { Logger } from './logger.js';
 
 const log = Logger.module('Storage');
@@ -42,6 +43,9 @@ export function initStorage(domElements, callbacks) {
  * @param {string} modifiedSpaceId - Optional ID of the space that was modified
  */
 export function saveState(modifiedSpaceId = null) {
+    // A public page shows someone else's space and must not overwrite the visitor's own data
+    if (publicView) return;
+
     // Set global modification timestamp
     state._localModified = Date.now();
 
@@ -55,7 +59,8 @@ export function saveState(modifiedSpaceId = null) {
 
     saveStateLocal();
 
-    // Sync to cloud via SyncManager
+    // Share with other open tabs, then sync to cloud via SyncManager (leader tab only)
+    broadcastState(state);
     syncManager.save(state);
 }
 
@@ -64,6 +69,8 @@ export function saveState(modifiedSpaceId = null) {
  * Used for local preferences like activeSpaceId
  */
 export function saveStateLocal() {
+    if (publicView) return;
+
     try {
         // For logged-in users, strip base64 images to save localStorage space
         // (images are stored in Firebase Storage instead)
@@ -183,6 +190,7 @@ export function loadState() {
             state.shiftAmount = parsed.shiftAmount || 5;
             state.ctrlAmount = parsed.ctrlAmount || 10;
             state.autoArchive = parsed.autoArchive !== false;
+            state.conflicts = Array.isArray(parsed.conflicts) ? parsed.conflicts : [];
 
             if (parsed.spaces && Array.isArray(parsed.spaces) && parsed.spaces.length > 0) {
                 state.spaces = parsed.spaces;
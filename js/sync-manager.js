@@ -4,10 +4,25 @@
  */
 
 import {
-    doc, setDoc, getDoc, getDocFromServer, collection, getDocs,
-    writeBatch, onSnapshot, serverTimestamp
+    doc, setDoc, getDoc, getDocFromServer, collection, getDocs, getDocsFromServer,
+    writeBatch, onSnapshot, serverTimestamp, deleteField, updateDoc, arrayRemove, increment
 } from "https://www.gstatic.com/firebasejs/11.0.1/firebase-firestore.js";
 import { CURRENT_POLICY_VERSION } from './firebase-bridge.js';
+import { callFunction } from './sharing.js';
+import {
+    ITEM_LISTS, pruneTombstones, collectPendingDeltas, settlePendingDeltas, mergeTombstones,
+    toQuestDoc, fromQuestDocs, questFingerprint, diffDocFields, mergeQuestChanges, applyQuestChanges, findQuestConflicts
+} from './sync-merge.js';
+import { createOutbox, createSpaceEntry, createSettingsEntry, replayOutboxEntries, SPACE_DOC_FIELDS } from './outbox.js';
+import { isLeaderTab } from './tab-sync.js';
+import { classifySyncError, getErrorCode, getRetryDelay } from './sync-retry.js';
+
+// Firestore allows 500 operations per batch
+const MAX_BATCH_WRITES = 450;
+
+// applySpaceChanges errors that mean the function is missing or unreachable, so the
+// client merges instead; any other error is the server refusing the changes
+const CLIENT_MERGE_FALLBACK_CODES = new Set(['not-found', 'unavailable', 'internal']);
 
 /**
  * Recursively remove undefined values from an object (Firestore rejects them)
@@ -27,35 +42,28 @@ function sanitizeForFirestore(obj) {
 }
 
 /**
- * Merge local and server item arrays for collaborative sync
- * - Items in local but not server: keep (local additions)
- * - Items in server but not local: keep (other user's additions) 
- * - Items in both: prefer local (user's recent changes win)
+ * Check whether space data still uses the old layout (quests as arrays in the space doc)
  */
-function mergeItemArrays(localItems, serverItems) {
-    if (!serverItems || !Array.isArray(serverItems)) return localItems || [];
-    if (!localItems || !Array.isArray(localItems)) return serverItems;
-
-    const merged = new Map();
+function hasLegacyLists(spaceData) {
+    return Array.isArray(spaceData?.items) || Array.isArray(spaceData?.archivedItems);
+}
 
-    // First add all server items
-    for (const item of serverItems) {
-        if (item && item.id) {
-            merged.set(item.id, item);
-        }
+/**
+ * Replace base64 images on a local item with the Storage URLs they were uploaded to
+ */
+function adoptUploadedImages(item, written) {
+    const isBase64 = url => typeof url === 'string' && url.startsWith('data:');
+    if (isBase64(item.imageUrl) && written.imageUrl && !isBase64(written.imageUrl)) {
+        item.imageUrl = written.imageUrl;
     }
-
-    // Then overlay local items (local changes win for matching IDs)
-    for (const item of localItems) {
-        if (item && item.id) {
-            merged.set(item.id, item);
+    for (const obj of (item.objectives || [])) {
+        const writtenObj = (written.objectives || []).find(o => o.id === obj.id);
+        if (writtenObj && isBase64(obj.imageUrl) && writtenObj.imageUrl && !isBase64(writtenObj.imageUrl)) {
+            obj.imageUrl = writtenObj.imageUrl;
         }
     }
-
-    return Array.from(merged.values());
 }
 
-
 // ============================================================================
 // SYNC LOGGING
 // ============================================================================
@@ -124,6 +132,19 @@ export class SyncManager {
         this.saveTimeout = null;
         this.saveDebounceMs = 500;
         this.isInitializing = false;
+        this.questUnsubscribers = new Map(); // "ownerId/spaceId" -> unsubscribe
+        this.sharedListeners = new Map(); // "ownerId/spaceId" -> { shared, unsubscribe }
+        this.questBaselines = new Map(); // "ownerId/spaceId" -> Map(questId -> { fingerprint, data } of server copy)
+        this.spaceBaselines = new Map(); // "ownerId/spaceId" -> { field: fingerprint } of the space document
+        this.legacySpaces = new Set(); // "ownerId/spaceId" of spaces still waiting for migration
+        this.outbox = createOutbox(); // Unsynced changes, persisted in IndexedDB
+        this.outboxSeq = 0;
+        this.pendingCount = 0;
+        this.pendingListeners = [];
+        this.lastError = null; // { code, retryable, message, nextRetryAt } of the last failed save
+        this.retryAttempt = 0;
+        this.retryTimeout = null;
+        this.retryState = null;
 
         // Singleton
         if (syncManagerInstance) {
@@ -157,8 +178,8 @@ export class SyncManager {
     // Status Management
     // -------------------------------------------------------------------------
 
-    setStatus(status) {
-        if (this.status === status) return;
+    setStatus(status, force = false) {
+        if (this.status === status && !force) return;
         this.status = status;
         this.statusListeners.forEach(cb => cb(status));
     }
@@ -171,6 +192,26 @@ export class SyncManager {
         };
     }
 
+    onPendingCountChange(callback) {
+        this.pendingListeners.push(callback);
+        callback(this.pendingCount);
+        return () => {
+            this.pendingListeners = this.pendingListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    async refreshPendingCount() {
+        if (!this.isLoggedIn) return;
+        try {
+            const count = await this.outbox.count(this.user.uid);
+            if (count === this.pendingCount) return;
+            this.pendingCount = count;
+            this.pendingListeners.forEach(cb => cb(count));
+        } catch (e) {
+            SyncLog.warn('Could not read outbox', e.message);
+        }
+    }
+
     // -------------------------------------------------------------------------
     // Data Change Listeners
     // -------------------------------------------------------------------------
@@ -206,7 +247,14 @@ export class SyncManager {
             return;
         }
 
+        // Changes made here reach the leader tab over the tab channel, which saves them
+        if (!isLeaderTab()) {
+            SyncLog.debug('Another tab is the sync leader, skipping cloud save');
+            return;
+        }
+
         this.pendingChanges = true;
+        this.queueOutbox(state);
 
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
@@ -252,8 +300,11 @@ export class SyncManager {
             return { success: false, error: 'Delayed for drag' };
         }
 
+        this.clearRetry();
         const startTime = Date.now();
-        const batch = writeBatch(this.db);
+        const outboxSeq = this.outboxSeq; // Everything queued so far is part of this save
+        const writes = []; // (batch) => void, committed in chunks
+        const afterCommit = []; // run once every write is committed
         let savedCount = 0;
         let globalSaved = false;
 
@@ -282,87 +333,43 @@ export class SyncManager {
                 userData.acceptedPolicyVersion = CURRENT_POLICY_VERSION;
             }
 
-            batch.set(userRef, userData, { merge: true });
+            writes.push(batch => batch.set(userRef, userData, { merge: true }));
             globalSaved = true;
             this._syncingGlobalTimestamp = globalMod;
         }
 
-        // Check each owned space for changes
-        for (const space of state.spaces) {
-            // Skip if not owned AND not an editor (viewers cannot save)
-            if (space.isOwned === false && space.myRole !== 'editor') continue;
+        try {
+            // Check each owned space for changes
+            for (const space of state.spaces) {
+                // Skip if not owned AND not an editor (viewers cannot save)
+                if (space.isOwned === false && space.myRole !== 'editor') continue;
 
-            const localMod = space._localModified || 0;
-            const lastSync = space._lastSyncedLocal || 0;
+                const localMod = space._localModified || 0;
+                const lastSync = space._lastSyncedLocal || 0;
 
-            // Only save if it's never been saved or has local changes
-            if (this.lastSyncTime && localMod <= lastSync && lastSync !== 0) continue;
+                // Only save if it's never been saved or has local changes
+                if (this.lastSyncTime && localMod <= lastSync && lastSync !== 0) continue;
 
-            // Process images if bridge has the function
-            let processedItems = space.items || [];
-            let processedArchived = space.archivedItems || [];
+                space._syncingTimestamp = localMod || Date.now();
+                savedCount++;
 
-            if (window.FirebaseBridge?.processItemsForUpload) {
-                processedItems = await window.FirebaseBridge.processItemsForUpload(
-                    space.items || [], space.id, 'items'
-                );
-                processedArchived = await window.FirebaseBridge.processItemsForUpload(
-                    space.archivedItems || [], space.id, 'archived'
-                );
+                await this.saveSpace(space, state.spaces, writes, afterCommit);
             }
 
-            // Determine target path (use ownerId if it's a shared space)
-            const targetOwnerId = (space.isOwned === false && space.ownerId)
-                ? space.ownerId
-                : this.user.uid;
-
-            const spaceRef = doc(this.db, 'users', targetOwnerId, 'spaces', space.id);
-
-            // For shared spaces, fetch current server state and merge to prevent overwrites
-            let finalItems = processedItems;
-            let finalArchived = processedArchived;
-
-            if (space.isOwned === false && space.myRole === 'editor') {
-                try {
-                    const serverSnap = await getDoc(spaceRef);
-                    if (serverSnap.exists()) {
-                        const serverData = serverSnap.data();
-                        finalItems = mergeItemArrays(processedItems, serverData.items);
-                        finalArchived = mergeItemArrays(processedArchived, serverData.archivedItems);
-                        SyncLog.debug(`Merged items for shared space ${space.id}: ${finalItems.length} items`);
-                    }
-                } catch (e) {
-                    SyncLog.warn('Could not fetch server state for merge', e.message);
-                    // Fall back to local items if fetch fails
-                }
+            if (savedCount === 0 && !globalSaved) {
+                SyncLog.debug('No changes to save');
+                this.pendingChanges = false;
+                this.resetRetry();
+                this.setStatus('synced');
+                this.clearOutbox(outboxSeq);
+                return { success: true };
             }
 
-            batch.set(spaceRef, sanitizeForFirestore({
-                name: space.name || 'Unnamed Space',
-                color: space.color || '#e8b84a',
-                items: finalItems,
-                archivedItems: finalArchived,
-                categories: space.categories || [],
-                lastModified: serverTimestamp()
-            }), { merge: true });
-
-            space._syncingTimestamp = localMod || Date.now();
-            savedCount++;
-        }
-
-
-        if (savedCount === 0 && !globalSaved) {
-            SyncLog.debug('No changes to save');
-            this.pendingChanges = false;
-            this.setStatus('synced');
-            return { success: true };
-        }
+            SyncLog.info(`Syncing ${globalSaved ? 'settings + ' : ''}${savedCount} space(s)...`);
+            this.setStatus('syncing');
 
-        SyncLog.info(`Syncing ${globalSaved ? 'settings + ' : ''}${savedCount} space(s)...`);
-        this.setStatus('syncing');
-
-        try {
-            await batch.commit();
+            await this.commitWrites(writes);
+            afterCommit.forEach(fn => fn());
 
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
             SyncLog.success(`Cloud save complete (${elapsed}s)`);
@@ -381,7 +388,9 @@ export class SyncManager {
             }
 
             this.lastSyncTime = Date.now();
+            this.resetRetry();
             this.setStatus('synced');
+            this.clearOutbox(outboxSeq);
 
             // Update FirebaseBridge sync time for UI display
             window.FirebaseBridge?.updateLastSyncTime?.();
@@ -393,15 +402,519 @@ export class SyncManager {
             return { success: true };
         } catch (error) {
             SyncLog.error('Cloud save failed', error.message);
-            this.setStatus('error');
-            this.pendingChanges = false;
             // Clean up temporary markers
             delete this._syncingGlobalTimestamp;
             (state.spaces || []).forEach(s => delete s._syncingTimestamp);
+            // Changes stay queued in the outbox until a retry gets them through
+            this.scheduleRetry(state, error);
             return { success: false, error: error.message };
         }
     }
 
+    // -------------------------------------------------------------------------
+    // Retry
+    // -------------------------------------------------------------------------
+
+    /**
+     * Retry a failed save later, backing off after each failure
+     * Permission and validation errors wait for the next edit or a manual retry
+     */
+    scheduleRetry(state, error) {
+        const failure = classifySyncError(error, navigator.onLine !== false);
+        this.retryState = state;
+        this.clearRetry();
+
+        let delay = null;
+        if (failure.code === 'offline') {
+            SyncLog.info('Offline, will sync when the connection returns');
+        } else if (failure.retryable) {
+            this.retryAttempt++;
+            delay = getRetryDelay(this.retryAttempt);
+            if (delay === null) SyncLog.warn(`Giving up after ${this.retryAttempt - 1} retries`);
+        } else {
+            SyncLog.warn(`Not retrying (${failure.code})`);
+        }
+
+        if (delay !== null) {
+            SyncLog.info(`Retrying save in ${(delay / 1000).toFixed(1)}s (attempt ${this.retryAttempt})`);
+            this.retryTimeout = setTimeout(() => {
+                this.retryTimeout = null;
+                if (this.isLoggedIn && isLeaderTab()) this.saveNow(this.retryState);
+            }, delay);
+        }
+
+        this.lastError = { ...failure, nextRetryAt: delay === null ? null : Date.now() + delay };
+        this.pendingChanges = true;
+        // Force: listeners need the new message even if the status was already 'error'
+        this.setStatus(failure.code === 'offline' ? 'offline' : 'error', true);
+    }
+
+    /**
+     * Retry a failed save right away (the "retry now" action)
+     */
+    retryNow() {
+        if (!this.retryState || !this.isLoggedIn) return;
+        SyncLog.info('Retrying save now');
+        this.retryAttempt = 0;
+        this.saveNow(this.retryState);
+    }
+
+    clearRetry() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+    }
+
+    resetRetry() {
+        this.clearRetry();
+        this.retryAttempt = 0;
+        this.retryState = null;
+        this.lastError = null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Outbox
+    // -------------------------------------------------------------------------
+
+    /**
+     * Persist unsynced spaces and settings so they survive a closed tab
+     */
+    queueOutbox(state) {
+        const uid = this.user.uid;
+        const entries = [];
+        const nextSeq = () => {
+            this.outboxSeq = Math.max(this.outboxSeq + 1, Date.now());
+            return this.outboxSeq;
+        };
+
+        for (const space of (state.spaces || [])) {
+            if (space.isOwned === false && space.myRole !== 'editor') continue;
+            if ((space._localModified || 0) <= (space._lastSyncedLocal || 0) && space._lastSyncedLocal) continue;
+            const ownerId = space.isOwned === false && space.ownerId ? space.ownerId : uid;
+            entries.push(createSpaceEntry(uid, ownerId, space, nextSeq()));
+        }
+        if ((state._localModified || 0) > (this.lastGlobalSyncedLocal || 0)) {
+            entries.push(createSettingsEntry(uid, state, nextSeq()));
+        }
+
+        Promise.all(entries.map(entry => this.outbox.put(entry)))
+            .then(() => this.refreshPendingCount())
+            .catch(e => SyncLog.warn('Could not persist pending changes', e.message));
+    }
+
+    /**
+     * Drop outbox entries once the save that included them is committed
+     */
+    clearOutbox(maxSeq) {
+        this.outbox.remove(this.user.uid, maxSeq)
+            .then(() => this.refreshPendingCount())
+            .catch(e => SyncLog.warn('Could not clear outbox', e.message));
+    }
+
+    /**
+     * Apply changes left in the outbox (e.g. from a tab closed while offline) to freshly loaded cloud state
+     * @param {Object} cloudState - State returned by load() (mutated)
+     * @returns {boolean} Whether anything was replayed (the caller should save)
+     */
+    async replayOutbox(cloudState) {
+        if (!this.isLoggedIn || !cloudState) return false;
+
+        let entries;
+        try {
+            entries = await this.outbox.list(this.user.uid);
+        } catch (e) {
+            SyncLog.warn('Could not read outbox', e.message);
+            return false;
+        }
+        if (entries.length === 0) return false;
+
+        const result = replayOutboxEntries(cloudState, entries, this.user.uid);
+        if (result.settings) this.lastGlobalSyncedLocal = 0;
+        this.outboxSeq = Math.max(this.outboxSeq, ...entries.map(e => e.seq));
+
+        SyncLog.info(`Replaying ${result.spaces} space(s)${result.settings ? ' + settings' : ''} from outbox`);
+        return result.spaces > 0 || result.settings;
+    }
+
+    /**
+     * Queue the writes for one space: changed quest documents plus the space document
+     * Shared spaces are merged server-side first; direct writes are the fallback
+     */
+    async saveSpace(space, spaces, writes, afterCommit) {
+        // Determine target path (use ownerId if it's a shared space)
+        const ownerId = (space.isOwned === false && space.ownerId)
+            ? space.ownerId
+            : this.user.uid;
+        const key = `${ownerId}/${space.id}`;
+        const spaceRef = doc(this.db, 'users', ownerId, 'spaces', space.id);
+
+        // Spaces that couldn't be migrated at load time get another try before any quest write
+        if (this.legacySpaces.has(key)) {
+            await this.migrateToQuestDocs(ownerId, space.id, space);
+        }
+
+        const { changed, deletedIds } = this.getQuestChanges(ownerId, space);
+        const quests = await this.uploadQuestImages(changed, space.id, ownerId);
+
+        // Counter deltas included in this write (settled once it is committed)
+        const sentDeltas = collectPendingDeltas(fromQuestDocs(quests));
+
+        const isCollaborative = space.isOwned === false ||
+            Object.keys(space.collaborators || {}).length > 0;
+
+        // Spaces others can write to are merged server-side in a transaction
+        const applied = isCollaborative && (quests.length > 0 || deletedIds.length > 0)
+            ? await this.applySharedChanges(ownerId, space, quests, deletedIds)
+            : null;
+
+        if (applied) {
+            // Already committed: settle now even if the batch below fails
+            space.tombstones = applied.tombstones;
+            this.reportConflicts(ownerId, space, quests, applied.quests);
+            this.settleQuestWrites(spaces, ownerId, space, applied.quests, applied.deletedIds, sentDeltas);
+        } else {
+            const tombstones = pruneTombstones(space.tombstones);
+            let upserts = quests;
+            let deletes = deletedIds;
+
+            if (isCollaborative) {
+                // Fallback: merge against the current server copies (not atomic)
+                ({ upserts, deletes } = await this.mergeWithServerQuests(ownerId, space.id, quests, deletedIds, tombstones));
+                this.reportConflicts(ownerId, space, quests, upserts);
+            }
+
+            const questsRef = collection(this.db, 'users', ownerId, 'spaces', space.id, 'quests');
+            upserts = upserts.map(quest => toQuestDoc(quest, quest.list));
+            upserts.forEach(quest => {
+                const questRef = doc(questsRef, quest.id);
+                const data = sanitizeForFirestore(quest);
+                // Merged copies are written whole; our own quests only send the fields that changed
+                const patch = isCollaborative ? null : this.questPatch(ownerId, space.id, data, sentDeltas[quest.id]);
+                writes.push((batch, rewrite) => {
+                    if (patch && !rewrite) batch.update(questRef, patch);
+                    else batch.set(questRef, data);
+                });
+            });
+            deletes.forEach(id => writes.push(batch => batch.delete(doc(questsRef, id))));
+
+            space.tombstones = tombstones;
+            afterCommit.push(() => this.settleQuestWrites(spaces, ownerId, space, upserts, deletes, sentDeltas));
+        }
+
+        // Space document: settings for owners, tombstones for everyone who edits
+        if (space.isOwned === false && applied) return;
+
+        const fields = sanitizeForFirestore({ tombstones: space.tombstones || {} });
+        if (space.isOwned !== false) {
+            Object.assign(fields, sanitizeForFirestore({
+                name: space.name || 'Unnamed Space',
+                color: space.color || '#e8b84a',
+                categories: space.categories || [],
+                trackContributions: !!space.trackContributions,
+                perMemberProgress: !!space.perMemberProgress,
+                perMemberCompleteWhen: space.perMemberCompleteWhen === 'mine' ? 'mine' : 'everyone'
+            }));
+        }
+
+        // Only fields that changed since the last sync (all of them for a space we haven't seen in the cloud)
+        const spaceData = this.getSpaceChanges(ownerId, space.id, fields);
+        if (Object.keys(spaceData).length === 0) return;
+        spaceData.lastModified = serverTimestamp();
+
+        // mergeFields replaces each listed field wholesale, so pruned tombstones are dropped
+        // while server-managed fields (collaborators, isShared) are left alone
+        writes.push(batch => batch.set(spaceRef, spaceData, { mergeFields: Object.keys(spaceData) }));
+        afterCommit.push(() => this.rememberSpace(ownerId, space.id, fields));
+    }
+
+    /**
+     * Field-path update turning the last synced copy of a quest into the current one
+     * Counters that only moved by their pending delta are sent as increments,
+     * so taps from another device of the same user add up
+     * @returns {Object|null} Update data, or null when the quest has no synced copy to patch
+     */
+    questPatch(ownerId, spaceId, questDoc, sent) {
+        const base = this.questBaseline(ownerId, spaceId).get(questDoc.id)?.data;
+        if (!base) return null;
+
+        const changed = diffDocFields(base, questDoc);
+        const patch = {};
+        for (const [field, value] of Object.entries(changed)) {
+            patch[field] = value === undefined ? deleteField() : sanitizeForFirestore(value);
+        }
+
+        if ('current' in changed && sent?.delta && (base.current || 0) + sent.delta === questDoc.current) {
+            patch.current = increment(sent.delta);
+        }
+
+        return Object.keys(patch).length > 0 ? patch : null;
+    }
+
+    /**
+     * Space document fields that differ from the last synced copy
+     */
+    getSpaceChanges(ownerId, spaceId, fields) {
+        const baseline = this.spaceBaselines.get(`${ownerId}/${spaceId}`) || {};
+        return Object.fromEntries(Object.entries(fields)
+            .filter(([field, value]) => baseline[field] !== questFingerprint(value)));
+    }
+
+    /**
+     * Record the synced values of a space document's fields
+     */
+    rememberSpace(ownerId, spaceId, spaceData) {
+        const key = `${ownerId}/${spaceId}`;
+        const baseline = this.spaceBaselines.get(key) || {};
+        SPACE_DOC_FIELDS.forEach(field => {
+            if (spaceData[field] !== undefined) baseline[field] = questFingerprint(spaceData[field]);
+        });
+        this.spaceBaselines.set(key, baseline);
+    }
+
+    /**
+     * Commit queued writes in chunks that fit in a batch
+     * Writes are (batch, rewrite) => void; a chunk whose patches hit a missing
+     * document is committed again with whole documents
+     */
+    async commitWrites(writes) {
+        for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+            const chunk = writes.slice(i, i + MAX_BATCH_WRITES);
+            try {
+                await this.commitChunk(chunk, false);
+            } catch (e) {
+                if (getErrorCode(e) !== 'not-found') throw e;
+                SyncLog.warn('Patched quest no longer exists, rewriting whole documents');
+                await this.commitChunk(chunk, true);
+            }
+        }
+    }
+
+    async commitChunk(chunk, rewrite) {
+        const batch = writeBatch(this.db);
+        chunk.forEach(write => write(batch, rewrite));
+        await batch.commit();
+    }
+
+    /**
+     * Merge a shared space's changed quests on the server (transaction in applySpaceChanges)
+     * @returns {Object|null} { quests, deletedIds, tombstones } as committed, or null if the function
+     * can't be reached (other errors are thrown, so the save is retried from the outbox)
+     */
+    async applySharedChanges(ownerId, space, quests, deletedIds) {
+        try {
+            const result = await callFunction('applySpaceChanges', sanitizeForFirestore({
+                ownerId,
+                spaceId: space.id,
+                quests,
+                deletedIds,
+                tombstones: space.tombstones || {}
+            }));
+            SyncLog.debug(`Server merged ${result.data.quests.length} quest(s) in shared space ${space.id}`);
+            return result.data;
+        } catch (e) {
+            if (!CLIENT_MERGE_FALLBACK_CODES.has(getErrorCode(e))) throw e;
+            SyncLog.warn('Server-side merge unavailable, falling back to client merge', e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Merge changed quests with their current server copies (fallback when the function is unreachable)
+     */
+    async mergeWithServerQuests(ownerId, spaceId, quests, deletedIds, tombstones) {
+        const serverDocs = new Map();
+        let mergedTombstones = tombstones;
+
+        try {
+            const spaceSnap = await getDoc(doc(this.db, 'users', ownerId, 'spaces', spaceId));
+            mergedTombstones = pruneTombstones(mergeTombstones(tombstones, spaceSnap.data()?.tombstones));
+
+            const ids = [...quests.map(q => q.id), ...deletedIds];
+            const snaps = await Promise.all(ids.map(id =>
+                getDoc(doc(this.db, 'users', ownerId, 'spaces', spaceId, 'quests', id))
+            ));
+            snaps.forEach(snap => {
+                if (snap.exists()) serverDocs.set(snap.id, { id: snap.id, ...snap.data() });
+            });
+        } catch (e) {
+            SyncLog.warn('Could not fetch server state for merge', e.message);
+            // Fall back to local quests if fetch fails
+            return { upserts: quests, deletes: deletedIds };
+        }
+
+        // Keep the merged tombstones (caller writes them with the space document)
+        Object.assign(tombstones, mergedTombstones);
+        return mergeQuestChanges(quests, serverDocs, deletedIds, mergedTombstones);
+    }
+
+    /**
+     * Pass on fields where the merge kept someone else's concurrent edit over ours
+     */
+    reportConflicts(ownerId, space, sentQuests, mergedQuests) {
+        const since = space._lastSyncedLocal || 0;
+        const pairs = sentQuests
+            .map(local => ({ local, server: mergedQuests.find(quest => quest.id === local.id) }))
+            .filter(pair => pair.server && findQuestConflicts(pair.local, pair.server, since).length > 0);
+
+        if (pairs.length > 0) {
+            SyncLog.warn(`${pairs.length} conflicting edit(s) in space ${space.id}`);
+            this.notifyDataChange({ type: 'conflicts', ownerId, spaceId: space.id, pairs });
+        }
+    }
+
+    /**
+     * Reconcile local state once quest writes are committed
+     */
+    settleQuestWrites(spaces, ownerId, space, writtenQuests, deletedIds, sentDeltas) {
+        // Look the space up again, real-time updates may have replaced it meanwhile
+        const current = this.findLocalSpace(spaces, ownerId, space.id) || space;
+        const localIds = new Set(ITEM_LISTS.flatMap(list => (current[list] || []).map(item => item.id)));
+        const stillLocal = writtenQuests.filter(quest => localIds.has(quest.id));
+
+        settlePendingDeltas(current, sentDeltas, fromQuestDocs(stillLocal));
+        // Bring in what the merge took from other collaborators (local edits made since still win)
+        applyQuestChanges(current, stillLocal.map(quest => ({ type: 'modified', id: quest.id, quest })), true);
+
+        for (const list of ITEM_LISTS) {
+            for (const item of (current[list] || [])) {
+                const written = stillLocal.find(quest => quest.id === item.id);
+                if (written) adoptUploadedImages(item, written);
+            }
+        }
+
+        this.rememberQuests(ownerId, space.id, writtenQuests);
+        this.forgetQuests(ownerId, space.id, deletedIds);
+    }
+
+    /**
+     * Upload base64 images of changed quests to Storage, under the space owner
+     */
+    async uploadQuestImages(quests, spaceId, ownerId) {
+        if (!window.FirebaseBridge?.processItemsForUpload) return quests;
+
+        const processed = [];
+        for (const list of ITEM_LISTS) {
+            const listQuests = quests.filter(quest => quest.list === list);
+            if (listQuests.length === 0) continue;
+            processed.push(...await window.FirebaseBridge.processItemsForUpload(
+                listQuests, spaceId, list === 'archivedItems' ? 'archived' : 'items', ownerId
+            ));
+        }
+        return processed;
+    }
+
+    // -------------------------------------------------------------------------
+    // Quest Documents
+    // -------------------------------------------------------------------------
+
+    questBaseline(ownerId, spaceId) {
+        const key = `${ownerId}/${spaceId}`;
+        if (!this.questBaselines.has(key)) this.questBaselines.set(key, new Map());
+        return this.questBaselines.get(key);
+    }
+
+    /**
+     * Record the server copy of quests, so later saves only write what differs
+     */
+    rememberQuests(ownerId, spaceId, questDocs) {
+        const baseline = this.questBaseline(ownerId, spaceId);
+        questDocs.forEach(quest => {
+            const data = sanitizeForFirestore(toQuestDoc(quest, quest.list));
+            baseline.set(quest.id, { fingerprint: questFingerprint(data), data });
+        });
+    }
+
+    forgetQuests(ownerId, spaceId, questIds) {
+        const baseline = this.questBaseline(ownerId, spaceId);
+        questIds.forEach(id => baseline.delete(id));
+    }
+
+    /**
+     * Find quests that differ from their server copy, and server quests deleted locally
+     * @returns {Object} { changed: [questDoc], deletedIds: [id] }
+     */
+    getQuestChanges(ownerId, space) {
+        const baseline = this.questBaseline(ownerId, space.id);
+        const changed = [];
+        const localIds = new Set();
+
+        for (const list of ITEM_LISTS) {
+            for (const item of (space[list] || [])) {
+                localIds.add(item.id);
+                const hasDeltas = item._pendingDelta || (item.objectives || []).some(obj => obj._pendingDelta);
+                const data = sanitizeForFirestore(toQuestDoc(item, list));
+                if (hasDeltas || baseline.get(item.id)?.fingerprint !== questFingerprint(data)) {
+                    changed.push({ ...item, list });
+                }
+            }
+        }
+
+        const deletedIds = [...baseline.keys()].filter(id => !localIds.has(id));
+        return { changed, deletedIds };
+    }
+
+    /**
+     * Move a space from the array layout to one document per quest
+     * The arrays are dropped in the last batch, so an interrupted migration is simply redone
+     */
+    async migrateToQuestDocs(ownerId, spaceId, lists) {
+        const key = `${ownerId}/${spaceId}`;
+        const questsRef = collection(this.db, 'users', ownerId, 'spaces', spaceId, 'quests');
+        const questDocs = ITEM_LISTS.flatMap(list => (lists[list] || []).map(item => toQuestDoc(item, list)));
+
+        const writes = questDocs.map(quest => batch => {
+            batch.set(doc(questsRef, quest.id), sanitizeForFirestore(quest));
+        });
+        writes.push(batch => batch.update(doc(this.db, 'users', ownerId, 'spaces', spaceId), {
+            items: deleteField(),
+            archivedItems: deleteField()
+        }));
+
+        try {
+            await this.commitWrites(writes);
+            this.rememberQuests(ownerId, spaceId, questDocs);
+            this.legacySpaces.delete(key);
+            SyncLog.success(`Migrated space ${spaceId} to quest documents (${questDocs.length} quests)`);
+        } catch (e) {
+            this.legacySpaces.add(key);
+            SyncLog.warn(`Could not migrate space ${spaceId} to quest documents`, e.message);
+            throw e;
+        }
+    }
+
+    /**
+     * Load a space's quests as { items, archivedItems }
+     * Spaces still using the array layout are migrated when we're allowed to write them
+     */
+    async loadSpaceQuests(ownerId, spaceId, spaceData, canWrite, fromServer = false) {
+        if (hasLegacyLists(spaceData)) {
+            const lists = {
+                items: spaceData.items || [],
+                archivedItems: spaceData.archivedItems || []
+            };
+            if (canWrite) {
+                await this.migrateToQuestDocs(ownerId, spaceId, lists).catch(() => {});
+            }
+            return lists;
+        }
+
+        const questsRef = collection(this.db, 'users', ownerId, 'spaces', spaceId, 'quests');
+        const questsSnap = fromServer ? await getDocsFromServer(questsRef) : await getDocs(questsRef);
+        const questDocs = questsSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+        this.rememberQuests(ownerId, spaceId, questDocs);
+        return fromQuestDocs(questDocs);
+    }
+
+    /**
+     * Find the local copy of a space by owner
+     */
+    findLocalSpace(spaces, ownerId, spaceId) {
+        return (spaces || []).find(s => s.id === spaceId &&
+            (ownerId === this.user?.uid ? s.isOwned !== false : s.ownerId === ownerId));
+    }
+
     // -------------------------------------------------------------------------
     // Load Operations
     // -------------------------------------------------------------------------
@@ -428,21 +941,28 @@ export class SyncManager {
             }
 
             const userData = userSnap.data();
+            this.questBaselines.clear();
+            this.spaceBaselines.clear();
+            this.legacySpaces.clear();
 
             // Load owned spaces
             const spacesRef = collection(this.db, 'users', this.user.uid, 'spaces');
             const spacesSnap = await getDocs(spacesRef);
 
             const spaces = [];
-            spacesSnap.forEach(docSnap => {
+            for (const docSnap of spacesSnap.docs) {
+                const spaceData = docSnap.data();
+                const lists = await this.loadSpaceQuests(this.user.uid, docSnap.id, spaceData, true);
+                this.rememberSpace(this.user.uid, docSnap.id, spaceData);
                 spaces.push({
                     id: docSnap.id,
-                    ...docSnap.data(),
+                    ...spaceData,
+                    ...lists,
                     isOwned: true,
-                    _cloudTimestamp: docSnap.data().lastModified?.toMillis?.() || Date.now(),
+                    _cloudTimestamp: spaceData.lastModified?.toMillis?.() || Date.now(),
                     _lastSyncedLocal: Date.now()
                 });
-            });
+            }
 
             // Load shared spaces
             const sharedWithMe = userData.sharedWithMe || [];
@@ -451,14 +971,20 @@ export class SyncManager {
                     const sharedSpaceRef = doc(this.db, 'users', shared.ownerId, 'spaces', shared.spaceId);
                     const sharedSpaceSnap = await getDocFromServer(sharedSpaceRef);
                     if (sharedSpaceSnap.exists()) {
+                        const spaceData = sharedSpaceSnap.data();
+                        const lists = await this.loadSpaceQuests(
+                            shared.ownerId, shared.spaceId, spaceData, shared.role === 'editor', true
+                        );
+                        this.rememberSpace(shared.ownerId, shared.spaceId, spaceData);
                         spaces.push({
                             id: shared.spaceId,
-                            ...sharedSpaceSnap.data(),
+                            ...spaceData,
+                            ...lists,
                             isShared: true,
                             isOwned: false,
                             ownerId: shared.ownerId,
                             myRole: shared.role,
-                            _cloudTimestamp: sharedSpaceSnap.data().lastModified?.toMillis?.() || Date.now()
+                            _cloudTimestamp: spaceData.lastModified?.toMillis?.() || Date.now()
                         });
                     }
                 } catch (e) {
@@ -502,6 +1028,12 @@ export class SyncManager {
             return;
         }
 
+        // Only one tab listens and writes
+        if (!isLeaderTab()) {
+            SyncLog.info('Another tab is the sync leader, not starting real-time sync');
+            return;
+        }
+
         // Wait for auth token to be fully ready
         try {
             await this.user.getIdToken();
@@ -518,6 +1050,9 @@ export class SyncManager {
         // Listen to user's own spaces
         const spacesRef = collection(this.db, 'users', this.user.uid, 'spaces');
         const unsubSpaces = onSnapshot(spacesRef, (snapshot) => {
+            // Follow the quests of every owned space, including ones created elsewhere
+            this.syncQuestListeners(this.user.uid, snapshot.docs.map(docSnap => docSnap.id));
+
             if (snapshot.metadata.hasPendingWrites) {
                 SyncLog.debug('Ignoring own pending write');
                 return;
@@ -525,6 +1060,7 @@ export class SyncManager {
 
             const spaces = [];
             snapshot.forEach(docSnap => {
+                this.rememberSpace(this.user.uid, docSnap.id, docSnap.data());
                 spaces.push({
                     id: docSnap.id,
                     ...docSnap.data(),
@@ -540,57 +1076,218 @@ export class SyncManager {
 
         this.unsubscribers.push(unsubSpaces);
 
-        // Setup shared space listeners
-        await this.setupSharedSpaceListeners();
+        // Setup shared space listeners (follows sharedWithMe on the user document)
+        this.setupSharedSpaceListeners();
 
         SyncLog.success('Real-time sync active');
     }
 
-    async setupSharedSpaceListeners() {
+    /**
+     * Follow the user document, so shared spaces are attached and detached as sharedWithMe changes
+     */
+    setupSharedSpaceListeners() {
         if (!this.isLoggedIn || !this.db) return;
 
-        try {
-            const userDocRef = doc(this.db, 'users', this.user.uid);
-            const userDocSnap = await getDoc(userDocRef);
-            const userData = userDocSnap.data() || {};
-            const sharedWithMe = userData.sharedWithMe || [];
+        const userDocRef = doc(this.db, 'users', this.user.uid);
+        const unsubUser = onSnapshot(userDocRef, (docSnap) => {
+            const sharedWithMe = docSnap.data()?.sharedWithMe || [];
+            this.syncSharedSpaceListeners(sharedWithMe);
+        }, (error) => {
+            SyncLog.warn('User document listener error', error.message);
+        });
 
-            for (const shared of sharedWithMe) {
-                const sharedSpaceRef = doc(this.db, 'users', shared.ownerId, 'spaces', shared.spaceId);
-                const unsubShared = onSnapshot(sharedSpaceRef, (docSnap) => {
-                    if (!docSnap.exists()) {
-                        SyncLog.warn(`Shared space no longer exists: ${shared.spaceId}`);
-                        return;
-                    }
+        this.unsubscribers.push(unsubUser);
+    }
 
-                    const spaceData = docSnap.data();
-                    SyncLog.incoming(`Shared space updated: "${spaceData.name}"`);
+    /**
+     * Attach listeners for new sharedWithMe entries and detach revoked ones
+     */
+    syncSharedSpaceListeners(sharedWithMe) {
+        const wanted = new Map(sharedWithMe.map(shared => [`${shared.ownerId}/${shared.spaceId}`, shared]));
 
-                    this.notifyDataChange({
-                        type: 'sharedSpaceUpdate',
-                        space: {
-                            id: shared.spaceId,
-                            ...spaceData,
-                            isShared: true,
-                            isOwned: false,
-                            ownerId: shared.ownerId,
-                            myRole: shared.role,
-                            _cloudTimestamp: spaceData.lastModified?.toMillis?.() || Date.now()
-                        }
-                    });
-                }, (error) => {
-                    SyncLog.warn(`Shared space listener error: ${shared.spaceId}`, error.message);
+        for (const [key, listener] of this.sharedListeners) {
+            if (wanted.has(key)) continue;
+            this.detachSharedSpace(key);
+            this.reportSharedRemoval(listener.shared, sharedWithMe);
+        }
+
+        for (const [key, shared] of wanted) {
+            const listener = this.sharedListeners.get(key);
+            if (!listener) {
+                this.attachSharedSpace(shared);
+            } else if (listener.shared.role !== shared.role) {
+                // Role changed by the owner: the next snapshot carries it
+                SyncLog.info(`Role in "${shared.spaceName}" changed to ${shared.role}`);
+                listener.shared = shared;
+                this.notifyDataChange({
+                    type: 'sharedRoleChange',
+                    ownerId: shared.ownerId,
+                    spaceId: shared.spaceId,
+                    role: shared.role
                 });
+            }
+        }
+    }
+
+    /**
+     * Tell the app a sharedWithMe entry is gone: access was revoked, or the space moved to a new owner
+     * (another entry for the same space, or a space of ours transferred from that owner)
+     */
+    async reportSharedRemoval(shared, sharedWithMe) {
+        let newOwnerId = sharedWithMe.find(s => s.spaceId === shared.spaceId && s.ownerId !== shared.ownerId)?.ownerId || null;
+
+        if (!newOwnerId) {
+            try {
+                const ownSpace = await getDoc(doc(this.db, 'users', this.user.uid, 'spaces', shared.spaceId));
+                if (ownSpace.data()?.transferredFrom?.ownerId === shared.ownerId) newOwnerId = this.user.uid;
+            } catch (e) {
+                SyncLog.debug('Could not check for a transferred space', e.message);
+            }
+        }
 
-                this.unsubscribers.push(unsubShared);
+        const reason = newOwnerId ? 'transferred' : 'revoked';
+        SyncLog.info(`Shared space ${reason}: "${shared.spaceName}"`);
+        this.notifyDataChange({
+            type: 'sharedSpaceRemoved',
+            ownerId: shared.ownerId,
+            spaceId: shared.spaceId,
+            spaceName: shared.spaceName,
+            reason,
+            newOwnerId
+        });
+    }
+
+    /**
+     * Listen to a shared space document, then to its quests
+     */
+    attachSharedSpace(shared) {
+        const key = `${shared.ownerId}/${shared.spaceId}`;
+        const listener = { shared, unsubscribe: null };
+        this.sharedListeners.set(key, listener);
+
+        const sharedSpaceRef = doc(this.db, 'users', shared.ownerId, 'spaces', shared.spaceId);
+        listener.unsubscribe = onSnapshot(sharedSpaceRef, (docSnap) => {
+            if (!docSnap.exists()) {
+                this.removeSharedSpace(listener.shared, 'deleted');
+                return;
             }
 
-            if (sharedWithMe.length > 0) {
-                SyncLog.info(`Listening to ${sharedWithMe.length} shared space(s)`);
+            const spaceData = docSnap.data();
+            SyncLog.incoming(`Shared space updated: "${spaceData.name}"`);
+            if (!docSnap.metadata.hasPendingWrites) this.rememberSpace(shared.ownerId, shared.spaceId, spaceData);
+
+            this.notifyDataChange({
+                type: 'sharedSpaceUpdate',
+                space: {
+                    id: shared.spaceId,
+                    ...spaceData,
+                    isShared: true,
+                    isOwned: false,
+                    ownerId: shared.ownerId,
+                    myRole: listener.shared.role,
+                    _cloudTimestamp: spaceData.lastModified?.toMillis?.() || Date.now()
+                }
+            });
+
+            // Quests follow once the space exists locally
+            this.listenToQuests(shared.ownerId, shared.spaceId);
+        }, (error) => {
+            if (error.code === 'permission-denied') {
+                // Removed from the collaborators before sharedWithMe caught up
+                this.removeSharedSpace(listener.shared, 'revoked');
+                return;
             }
-        } catch (e) {
-            SyncLog.warn('Could not setup shared space listeners', e.message);
+            SyncLog.warn(`Shared space listener error: ${shared.spaceId}`, error.message);
+        });
+
+        SyncLog.info(`Listening to shared space "${shared.spaceName}"`);
+    }
+
+    detachSharedSpace(key) {
+        const listener = this.sharedListeners.get(key);
+        if (!listener) return;
+        listener.unsubscribe?.();
+        this.sharedListeners.delete(key);
+
+        const unsubQuests = this.questUnsubscribers.get(key);
+        if (unsubQuests) {
+            unsubQuests();
+            this.questUnsubscribers.delete(key);
         }
+        this.questBaselines.delete(key);
+        this.spaceBaselines.delete(key);
+    }
+
+    /**
+     * Drop a shared space that was deleted or whose access was revoked
+     */
+    removeSharedSpace(shared, reason) {
+        const key = `${shared.ownerId}/${shared.spaceId}`;
+        if (!this.sharedListeners.has(key)) return;
+        this.detachSharedSpace(key);
+
+        SyncLog.info(`Shared space ${reason}: "${shared.spaceName}"`);
+        this.notifyDataChange({
+            type: 'sharedSpaceRemoved',
+            ownerId: shared.ownerId,
+            spaceId: shared.spaceId,
+            spaceName: shared.spaceName,
+            reason
+        });
+
+        // Deleted spaces leave a stale entry behind (onSpaceDelete only cleans up invites)
+        if (reason === 'deleted') {
+            updateDoc(doc(this.db, 'users', this.user.uid), { sharedWithMe: arrayRemove(shared) })
+                .catch(e => SyncLog.warn('Could not remove deleted space from sharedWithMe', e.message));
+        }
+    }
+
+    /**
+     * Keep quest listeners in line with the owner's current spaces
+     */
+    syncQuestListeners(ownerId, spaceIds) {
+        const wanted = new Set(spaceIds.map(id => `${ownerId}/${id}`));
+        for (const [key, unsub] of this.questUnsubscribers) {
+            if (key.startsWith(`${ownerId}/`) && !wanted.has(key)) {
+                unsub();
+                this.questUnsubscribers.delete(key);
+            }
+        }
+        spaceIds.forEach(id => this.listenToQuests(ownerId, id));
+    }
+
+    /**
+     * Listen to a space's quest documents and pass on per-document changes
+     */
+    listenToQuests(ownerId, spaceId) {
+        const key = `${ownerId}/${spaceId}`;
+        if (this.questUnsubscribers.has(key)) return;
+
+        const questsRef = collection(this.db, 'users', ownerId, 'spaces', spaceId, 'quests');
+        const unsub = onSnapshot(questsRef, (snapshot) => {
+            const changes = snapshot.docChanges()
+                // Our own writes are already applied locally
+                .filter(change => !change.doc.metadata.hasPendingWrites)
+                .map(change => ({
+                    type: change.type,
+                    id: change.doc.id,
+                    quest: { id: change.doc.id, ...change.doc.data() }
+                }));
+
+            if (changes.length === 0) return;
+
+            changes.forEach(change => {
+                if (change.type === 'removed') this.forgetQuests(ownerId, spaceId, [change.id]);
+                else this.rememberQuests(ownerId, spaceId, [change.quest]);
+            });
+
+            SyncLog.incoming(`${changes.length} quest change(s) in space ${spaceId}`);
+            this.notifyDataChange({ type: 'questChanges', ownerId, spaceId, changes });
+        }, (error) => {
+            SyncLog.warn(`Quest listener error: ${spaceId}`, error.message);
+        });
+
+        this.questUnsubscribers.set(key, unsub);
     }
 
     stop() {
@@ -599,10 +1296,15 @@ export class SyncManager {
             this.unsubscribers.forEach(unsub => unsub());
             this.unsubscribers = [];
         }
+        this.sharedListeners.forEach(listener => listener.unsubscribe?.());
+        this.sharedListeners.clear();
+        this.questUnsubscribers.forEach(unsub => unsub());
+        this.questUnsubscribers.clear();
         if (this.saveTimeout) {
             clearTimeout(this.saveTimeout);
             this.saveTimeout = null;
         }
+        this.resetRetry();
         this.setStatus('idle');
     }
 
@@ -0,0 +1,706 @@
+/**
+ * Sync Merge Module
+ * Pure merge helpers for collaborative sync (no Firebase/DOM dependencies)
+ */
+
+// How long deletion records are kept before being pruned
+export const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Item lists on a space that carry their own tombstones
+export const ITEM_LISTS = ['items', 'archivedItems'];
+
+// Fields merged per field by modification stamp (newest wins)
+// `current` is not listed: counters are merged as deltas instead
+export const STAMPED_ITEM_FIELDS = [
+    'type', 'name', 'imageUrl', 'category', 'target', 'completedAt',
+    'color', 'priority', 'sortIndex', 'notes', 'tags', 'assignee', 'perMember'
+];
+
+// Maps of uid -> entry on a quest, each entry only changed by (or on behalf of) its member
+const MEMBER_ENTRY_FIELDS = ['contributions', 'memberProgress'];
+export const STAMPED_OBJECTIVE_FIELDS = ['name', 'imageUrl', 'target'];
+
+// Fields where concurrent edits are reported as conflicts (the merge still applies the newest)
+export const CONFLICT_ITEM_FIELDS = ['name', 'notes', 'tags', 'target', 'category', 'priority'];
+export const CONFLICT_OBJECTIVE_FIELDS = ['name', 'target'];
+
+// ---------------------------------------------------------------------------
+// Field stamps & counter deltas
+// ---------------------------------------------------------------------------
+
+/**
+ * Set a field on an item (or one of its objectives) and record the change for merging
+ * - `current` changes accumulate into a local-only `_pendingDelta`
+ * - Other fields get a modification stamp in `fieldStamps`
+ * @param {Object} item - Quest item (mutated)
+ * @param {string} field - Field name
+ * @param {*} value - New value
+ * @param {Object} objective - Optional objective of the item to update instead
+ * @param {number} timestamp - Modification time (ms)
+ */
+export function setItemField(item, field, value, objective = null, timestamp = Date.now()) {
+    const target = objective || item;
+    if (!target) return;
+
+    if (field === 'current') {
+        const delta = (value || 0) - (target.current || 0);
+        target.current = value;
+        if (delta !== 0) target._pendingDelta = (target._pendingDelta || 0) + delta;
+        return;
+    }
+
+    target[field] = value;
+    target.fieldStamps = { ...(target.fieldStamps || {}), [field]: timestamp };
+}
+
+/**
+ * Merge stamped fields of two versions of the same record
+ * Ties (including unstamped legacy data) go to the local version
+ */
+function mergeStampedFields(merged, local, server, fields) {
+    const stamps = {};
+    for (const field of fields) {
+        const localStamp = local.fieldStamps?.[field] || 0;
+        const serverStamp = server.fieldStamps?.[field] || 0;
+        const winner = localStamp >= serverStamp ? local : server;
+        if (winner[field] === undefined) delete merged[field];
+        else merged[field] = winner[field];
+        const stamp = Math.max(localStamp, serverStamp);
+        if (stamp) stamps[field] = stamp;
+    }
+    merged.fieldStamps = stamps;
+}
+
+/**
+ * Merge a counter: the server value plus whatever this client added since its last sync
+ */
+function mergeCounter(local, server) {
+    return Math.max(0, (server.current || 0) + (local._pendingDelta || 0));
+}
+
+/**
+ * Merge two versions of the same objective list (matched by objective ID)
+ */
+function mergeObjectives(localObjectives, serverObjectives) {
+    const serverById = new Map((serverObjectives || []).map(obj => [obj.id, obj]));
+    const merged = [];
+
+    for (const localObj of (localObjectives || [])) {
+        const serverObj = serverById.get(localObj.id);
+        if (!serverObj) {
+            merged.push(localObj);
+            continue;
+        }
+        serverById.delete(localObj.id);
+
+        const obj = { ...serverObj, ...localObj };
+        mergeStampedFields(obj, localObj, serverObj, STAMPED_OBJECTIVE_FIELDS);
+        obj.current = mergeCounter(localObj, serverObj);
+        obj.complete = obj.current >= obj.target;
+        merged.push(obj);
+    }
+
+    // Objectives only the server knows about
+    return merged.concat(Array.from(serverById.values()));
+}
+
+/**
+ * Merge two versions of the same quest field by field
+ * Local-only markers (such as `_pendingDelta`) are kept so the result can stay in local state
+ * @param {Object} localItem - Local version
+ * @param {Object} serverItem - Server version
+ * @returns {Object} Merged item
+ */
+export function mergeItem(localItem, serverItem) {
+    const merged = { ...serverItem, ...localItem };
+    mergeStampedFields(merged, localItem, serverItem, STAMPED_ITEM_FIELDS);
+    merged.current = mergeCounter(localItem, serverItem);
+    merged.objectives = mergeObjectives(localItem.objectives, serverItem.objectives);
+    for (const field of MEMBER_ENTRY_FIELDS) {
+        if (localItem[field] || serverItem[field]) {
+            merged[field] = mergeMemberEntries(localItem[field], serverItem[field]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Strip local-only sync markers from items before writing them to the server
+ * @param {Array} items - Item list
+ * @returns {Array} Copies without local markers
+ */
+export function toServerItems(items) {
+    return (items || []).map(item => {
+        const { _pendingDelta, ...clean } = item;
+        if (Array.isArray(clean.objectives)) {
+            clean.objectives = clean.objectives.map(({ _pendingDelta: _objDelta, ...obj }) => obj);
+        }
+        return clean;
+    });
+}
+
+/**
+ * Snapshot the pending counter deltas of a space (taken when a save starts)
+ * @param {Object} space - Space object
+ * @returns {Object} Map of itemId -> { delta, objectives: { objectiveId: delta } }
+ */
+export function collectPendingDeltas(space) {
+    const deltas = {};
+    for (const listKey of ITEM_LISTS) {
+        for (const item of (space?.[listKey] || [])) {
+            const objectives = {};
+            for (const obj of (item.objectives || [])) {
+                if (obj._pendingDelta) objectives[obj.id] = obj._pendingDelta;
+            }
+            if (item._pendingDelta || Object.keys(objectives).length > 0) {
+                deltas[item.id] = { delta: item._pendingDelta || 0, objectives };
+            }
+        }
+    }
+    return deltas;
+}
+
+/**
+ * Settle pending deltas once a save has been committed
+ * Subtracts the deltas that were sent (newer local changes stay pending) and, when the
+ * written lists were merged with the server, rebases local counters onto the written values
+ * @param {Object} space - Space object (mutated)
+ * @param {Object} sentDeltas - Result of collectPendingDeltas() at save time
+ * @param {Object} written - Optional { items, archivedItems } that were written
+ */
+export function settlePendingDeltas(space, sentDeltas, written = null) {
+    for (const listKey of ITEM_LISTS) {
+        const writtenById = new Map((written?.[listKey] || []).map(item => [item.id, item]));
+
+        for (const item of (space?.[listKey] || [])) {
+            const sent = sentDeltas[item.id];
+            const writtenItem = writtenById.get(item.id);
+
+            const remaining = (item._pendingDelta || 0) - (sent?.delta || 0);
+            if (writtenItem) item.current = Math.max(0, (writtenItem.current || 0) + remaining);
+            if (remaining) item._pendingDelta = remaining;
+            else delete item._pendingDelta;
+
+            for (const obj of (item.objectives || [])) {
+                const objRemaining = (obj._pendingDelta || 0) - (sent?.objectives[obj.id] || 0);
+                const writtenObj = writtenItem?.objectives?.find(o => o.id === obj.id);
+                if (writtenObj) {
+                    obj.current = Math.max(0, (writtenObj.current || 0) + objRemaining);
+                    obj.complete = obj.current >= obj.target;
+                }
+                if (objRemaining) obj._pendingDelta = objRemaining;
+                else delete obj._pendingDelta;
+            }
+        }
+    }
+}
+
+/**
+ * Take the pending counter deltas off a space, once they are handed to the tab that saves them
+ * @param {Object} space - Space object (mutated)
+ * @returns {Object} The deltas taken, as returned by collectPendingDeltas()
+ */
+export function takePendingDeltas(space) {
+    const deltas = collectPendingDeltas(space);
+    settlePendingDeltas(space, deltas);
+    return deltas;
+}
+
+/**
+ * Add counter deltas to the pending deltas of a space (matched by quest and objective ID)
+ * Counters are left as they are, the next save rebases them onto the server values
+ * @param {Object} space - Space object (mutated)
+ * @param {Object} deltas - Result of collectPendingDeltas()
+ */
+export function addPendingDeltas(space, deltas) {
+    for (const listKey of ITEM_LISTS) {
+        for (const item of (space?.[listKey] || [])) {
+            const added = deltas[item.id];
+            if (!added) continue;
+
+            const total = (item._pendingDelta || 0) + (added.delta || 0);
+            if (total) item._pendingDelta = total;
+            else delete item._pendingDelta;
+
+            for (const obj of (item.objectives || [])) {
+                const objTotal = (obj._pendingDelta || 0) + (added.objectives[obj.id] || 0);
+                if (objTotal) obj._pendingDelta = objTotal;
+                else delete obj._pendingDelta;
+            }
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Per-member entries (contributions, per-member progress)
+// ---------------------------------------------------------------------------
+
+/**
+ * Credit a member with progress on a quest (negative deltas take it back, down to 0)
+ * Each member's entry is only changed by that member, so entries merge by their own stamp
+ * @param {Object} item - Quest item (mutated)
+ * @param {string} uid - Contributing user
+ * @param {string} name - Their display name
+ * @param {number} delta - Units added (or removed)
+ * @param {number} timestamp - Modification time (ms)
+ */
+export function recordContribution(item, uid, name, delta, timestamp = Date.now()) {
+    if (!item || !uid || !delta) return;
+    const entry = item.contributions?.[uid];
+    item.contributions = {
+        ...(item.contributions || {}),
+        [uid]: { name, amount: Math.max(0, (entry?.amount || 0) + delta), at: timestamp }
+    };
+}
+
+/**
+ * Zero every member's contribution (the quest's progress was reset)
+ * @param {Object} item - Quest item (mutated)
+ * @param {number} timestamp - Modification time (ms)
+ * @param {string|null} onlyUid - Zero only this member's (members can't change the others')
+ */
+export function resetContributions(item, timestamp = Date.now(), onlyUid = null) {
+    if (!item?.contributions) return;
+    item.contributions = Object.fromEntries(Object.entries(item.contributions)
+        .map(([uid, entry]) => [uid, onlyUid && uid !== onlyUid ? entry : { ...entry, amount: 0, at: timestamp }]));
+}
+
+/**
+ * Set a member's own counter on a quest that tracks progress per member
+ * @param {Object} item - Quest item (mutated)
+ * @param {string} uid - Member
+ * @param {string} name - Their display name
+ * @param {number} value - New count
+ * @param {string|null} objectiveId - Objective to set, null for the quest's own counter
+ * @param {number} timestamp - Modification time (ms)
+ */
+export function setMemberProgress(item, uid, name, value, objectiveId = null, timestamp = Date.now()) {
+    if (!item || !uid) return;
+    const entry = { current: 0, objectives: {}, ...(item.memberProgress?.[uid] || {}), name, at: timestamp };
+    if (objectiveId) entry.objectives = { ...entry.objectives, [objectiveId]: Math.max(0, value) };
+    else entry.current = Math.max(0, value);
+    item.memberProgress = { ...(item.memberProgress || {}), [uid]: entry };
+}
+
+/**
+ * Zero every member's counters (the quest's progress was reset)
+ * @param {Object} item - Quest item (mutated)
+ * @param {number} timestamp - Modification time (ms)
+ * @param {string|null} onlyUid - Zero only this member's (members can't change the others')
+ */
+export function resetMemberProgress(item, timestamp = Date.now(), onlyUid = null) {
+    if (!item?.memberProgress) return;
+    item.memberProgress = Object.fromEntries(Object.entries(item.memberProgress)
+        .map(([uid, entry]) => [uid, onlyUid && uid !== onlyUid ? entry : { ...entry, current: 0, objectives: {}, at: timestamp }]));
+}
+
+/**
+ * Merge two maps of per-member entries, keeping the newest entry of each member
+ * Ties go to the local version
+ * @param {Object} local - Local map of uid -> { name, at, ... }
+ * @param {Object} server - Server map
+ * @returns {Object} Merged map
+ */
+export function mergeMemberEntries(local, server) {
+    const merged = { ...(server || {}) };
+    for (const [uid, entry] of Object.entries(local || {})) {
+        if (!merged[uid] || (entry.at || 0) >= (merged[uid].at || 0)) merged[uid] = entry;
+    }
+    return merged;
+}
+
+/**
+ * Keep the other members' entries of a quest as they are stored
+ * Members may only change their own credit and counters; the space owner may change anyone's
+ * @param {Object} quest - Quest sent by a member (mutated)
+ * @param {Object|null} serverQuest - Stored version, null for a new quest
+ * @param {string} uid - Member who sent it
+ * @param {Array} fields - Per-member fields to protect
+ */
+export function keepOthersMemberEntries(quest, serverQuest, uid, fields = MEMBER_ENTRY_FIELDS) {
+    for (const field of fields) {
+        const entries = { ...(serverQuest?.[field] || {}) };
+        if (quest[field]?.[uid]) entries[uid] = quest[field][uid];
+        if (Object.keys(entries).length > 0) quest[field] = entries;
+        else delete quest[field];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Tombstones
+// ---------------------------------------------------------------------------
+
+/**
+ * Record that an item was removed from one of a space's item lists
+ * @param {Object} space - Space object (mutated)
+ * @param {string} listKey - 'items' or 'archivedItems'
+ * @param {string} itemId - ID of the removed item
+ * @param {number} timestamp - Removal time (ms)
+ */
+export function recordTombstone(space, listKey, itemId, timestamp = Date.now()) {
+    if (!space || !itemId) return;
+    if (!space.tombstones) space.tombstones = {};
+    if (!space.tombstones[listKey]) space.tombstones[listKey] = {};
+    space.tombstones[listKey][itemId] = timestamp;
+}
+
+/**
+ * Get the time an item was (re)inserted into a list
+ * Used to decide whether a tombstone is older or newer than the item
+ * @param {Object} item - Quest item
+ * @param {string} listKey - 'items' or 'archivedItems'
+ * @returns {number} Timestamp in ms (0 if unknown)
+ */
+export function getListedAt(item, listKey) {
+    if (listKey === 'archivedItems') return item.archivedAt || 0;
+    return Math.max(item.createdAt || 0, item.restoredAt || 0);
+}
+
+/**
+ * Check whether an item was removed from a list after it was added
+ * @param {Object} item - Quest item
+ * @param {string} listKey - 'items' or 'archivedItems'
+ * @param {Object} tombstones - Map of itemId -> removal timestamp for that list
+ * @returns {boolean}
+ */
+export function isTombstoned(item, listKey, tombstones) {
+    const removedAt = tombstones?.[item.id];
+    if (!removedAt) return false;
+    return removedAt >= getListedAt(item, listKey);
+}
+
+/**
+ * Union two tombstone sets, keeping the newest timestamp per item
+ * @param {Object} a - { items: {id: ts}, archivedItems: {id: ts} }
+ * @param {Object} b - Same shape as a
+ * @returns {Object} Merged tombstones
+ */
+export function mergeTombstones(a, b) {
+    const merged = {};
+    for (const listKey of ITEM_LISTS) {
+        merged[listKey] = { ...(a?.[listKey] || {}) };
+        for (const [id, ts] of Object.entries(b?.[listKey] || {})) {
+            if (!merged[listKey][id] || ts > merged[listKey][id]) {
+                merged[listKey][id] = ts;
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Drop tombstones older than the retention window
+ * @param {Object} tombstones - { items: {id: ts}, archivedItems: {id: ts} }
+ * @param {number} now - Current time (ms)
+ * @param {number} retentionMs - Retention window (ms)
+ * @returns {Object} Pruned tombstones
+ */
+export function pruneTombstones(tombstones, now = Date.now(), retentionMs = TOMBSTONE_RETENTION_MS) {
+    const pruned = {};
+    for (const listKey of ITEM_LISTS) {
+        pruned[listKey] = {};
+        for (const [id, ts] of Object.entries(tombstones?.[listKey] || {})) {
+            if (now - ts <= retentionMs) pruned[listKey][id] = ts;
+        }
+    }
+    return pruned;
+}
+
+// ---------------------------------------------------------------------------
+// List merging
+// ---------------------------------------------------------------------------
+
+/**
+ * Merge local and server item arrays for collaborative sync
+ * - Items in local but not server: keep (local additions)
+ * - Items in server but not local: keep (other user's additions)
+ * - Items in both: merge field by field (see mergeItem)
+ * - Items removed after they were added (tombstoned): drop from either side
+ * @param {Array} localItems - Local copy of the list
+ * @param {Array} serverItems - Server copy of the list
+ * @param {Object} tombstones - Map of itemId -> removal timestamp for this list
+ * @param {string} listKey - 'items' or 'archivedItems'
+ * @returns {Array} Merged list
+ */
+export function mergeItemArrays(localItems, serverItems, tombstones = {}, listKey = 'items') {
+    const merged = new Map();
+
+    // First add all server items
+    for (const item of (Array.isArray(serverItems) ? serverItems : [])) {
+        if (item && item.id) {
+            merged.set(item.id, item);
+        }
+    }
+
+    // Then merge in local items
+    for (const item of (Array.isArray(localItems) ? localItems : [])) {
+        if (item && item.id) {
+            const serverItem = merged.get(item.id);
+            merged.set(item.id, serverItem ? mergeItem(item, serverItem) : item);
+        }
+    }
+
+    return Array.from(merged.values()).filter(item => !isTombstoned(item, listKey, tombstones));
+}
+
+/**
+ * Merge a local space with its server copy
+ * @param {Object} localSpace - Local space ({ items, archivedItems, tombstones })
+ * @param {Object} serverData - Server document data (may be null)
+ * @param {number} now - Current time (ms), used for tombstone pruning
+ * @returns {Object} { items, archivedItems, tombstones }
+ */
+export function mergeSpaceLists(localSpace, serverData, now = Date.now()) {
+    const tombstones = pruneTombstones(
+        mergeTombstones(localSpace?.tombstones, serverData?.tombstones),
+        now
+    );
+
+    const result = { tombstones };
+    for (const listKey of ITEM_LISTS) {
+        result[listKey] = mergeItemArrays(
+            localSpace?.[listKey],
+            serverData?.[listKey],
+            tombstones[listKey],
+            listKey
+        );
+    }
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// Quest documents (one Firestore document per quest: { ...item, list })
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the quest document for an item (without local-only markers)
+ * @param {Object} item - Quest item
+ * @param {string} list - 'items' or 'archivedItems'
+ * @returns {Object} Quest document data
+ */
+export function toQuestDoc(item, list) {
+    return { ...toServerItems([item])[0], list };
+}
+
+/**
+ * Rebuild a space's item lists from quest documents
+ * Active quests keep creation order, archived quests are newest first
+ * @param {Array} questDocs - Quest document data
+ * @returns {Object} { items, archivedItems }
+ */
+export function fromQuestDocs(questDocs) {
+    const lists = { items: [], archivedItems: [] };
+    for (const questDoc of (questDocs || [])) {
+        const { list, ...item } = questDoc;
+        lists[list === 'archivedItems' ? 'archivedItems' : 'items'].push(item);
+    }
+    lists.items.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    lists.archivedItems.sort((a, b) => (b.archivedAt || 0) - (a.archivedAt || 0));
+    return lists;
+}
+
+/**
+ * Key-order independent fingerprint of a quest document, used to detect local changes
+ * @param {Object} questDoc - Quest document data
+ * @returns {string}
+ */
+export function questFingerprint(questDoc) {
+    return JSON.stringify(questDoc, (key, value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+        return Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    });
+}
+
+/**
+ * Top-level fields of a document that differ from an earlier copy
+ * @param {Object} base - Earlier copy (e.g. the last synced quest document)
+ * @param {Object} next - Current copy
+ * @returns {Object} Changed fields with their new values (undefined = removed)
+ */
+export function diffDocFields(base, next) {
+    const changed = {};
+    const keys = new Set([...Object.keys(base || {}), ...Object.keys(next || {})]);
+    for (const key of keys) {
+        if (key === 'id') continue;
+        if (questFingerprint(base?.[key]) !== questFingerprint(next?.[key])) changed[key] = next?.[key];
+    }
+    return changed;
+}
+
+/**
+ * Pick the list a quest belongs to when two versions disagree
+ * A list the quest was removed from after joining it is ruled out, otherwise the newest move wins
+ * @returns {string|null} List key, or null if the quest was removed from both
+ */
+function resolveQuestList(local, server, tombstones) {
+    const candidates = [local, server].filter(q => !isTombstoned(q, q.list, tombstones?.[q.list]));
+    if (candidates.length === 0) return null;
+    if (candidates.length === 1 || local.list === server.list) return candidates[0].list;
+    return getListedAt(local, local.list) >= getListedAt(server, server.list) ? local.list : server.list;
+}
+
+/**
+ * Merge two versions of the same quest document (see mergeItem)
+ * @param {Object} local - Local quest document (may carry pending deltas)
+ * @param {Object} server - Stored quest document
+ * @param {Object} tombstones - Space tombstones
+ * @returns {Object|null} Merged quest document, or null if the quest was deleted
+ */
+export function mergeQuestDoc(local, server, tombstones) {
+    const list = resolveQuestList(local, server, tombstones);
+    if (!list) return null;
+
+    const merged = mergeItem(local, server);
+    merged.list = list;
+
+    // List timestamps come from whichever version put the quest in its list
+    const listSource = local.list === list ? local : server;
+    for (const field of ['archivedAt', 'restoredAt']) {
+        if (listSource[field] === undefined) delete merged[field];
+        else merged[field] = listSource[field];
+    }
+    return merged;
+}
+
+/**
+ * Merge a client's changed quest documents into the stored ones
+ * @param {Array} localDocs - Changed quest documents from the client
+ * @param {Map} serverDocs - Stored quest documents by ID (absent = not stored)
+ * @param {Array} deletedIds - IDs the client deleted
+ * @param {Object} tombstones - Merged tombstones of the space
+ * @returns {Object} { upserts: [questDoc], deletes: [id] }
+ */
+export function mergeQuestChanges(localDocs, serverDocs, deletedIds, tombstones) {
+    const upserts = [];
+    const deletes = [];
+
+    for (const local of (localDocs || [])) {
+        const server = serverDocs.get(local.id);
+        if (!server) {
+            // Not stored: a new quest, unless someone else deleted it meanwhile
+            if (!isTombstoned(local, local.list, tombstones?.[local.list])) upserts.push(local);
+            continue;
+        }
+        const merged = mergeQuestDoc(local, server, tombstones);
+        if (merged) upserts.push(merged);
+        else deletes.push(local.id);
+    }
+
+    for (const id of (deletedIds || [])) {
+        const server = serverDocs.get(id);
+        if (server && isTombstoned(server, server.list, tombstones?.[server.list])) deletes.push(id);
+    }
+
+    return { upserts, deletes };
+}
+
+/**
+ * Apply per-document quest changes from a listener to a local space
+ * @param {Object} space - Local space (mutated)
+ * @param {Array} changes - [{ type: 'added'|'modified'|'removed', id, quest }]
+ * @param {boolean} keepLocalEdits - Merge into local versions instead of replacing them
+ */
+export function applyQuestChanges(space, changes, keepLocalEdits = false) {
+    if (!space.items) space.items = [];
+    if (!space.archivedItems) space.archivedItems = [];
+
+    for (const change of changes) {
+        // Take the quest out of whichever list currently holds it
+        let local = null;
+        let localIndex = -1;
+        for (const list of ITEM_LISTS) {
+            const index = space[list].findIndex(item => item.id === change.id);
+            if (index !== -1) {
+                local = { ...space[list][index], list };
+                localIndex = index;
+                space[list].splice(index, 1);
+                break;
+            }
+        }
+
+        if (change.type === 'removed') continue;
+
+        const questDoc = (local && keepLocalEdits)
+            ? mergeQuestDoc(local, change.quest, space.tombstones)
+            : change.quest;
+        if (!questDoc) continue;
+
+        const { list, ...item } = questDoc;
+        const target = space[list === 'archivedItems' ? 'archivedItems' : 'items'];
+        if (local && local.list === list) target.splice(localIndex, 0, item);
+        else if (list === 'archivedItems') target.unshift(item);
+        else target.push(item);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Conflicts
+// ---------------------------------------------------------------------------
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Find fields both versions of a quest changed since the last sync, to different values
+ * Counters are left out: concurrent increments are combined, not conflicting
+ * @param {Object} local - Local version
+ * @param {Object} server - Incoming version
+ * @param {number} since - Last sync of the local space (ms)
+ * @returns {Array} [{ field, objectiveId, mine, theirs }]
+ */
+export function findQuestConflicts(local, server, since = 0) {
+    const conflicts = [];
+    const compare = (localRecord, serverRecord, fields, objectiveId) => {
+        for (const field of fields) {
+            const localStamp = localRecord.fieldStamps?.[field] || 0;
+            const serverStamp = serverRecord.fieldStamps?.[field] || 0;
+            if (localStamp <= since || serverStamp <= since) continue;
+            if (sameValue(localRecord[field], serverRecord[field])) continue;
+            conflicts.push({ field, objectiveId, mine: localRecord[field], theirs: serverRecord[field] });
+        }
+    };
+
+    compare(local, server, CONFLICT_ITEM_FIELDS, null);
+    for (const objective of (local.objectives || [])) {
+        const serverObjective = (server.objectives || []).find(o => o.id === objective.id);
+        if (serverObjective) compare(objective, serverObjective, CONFLICT_OBJECTIVE_FIELDS, objective.id);
+    }
+    return conflicts;
+}
+
+/**
+ * Add progress to a stored quest document on someone else's behalf (an accepted proposal)
+ * The counter is set outright: the document was read in the same transaction
+ * @param {Object} questDoc - Quest document data (mutated)
+ * @param {string|null} objectiveId - Objective to count, null for the quest itself
+ * @param {number} amount - Units to add
+ * @param {number} timestamp - Stamp for completedAt
+ * @returns {boolean} False if the objective no longer exists
+ */
+export function addQuestProgress(questDoc, objectiveId, amount, timestamp = Date.now()) {
+    const objective = objectiveId ? (questDoc.objectives || []).find(o => o.id === objectiveId) : null;
+    if (objectiveId && !objective) return false;
+
+    const wasComplete = isQuestDocComplete(questDoc);
+    const counter = objective || questDoc;
+    counter.current = (counter.current || 0) + amount;
+    if (objective) objective.complete = objective.current >= objective.target;
+
+    if (!wasComplete && isQuestDocComplete(questDoc)) {
+        setItemField(questDoc, 'completedAt', timestamp, null, timestamp);
+    }
+    return true;
+}
+
+/**
+ * Whether a stored quest document is complete (all objectives of a quest, or the item counter)
+ * @param {Object} questDoc - Quest document data
+ * @returns {boolean}
+ */
+export function isQuestDocComplete(questDoc) {
+    if (questDoc.type === 'quest' && (questDoc.objectives || []).length > 0) {
+        return questDoc.objectives.every(o => (o.current || 0) >= (o.target || 1));
+    }
+    return (questDoc.current || 0) >= (questDoc.target || 1);
+}
@@ -0,0 +1,66 @@
+/**
+ * Sync Retry Module
+ * Decides whether a failed cloud save is worth retrying and how long to wait
+ */
+
+// Failures that usually go away on their own (network, quota, contention)
+const TRANSIENT_CODES = new Set([
+    'unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted',
+    'internal', 'cancelled', 'unknown'
+]);
+
+// Messages shown in the account menu when a save fails
+const ERROR_MESSAGES = {
+    'permission-denied': 'You no longer have permission to save these changes.',
+    'unauthenticated': 'Your session expired. Sign in again to sync.',
+    'invalid-argument': 'The cloud rejected these changes as invalid.',
+    'failed-precondition': 'A shared space needs its owner to open the app before it can sync.',
+    'not-found': 'A space you edited no longer exists in the cloud.',
+    'resource-exhausted': 'The cloud is busy or over quota.',
+    'unavailable': 'The cloud could not be reached.',
+    'deadline-exceeded': 'The cloud took too long to answer.',
+    'offline': 'You are offline. Changes will sync when you reconnect.'
+};
+
+export const RETRY_SETTINGS = {
+    baseDelayMs: 2000,
+    maxDelayMs: 5 * 60 * 1000,
+    maxAttempts: 8
+};
+
+/**
+ * Error code without the SDK prefix ("functions/unavailable" -> "unavailable")
+ * @param {Error} error - Error thrown by Firestore or a callable
+ * @returns {string} Code, 'unknown' when missing
+ */
+export function getErrorCode(error) {
+    const code = typeof error?.code === 'string' ? error.code : 'unknown';
+    return code.includes('/') ? code.slice(code.lastIndexOf('/') + 1) : code;
+}
+
+/**
+ * Describe a failed save
+ * @param {Error} error - Error thrown by the save
+ * @param {boolean} online - Whether the browser reports a connection
+ * @returns {Object} { code, retryable, message }
+ */
+export function classifySyncError(error, online = true) {
+    const code = online ? getErrorCode(error) : 'offline';
+    const retryable = code === 'offline' || TRANSIENT_CODES.has(code);
+    const message = ERROR_MESSAGES[code] || error?.message || 'Sync failed.';
+    return { code, retryable, message };
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff with jitter
+ * @param {number} attempt - Retry number
+ * @param {Object} settings - Defaults to RETRY_SETTINGS
+ * @param {Function} random - Returns [0, 1), injectable for tests
+ * @returns {number|null} Delay in ms, null once attempts are used up
+ */
+export function getRetryDelay(attempt, settings = RETRY_SETTINGS, random = Math.random) {
+    if (attempt > settings.maxAttempts) return null;
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+    // Never retry sooner than half the ceiling, so failures still back off
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
@@ -0,0 +1,117 @@
+/**
+ * Tab Sync Module
+ * Coordinates tabs open on the same browser: one leader tab owns the Firestore
+ * listeners and writes, every tab shares its state changes over a BroadcastChannel
+ */
+
+import { Logger } from './logger.js';
+import { takePendingDeltas } from './sync-merge.js';
+
+const log = Logger.module('TabSync');
+
+const CHANNEL_NAME = 'fetchquest-tabs';
+const LEADER_LOCK = 'fetchquest-leader';
+
+// Global fields shared between tabs (activeSpaceId stays per tab)
+const SHARED_STATE_FIELDS = ['spaces', 'tags', 'shiftAmount', 'ctrlAmount', 'autoArchive', 'conflicts', '_localModified'];
+
+export const tabId = `tab_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+let channel = null;
+// Without Web Locks every tab acts on its own, as before
+let isLeader = true;
+let messageCallback = null;
+let leadershipCallback = null;
+
+/**
+ * Start coordinating with other tabs
+ * Resolves once this tab knows whether it is the leader
+ * @param {Object} callbacks - { onMessage(message), onLeadershipChange(isLeader) }
+ */
+export function initTabSync(callbacks = {}) {
+    messageCallback = callbacks.onMessage || null;
+    leadershipCallback = callbacks.onLeadershipChange || null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => {
+            const message = event.data;
+            if (!message || message.from === tabId) return;
+            messageCallback?.(message);
+        };
+    }
+
+    if (!channel || !navigator.locks) {
+        log.info('Tab coordination unavailable, acting as leader');
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        // The lock is held until the tab closes, then the next waiting tab takes over
+        const holdLeadership = () => {
+            setLeader(true);
+            return new Promise(() => {});
+        };
+
+        navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+            if (lock) {
+                resolve();
+                return holdLeadership();
+            }
+            setLeader(false);
+            resolve();
+            navigator.locks.request(LEADER_LOCK, holdLeadership);
+        });
+    });
+}
+
+function setLeader(value) {
+    const changed = isLeader !== value;
+    isLeader = value;
+    log.info(value ? 'This tab is the sync leader' : 'Another tab is the sync leader');
+    if (changed) leadershipCallback?.(value);
+}
+
+/**
+ * Whether this tab owns cloud sync
+ */
+export function isLeaderTab() {
+    return isLeader;
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {string} type - Message type
+ * @param {Object} payload - Structured-cloneable data
+ */
+export function broadcast(type, payload = {}) {
+    if (!channel) return false;
+    try {
+        channel.postMessage({ type, from: tabId, ...payload });
+        return true;
+    } catch (e) {
+        log.warn('Could not broadcast to other tabs', e.message);
+        return false;
+    }
+}
+
+/**
+ * Share this tab's state with the other tabs
+ * Pending counter deltas must be sent to the cloud exactly once: the leader keeps its own,
+ * and a follower hands its deltas to the leader and forgets them
+ * @param {Object} state - App state (a follower's deltas are taken off)
+ */
+export function broadcastState(state) {
+    if (!channel) return;
+    const shared = {};
+    SHARED_STATE_FIELDS.forEach(field => {
+        if (state[field] !== undefined) shared[field] = state[field];
+    });
+    // Round-trip through JSON to drop anything that can't be cloned
+    const copy = JSON.parse(JSON.stringify(shared));
+    if (isLeader) (copy.spaces || []).forEach(space => takePendingDeltas(space));
+
+    if (broadcast('state', { state: copy }) && !isLeader) {
+        (state.spaces || []).forEach(space => takePendingDeltas(space));
+    }
+}
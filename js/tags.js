@@ -1,6 +1,7 @@
 import { elements } from './elements.js';
 import { state, selectedTags, setSelectedTags, addSelectedItem } from './state.js';
 import { saveState } from './storage.js';
+import { setItemField } from './sync-merge.js';
 import { showAlert } from './popup.js';
 import { escapeHtml, $$ } from './utils.js';
 import { updateBulkCount } from './bulk.js';
@@ -279,7 +280,7 @@ export function saveItemTags() {
     const item = (state.items || []).find(i => i.id === itemId);
     if (!item) return;
 
-    item.tags = [...editTagsSelectedTags];
+    setItemField(item, 'tags', [...editTagsSelectedTags]);
     saveState();
 
     // Notify app to re-render
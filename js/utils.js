@@ -81,10 +81,16 @@ export function getTimeAgo(timestamp) {
 
 /**
  * Check if an item is complete
+ * Items that track progress per member are complete when everyone (or, if the space
+ * is configured so, the signed-in member) has finished
  * @param {Object} item - The item to check
+ * @param {Object|null} scope - Progress scope of the item's space (see getProgressScope in member-progress.js)
  * @returns {boolean} True if item is complete
  */
-export function isItemComplete(item) {
+export function isItemComplete(item, scope = null) {
+    if (isPerMemberItem(item, scope)) {
+        return getItemCompletion(item, scope)[scope.completeWhen === 'mine' ? 'mine' : 'everyone'];
+    }
     if (item.type === 'quest' && item.objectives?.length > 0) {
         return item.objectives.every(obj => obj.current >= obj.target);
     }
@@ -93,10 +99,22 @@ export function isItemComplete(item) {
 
 /**
  * Get progress values for an item
+ * For items tracked per member, current/total add up everyone's progress and
+ * `mine` and `everyone` are reported separately
  * @param {Object} item - The item to get progress for
- * @returns {{current: number, total: number}} Progress object
+ * @param {Object|null} scope - Progress scope of the item's space
+ * @returns {{current: number, total: number, mine?: Object, everyone?: Object}} Progress object
  */
-export function getItemProgress(item) {
+export function getItemProgress(item, scope = null) {
+    if (isPerMemberItem(item, scope)) {
+        const mine = getItemProgress(getMemberView(item, scope.uid));
+        const perMember = scope.members.map(uid => getItemProgress(getMemberView(item, uid)));
+        const everyone = {
+            current: perMember.reduce((sum, p) => sum + Math.min(p.current, p.total), 0),
+            total: perMember.reduce((sum, p) => sum + p.total, 0) || mine.total
+        };
+        return { ...everyone, mine, everyone };
+    }
     if (item.type === 'quest' && item.objectives?.length > 0) {
         const total = item.objectives.reduce((sum, obj) => sum + obj.target, 0);
         const current = item.objectives.reduce((sum, obj) => sum + Math.min(obj.current, obj.target), 0);
@@ -105,20 +123,67 @@ export function getItemProgress(item) {
     return { current: item.current || 0, total: item.target || 1 };
 }
 
+/**
+ * Whether the signed-in member and everyone have finished an item
+ * @param {Object} item - The item to check
+ * @param {Object|null} scope - Progress scope of the item's space
+ * @returns {{mine: boolean, everyone: boolean}}
+ */
+export function getItemCompletion(item, scope = null) {
+    if (!isPerMemberItem(item, scope)) {
+        const complete = isItemComplete(item);
+        return { mine: complete, everyone: complete };
+    }
+    const mine = !!scope.uid && isItemComplete(getMemberView(item, scope.uid));
+    const everyone = scope.members.length > 0 &&
+        scope.members.every(uid => isItemComplete(getMemberView(item, uid)));
+    return { mine, everyone };
+}
+
+/**
+ * Whether an item tracks progress per member in its space
+ * A quest's own `perMember` flag wins over the space default
+ * @param {Object} item - The item to check
+ * @param {Object|null} scope - Progress scope of the item's space (null outside collaborative spaces)
+ * @returns {boolean}
+ */
+export function isPerMemberItem(item, scope) {
+    return !!scope && (item.perMember ?? scope.perMember) === true;
+}
+
+/**
+ * A copy of an item showing one member's counters instead of the shared ones
+ * @param {Object} item - Item tracked per member
+ * @param {string} uid - Member
+ * @returns {Object} Item copy
+ */
+export function getMemberView(item, uid) {
+    const entry = item.memberProgress?.[uid];
+    return {
+        ...item,
+        current: entry?.current || 0,
+        objectives: (item.objectives || []).map(obj => {
+            const current = entry?.objectives?.[obj.id] || 0;
+            return { ...obj, current, complete: current >= obj.target };
+        })
+    };
+}
+
 /**
  * Sort items by manual order (if set), then completion status, priority, and creation time
  * @param {Array} items - Array of items to sort
+ * @param {Object|null} scope - Progress scope of the items' space
  * @returns {Array} Sorted items array (mutates original)
  */
-export function sortItems(items) {
+export function sortItems(items, scope = null) {
     if (!items) return items;
     // Priority order: high=0, medium=1, none=2, low=3
     const priorityOrder = { high: 0, medium: 1, low: 2, '': 3, null: 3 };
 
     items.sort((a, b) => {
         // Completed items go to bottom
-        const aComplete = isItemComplete(a);
-        const bComplete = isItemComplete(b);
+        const aComplete = isItemComplete(a, scope);
+        const bComplete = isItemComplete(b, scope);
         if (aComplete !== bComplete) return aComplete ? 1 : -1;
 
         // If both have sortIndex (manually ordered), use that
@@ -163,9 +228,10 @@ export function getUniqueCategories(state) {
 /**
  * Group items by category
  * @param {Array} items - Items to group
+ * @param {Object|null} scope - Progress scope of the items' space
  * @returns {Object} Object with category names as keys and item arrays as values
  */
-export function groupItemsByCategory(items) {
+export function groupItemsByCategory(items, scope = null) {
     // Get all unique categories (preserved custom order from settings + implicit ones)
     const implicitCategories = [...new Set(items.map(i => i.category || 'Misc'))];
 
@@ -193,7 +259,7 @@ export function groupItemsByCategory(items) {
         const catItems = items.filter(i => (i.category || 'Misc') === cat);
         if (catItems.length > 0) {
             // Sort items within each category to respect manual ordering
-            sortItems(catItems);
+            sortItems(catItems, scope);
             grouped[cat] = catItems;
         }
     });
@@ -203,13 +269,14 @@ export function groupItemsByCategory(items) {
 /**
  * Get progress for a category
  * @param {Array} categoryItems - Items in the category
+ * @param {Object|null} scope - Progress scope of the items' space
  * @returns {{current: number, total: number, percent: number}} Progress object
  */
-export function getCategoryProgress(categoryItems) {
+export function getCategoryProgress(categoryItems, scope = null) {
     let current = 0;
     let total = 0;
     categoryItems.forEach(item => {
-        const prog = getItemProgress(item);
+        const prog = getItemProgress(item, scope);
         current += prog.current;
         total += prog.total;
     });
@@ -237,15 +304,25 @@ export function normalizeItem(item, idGenerator = generateId) {
             imageUrl: obj.imageUrl || null,
             current: obj.current || 0,
             target: obj.target || 1,
-            complete: obj.complete || false
+            complete: obj.complete || false,
+            fieldStamps: obj.fieldStamps, // Preserve sync merge markers
+            _pendingDelta: obj._pendingDelta
         })),
         createdAt: item.createdAt || Date.now(),
         completedAt: item.completedAt || null,
+        archivedAt: item.archivedAt, // Preserve list timestamps used by sync tombstones
+        restoredAt: item.restoredAt,
         color: validateColor(item.color),
         priority: validatePriority(item.priority),
         sortIndex: item.sortIndex, // Preserve manual sort order
         notes: item.notes || '',
-        tags: Array.isArray(item.tags) ? item.tags.filter(t => typeof t === 'string') : []
+        tags: Array.isArray(item.tags) ? item.tags.filter(t => typeof t === 'string') : [],
+        assignee: item.assignee, // Preserve collaborative fields
+        perMember: item.perMember,
+        contributions: item.contributions,
+        memberProgress: item.memberProgress,
+        fieldStamps: item.fieldStamps,
+        _pendingDelta: item._pendingDelta
     };
 }
 
@@ -3,7 +3,7 @@
  * Caches static assets for offline access
  */
 
-const CACHE_NAME = 'fetchquest-v4.4';
+const CACHE_NAME = 'fetchquest-v4.24';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
@@ -38,6 +38,21 @@ const STATIC_ASSETS = [
     '/js/quest-events.js',
     '/js/sharing.js',
     '/js/sync-manager.js',
+    '/js/sync-merge.js',
+    '/js/outbox.js',
+    '/js/tab-sync.js',
+    '/js/conflicts.js',
+    '/js/sync-retry.js',
+    '/js/presence.js',
+    '/js/activity.js',
+    '/js/proposals.js',
+    '/js/assignees.js',
+    '/js/contributions.js',
+    '/js/member-progress.js',
+    '/js/comments.js',
+    '/js/notifications.js',
+    '/js/directory.js',
+    '/js/publish.js',
     '/js/tags.js',
     '/js/sw-register.js'
 ];
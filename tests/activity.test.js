@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for js/activity.js
+ * Run with: node --test tests/activity.test.js
+ * Requires Node.js 20+ for native test runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createActivityEntry,
+    queueActivityEntry,
+    describeActivity,
+    filterActivity
+} from '../js/activity.js';
+
+const gear = { id: 'q1', name: 'Rusted Gear', current: 5, target: 10 };
+
+function entry(action, item, details, extra = {}) {
+    return { ...createActivityEntry(action, item, details), uid: 'u1', name: 'Alex', spaceKey: 'o/s', ...extra };
+}
+
+describe('queueActivityEntry', () => {
+    it('should fold repeated taps on the same counter into one entry', () => {
+        const queue = [];
+        queueActivityEntry(queue, entry('progress', { ...gear, current: 3 }, { delta: 1 }));
+        queueActivityEntry(queue, entry('progress', { ...gear, current: 4 }, { delta: 1 }));
+        queueActivityEntry(queue, entry('progress', gear, { delta: 1 }));
+
+        assert.equal(queue.length, 1);
+        assert.equal(describeActivity(queue[0]), 'Alex +3 Rusted Gear (5/10)');
+    });
+
+    it('should keep changes by other people or to other quests apart', () => {
+        const queue = [];
+        queueActivityEntry(queue, entry('progress', gear, { delta: 1 }));
+        queueActivityEntry(queue, entry('progress', gear, { delta: 1 }, { uid: 'u2' }));
+        queueActivityEntry(queue, entry('progress', { ...gear, id: 'q2' }, { delta: 1 }, { uid: 'u2' }));
+        queueActivityEntry(queue, entry('archive', gear));
+        assert.equal(queue.length, 4);
+    });
+});
+
+describe('describeActivity', () => {
+    it('should name the objective and the edited field', () => {
+        const objective = { id: 'o1', name: 'Find key', current: 0, target: 3 };
+        assert.equal(describeActivity(entry('progress', gear, { objective, delta: -2 })), 'Alex −2 Rusted Gear › Find key (0/3)');
+        assert.equal(describeActivity(entry('edit', gear, { field: 'target' })), 'Alex changed the goal of Rusted Gear');
+        assert.equal(describeActivity(entry('delete', gear)), 'Alex deleted Rusted Gear');
+    });
+});
+
+describe('filterActivity', () => {
+    it('should filter by member and action', () => {
+        const entries = [
+            entry('progress', gear, { delta: 1 }),
+            entry('archive', gear),
+            entry('archive', gear, {}, { uid: 'u2' })
+        ];
+        assert.equal(filterActivity(entries, { uid: 'u1' }).length, 2);
+        assert.equal(filterActivity(entries, { action: 'archive' }).length, 2);
+        assert.equal(filterActivity(entries, { uid: 'u2', action: 'archive' }).length, 1);
+        assert.equal(filterActivity(entries, {}).length, 3);
+    });
+});
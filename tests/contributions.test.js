@@ -0,0 +1,46 @@
+/**
+ * Unit Tests for js/contributions.js
+ * Run with: node --test tests/contributions.test.js
+ * Requires Node.js 20+ for native test runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getContributionBreakdown,
+    getLeaderboard
+} from '../js/contributions.js';
+
+const gear = {
+    id: 'q1',
+    target: 10,
+    contributions: {
+        u2: { name: 'Riley', amount: 4, at: 2 },
+        u1: { name: 'Sam', amount: 6, at: 1 },
+        u3: { name: 'Alex', amount: 0, at: 3 }
+    }
+};
+
+describe('getContributionBreakdown', () => {
+    it('should list members who contributed, most first', () => {
+        assert.deepEqual(getContributionBreakdown(gear), [
+            { uid: 'u1', name: 'Sam', amount: 6 },
+            { uid: 'u2', name: 'Riley', amount: 4 }
+        ]);
+        assert.deepEqual(getContributionBreakdown({ id: 'q2' }), []);
+    });
+});
+
+describe('getLeaderboard', () => {
+    it('should total contributions over active and archived quests', () => {
+        const space = {
+            items: [gear],
+            archivedItems: [{ id: 'q2', contributions: { u2: { name: 'Riley', amount: 5, at: 4 } } }]
+        };
+        assert.deepEqual(getLeaderboard(space), [
+            { uid: 'u2', name: 'Riley', amount: 9, quests: 2 },
+            { uid: 'u1', name: 'Sam', amount: 6, quests: 1 }
+        ]);
+    });
+});
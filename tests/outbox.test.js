@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for js/outbox.js
+ * Run with: node --test tests/outbox.test.js
+ * Requires Node.js 20+ for native test runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createOutbox,
+    createSpaceEntry,
+    createSettingsEntry,
+    replayOutboxEntries
+} from '../js/outbox.js';
+
+describe('createOutbox', () => {
+    it('should keep one entry per space and remove only what was sent', async () => {
+        const outbox = createOutbox(null); // memory backend
+        const space = { id: 's1', items: [] };
+
+        await outbox.put(createSpaceEntry('u1', 'u1', space, 1));
+        await outbox.put(createSpaceEntry('u1', 'u1', { ...space, name: 'newer' }, 3));
+        await outbox.put(createSettingsEntry('u1', { shiftAmount: 5 }, 2));
+        await outbox.put(createSettingsEntry('u2', { shiftAmount: 5 }, 1));
+
+        const entries = await outbox.list('u1');
+        assert.deepEqual(entries.map(e => e.kind), ['settings', 'space']);
+        assert.equal(entries[1].data.name, 'newer');
+
+        assert.equal(await outbox.remove('u1', 2), 1);
+        assert.equal(await outbox.count('u1'), 1);
+        assert.equal(await outbox.count('u2'), 1);
+    });
+});
+
+describe('replayOutboxEntries', () => {
+    it('should merge queued quests into the loaded cloud copy', () => {
+        const local = {
+            id: 's1',
+            name: 'Renamed',
+            items: [{ id: 'a', current: 5, _pendingDelta: 2, objectives: [] }],
+            archivedItems: [],
+            _localModified: 50
+        };
+        const cloudState = {
+            spaces: [{ id: 's1', name: 'Old', isOwned: true, items: [{ id: 'a', current: 6, objectives: [] }], archivedItems: [] }]
+        };
+
+        const result = replayOutboxEntries(cloudState, [createSpaceEntry('u1', 'u1', local, 1)], 'u1');
+        const space = cloudState.spaces[0];
+
+        assert.deepEqual(result, { spaces: 1, settings: false });
+        assert.equal(space.items[0].current, 8);
+        assert.equal(space.items[0]._pendingDelta, 2);
+        assert.equal(space.name, 'Renamed');
+        assert.equal(space._lastSyncedLocal, 0);
+    });
+
+    it('should replay every queued space setting of owned spaces', () => {
+        const local = {
+            id: 's1',
+            name: 'Renamed',
+            items: [],
+            archivedItems: [],
+            trackContributions: true,
+            perMemberProgress: true,
+            perMemberCompleteWhen: 'mine',
+            tombstones: { items: { gone: Date.now() } }
+        };
+        const cloudState = {
+            spaces: [{
+                id: 's1', name: 'Old', isOwned: true, items: [], archivedItems: [],
+                trackContributions: false, perMemberProgress: false,
+                tombstones: { items: { removed: Date.now() } }
+            }]
+        };
+
+        replayOutboxEntries(cloudState, [createSpaceEntry('u1', 'u1', local, 1)], 'u1');
+        const space = cloudState.spaces[0];
+
+        assert.equal(space.trackContributions, true);
+        assert.equal(space.perMemberProgress, true);
+        assert.equal(space.perMemberCompleteWhen, 'mine');
+        assert.deepEqual(Object.keys(space.tombstones.items).sort(), ['gone', 'removed']);
+    });
+
+    it('should not replay space settings of shared spaces', () => {
+        const local = { id: 's1', name: 'Renamed', items: [], trackContributions: true };
+        const cloudState = { spaces: [{ id: 's1', ownerId: 'owner', isOwned: false, name: 'Old', items: [], trackContributions: false }] };
+
+        replayOutboxEntries(cloudState, [createSpaceEntry('u1', 'owner', local, 1)], 'u1');
+        assert.equal(cloudState.spaces[0].name, 'Old');
+        assert.equal(cloudState.spaces[0].trackContributions, false);
+    });
+
+    it('should only re-create spaces that never reached the cloud', () => {
+        const cloudState = { spaces: [] };
+        const entries = [
+            createSpaceEntry('u1', 'u1', { id: 'offline', items: [] }, 1),
+            createSpaceEntry('u1', 'u1', { id: 'deleted', items: [], _cloudTimestamp: 10 }, 2),
+            createSpaceEntry('u1', 'owner', { id: 'unshared', items: [] }, 3)
+        ];
+
+        replayOutboxEntries(cloudState, entries, 'u1');
+        assert.deepEqual(cloudState.spaces.map(s => s.id), ['offline']);
+    });
+
+    it('should apply queued settings', () => {
+        const cloudState = { spaces: [], shiftAmount: 5 };
+        const result = replayOutboxEntries(cloudState, [createSettingsEntry('u1', { shiftAmount: 25 }, 1)], 'u1');
+        assert.equal(result.settings, true);
+        assert.equal(cloudState.shiftAmount, 25);
+    });
+});
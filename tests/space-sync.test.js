@@ -0,0 +1,95 @@
+/**
+ * Emulator Tests for functions/spaces.js
+ * Run with: cd functions && npm test (wraps node --test in the Firestore emulator)
+ * Skipped unless FIRESTORE_EMULATOR_HOST is set; needs `npm install` in functions/
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+// Resolve firebase packages from functions/node_modules
+const requireFunctions = createRequire(new URL('../functions/', import.meta.url));
+const PROJECT_ID = 'demo-fetchquest';
+
+describe('applySpaceChanges', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'Requires Firestore emulator' }, () => {
+    let functionsTest, admin, applySpaceChanges, spaceRef, questsRef;
+
+    const ownerAuth = { auth: { uid: 'owner', token: {} } };
+    const editorAuth = { auth: { uid: 'editor', token: {} } };
+    const viewerAuth = { auth: { uid: 'viewer', token: {} } };
+
+    before(() => {
+        functionsTest = requireFunctions('firebase-functions-test')({ projectId: PROJECT_ID });
+        admin = requireFunctions('firebase-admin');
+        if (admin.apps.length === 0) admin.initializeApp({ projectId: PROJECT_ID });
+
+        const spaces = requireFunctions('./spaces.js');
+        applySpaceChanges = functionsTest.wrap(spaces.applySpaceChanges);
+        spaceRef = admin.firestore().doc('users/owner/spaces/s1');
+        questsRef = spaceRef.collection('quests');
+    });
+
+    beforeEach(async () => {
+        await admin.firestore().recursiveDelete(questsRef);
+        await spaceRef.set({
+            name: 'Squad',
+            collaborators: {
+                editor: { role: 'editor' },
+                viewer: { role: 'viewer' }
+            }
+        });
+        await questsRef.doc('gear').set({
+            id: 'gear', name: 'Rusted Gear', current: 2, target: 10, createdAt: 1, objectives: [], list: 'items'
+        });
+    });
+
+    after(async () => {
+        await admin.firestore().recursiveDelete(spaceRef);
+        functionsTest.cleanup();
+    });
+
+    it('should combine concurrent counter deltas', async () => {
+        const bump = { ownerId: 'owner', spaceId: 's1', deletedIds: [], tombstones: {} };
+        const quest = { id: 'gear', current: 5, target: 10, createdAt: 1, objectives: [], list: 'items', _pendingDelta: 3 };
+
+        await Promise.all([
+            applySpaceChanges({ ...bump, quests: [quest] }, ownerAuth),
+            applySpaceChanges({ ...bump, quests: [quest] }, editorAuth)
+        ]);
+
+        const stored = (await questsRef.doc('gear').get()).data();
+        assert.equal(stored.current, 8);
+        assert.equal(stored._pendingDelta, undefined);
+    });
+
+    it('should delete tombstoned quests and return the written ones', async () => {
+        const result = await applySpaceChanges({
+            ownerId: 'owner',
+            spaceId: 's1',
+            quests: [{ id: 'new', name: 'Fuse', current: 0, target: 1, createdAt: 5, objectives: [], list: 'items' }],
+            deletedIds: ['gear'],
+            tombstones: { items: { gear: 10 } }
+        }, editorAuth);
+
+        assert.deepEqual(result.quests.map(q => q.id), ['new']);
+        assert.deepEqual(result.deletedIds, ['gear']);
+        assert.equal((await questsRef.doc('gear').get()).exists, false);
+        assert.equal((await spaceRef.get()).data().tombstones.items.gear, 10);
+    });
+
+    it('should reject spaces that still use quest arrays', async () => {
+        await spaceRef.update({ items: [], archivedItems: [] });
+        await assert.rejects(
+            applySpaceChanges({ ownerId: 'owner', spaceId: 's1', quests: [] }, ownerAuth),
+            { code: 'failed-precondition' }
+        );
+    });
+
+    it('should reject viewers', async () => {
+        await assert.rejects(
+            applySpaceChanges({ ownerId: 'owner', spaceId: 's1', quests: [], deletedIds: [] }, viewerAuth),
+            { code: 'permission-denied' }
+        );
+    });
+});
@@ -0,0 +1,425 @@
+/**
+ * Unit Tests for js/sync-merge.js
+ * Run with: node --test tests/sync-merge.test.js
+ * Requires Node.js 20+ for native test runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    recordTombstone,
+    setItemField,
+    mergeItem,
+    settlePendingDeltas,
+    collectPendingDeltas,
+    takePendingDeltas,
+    addPendingDeltas,
+    mergeItemArrays,
+    mergeSpaceLists,
+    pruneTombstones,
+    toQuestDoc,
+    fromQuestDocs,
+    questFingerprint,
+    diffDocFields,
+    mergeQuestChanges,
+    applyQuestChanges,
+    findQuestConflicts,
+    addQuestProgress,
+    isQuestDocComplete,
+    recordContribution,
+    resetContributions,
+    keepOthersMemberEntries,
+    setMemberProgress,
+    resetMemberProgress,
+    TOMBSTONE_RETENTION_MS
+} from '../js/sync-merge.js';
+import * as serverMerge from '../functions/sync-merge.js';
+import buildScript from '../functions/scripts/build-sync-merge.js';
+
+describe('mergeItem', () => {
+    it('should keep the newest value of each field', () => {
+        const base = { id: 'a', name: 'Gear', notes: '', current: 0, target: 10, objectives: [] };
+        const local = structuredClone(base);
+        const server = structuredClone(base);
+        setItemField(local, 'notes', 'near the dam', null, 200);
+        setItemField(server, 'name', 'Rusted Gear', null, 300);
+
+        const merged = mergeItem(local, server);
+        assert.equal(merged.notes, 'near the dam');
+        assert.equal(merged.name, 'Rusted Gear');
+        assert.deepEqual(merged.fieldStamps, { notes: 200, name: 300 });
+    });
+
+    it('should keep the latest claim and let an unassign win over an older claim', () => {
+        const base = { id: 'a', current: 0, target: 1, objectives: [] };
+        const local = structuredClone(base);
+        const server = structuredClone(base);
+        setItemField(local, 'assignee', { uid: 'u1', name: 'Alex' }, null, 200);
+        setItemField(server, 'assignee', { uid: 'u2', name: 'Sam' }, null, 300);
+        assert.deepEqual(mergeItem(local, server).assignee, { uid: 'u2', name: 'Sam' });
+
+        setItemField(local, 'assignee', null, null, 400);
+        assert.equal(mergeItem(local, server).assignee, null);
+    });
+
+    it('should combine counter increments as deltas', () => {
+        const local = { id: 'a', current: 2, target: 10, objectives: [] };
+        setItemField(local, 'current', 5); // +3 locally
+        const server = { id: 'a', current: 5, target: 10, objectives: [] }; // +3 by someone else
+
+        assert.equal(mergeItem(local, server).current, 8);
+    });
+
+    it('should merge objectives individually', () => {
+        const local = { id: 'q', objectives: [{ id: 'o1', current: 0, target: 2 }, { id: 'o2', current: 0, target: 1 }] };
+        const server = { id: 'q', objectives: [{ id: 'o1', current: 1, target: 2 }, { id: 'o3', current: 0, target: 1 }] };
+        setItemField(local, 'current', 1, local.objectives[0]);
+
+        const merged = mergeItem(local, server);
+        assert.deepEqual(merged.objectives.map(o => o.id), ['o1', 'o2', 'o3']);
+        assert.equal(merged.objectives[0].current, 2);
+        assert.equal(merged.objectives[0].complete, true);
+    });
+});
+
+describe('contributions', () => {
+    it('should add up progress per member and never go below zero', () => {
+        const quest = { id: 'a', current: 0, target: 10, objectives: [] };
+        recordContribution(quest, 'u1', 'Sam', 4, 100);
+        recordContribution(quest, 'u1', 'Sam', 2, 200);
+        recordContribution(quest, 'u2', 'Riley', 1, 300);
+        recordContribution(quest, 'u2', 'Riley', -3, 400);
+
+        assert.deepEqual(quest.contributions, {
+            u1: { name: 'Sam', amount: 6, at: 200 },
+            u2: { name: 'Riley', amount: 0, at: 400 }
+        });
+    });
+
+    it('should merge each member by the newest entry and let a reset win over older ones', () => {
+        const base = { id: 'a', current: 0, target: 10, objectives: [] };
+        const local = structuredClone(base);
+        const server = structuredClone(base);
+        recordContribution(local, 'u1', 'Sam', 3, 200);
+        recordContribution(server, 'u1', 'Sam', 1, 100);
+        recordContribution(server, 'u2', 'Riley', 4, 300);
+
+        const merged = mergeItem(local, server);
+        assert.equal(merged.contributions.u1.amount, 3);
+        assert.equal(merged.contributions.u2.amount, 4);
+
+        resetContributions(merged, 500);
+        assert.deepEqual(Object.values(mergeItem(merged, server).contributions).map(c => c.amount), [0, 0]);
+        assert.equal(mergeItem(base, base).contributions, undefined);
+    });
+
+    it('should let a member reset and change only their own credit', () => {
+        const server = { id: 'a', contributions: { u1: { name: 'Sam', amount: 3, at: 100 }, u2: { name: 'Riley', amount: 4, at: 100 } } };
+
+        const restored = structuredClone(server);
+        resetContributions(restored, 200, 'u1');
+        assert.deepEqual([restored.contributions.u1.amount, restored.contributions.u2.amount], [0, 4]);
+
+        const sent = structuredClone(server);
+        sent.contributions.u1.amount = 5;
+        sent.contributions.u2 = { name: 'Riley', amount: 0, at: 900 };
+        sent.contributions.u3 = { name: 'Alex', amount: 9, at: 900 };
+        keepOthersMemberEntries(sent, server, 'u1');
+        assert.deepEqual(sent.contributions, { ...server.contributions, u1: { name: 'Sam', amount: 5, at: 100 } });
+
+        const created = { id: 'b', contributions: { u2: { name: 'Riley', amount: 1, at: 1 } } };
+        keepOthersMemberEntries(created, null, 'u1');
+        assert.equal(created.contributions, undefined);
+    });
+});
+
+describe('member progress', () => {
+    it('should keep each member\'s counters and merge them per member', () => {
+        const base = { id: 'q', type: 'quest', objectives: [{ id: 'o1', current: 0, target: 2 }] };
+        const local = structuredClone(base);
+        const server = structuredClone(base);
+        setMemberProgress(local, 'u1', 'Sam', 2, 'o1', 200);
+        setMemberProgress(server, 'u2', 'Riley', 1, 'o1', 300);
+        setMemberProgress(server, 'u1', 'Sam', 1, 'o1', 100);
+
+        const merged = mergeItem(local, server);
+        assert.deepEqual(merged.memberProgress.u1, { current: 0, objectives: { o1: 2 }, name: 'Sam', at: 200 });
+        assert.equal(merged.memberProgress.u2.objectives.o1, 1);
+        assert.equal(merged.objectives[0].current, 0);
+
+        resetMemberProgress(merged, 400);
+        assert.deepEqual(Object.values(merged.memberProgress).map(e => e.objectives), [{}, {}]);
+    });
+
+    it('should let a member reset and change only their own counters', () => {
+        const server = { id: 'q' };
+        setMemberProgress(server, 'u1', 'Sam', 2, null, 100);
+        setMemberProgress(server, 'u2', 'Riley', 3, null, 100);
+
+        const sent = structuredClone(server);
+        resetMemberProgress(sent, 200, 'u1');
+        assert.deepEqual([sent.memberProgress.u1.current, sent.memberProgress.u2.current], [0, 3]);
+
+        setMemberProgress(sent, 'u2', 'Riley', 0, null, 900);
+        keepOthersMemberEntries(sent, server, 'u1');
+        assert.equal(sent.memberProgress.u1.current, 0);
+        assert.deepEqual(sent.memberProgress.u2, server.memberProgress.u2);
+    });
+});
+
+describe('settlePendingDeltas', () => {
+    it('should keep deltas made after the save started', () => {
+        const item = { id: 'a', current: 1, objectives: [] };
+        const space = { items: [item], archivedItems: [] };
+        setItemField(item, 'current', 3); // +2 sent
+        const sent = { a: { delta: 2, objectives: {} } };
+        setItemField(item, 'current', 4); // +1 while saving
+
+        settlePendingDeltas(space, sent, { items: [{ id: 'a', current: 6 }] });
+        assert.equal(item._pendingDelta, 1);
+        assert.equal(item.current, 7);
+    });
+});
+
+describe('pending deltas across tabs', () => {
+    // A follower hands its deltas to the leader; the leader never shares its own
+    const sendToLeader = (followerSpace) => {
+        const copy = JSON.parse(JSON.stringify(followerSpace));
+        takePendingDeltas(followerSpace);
+        return copy;
+    };
+    const adoptInLeader = (leaderSpace, incoming) => {
+        const handed = takePendingDeltas(incoming);
+        addPendingDeltas(incoming, collectPendingDeltas(leaderSpace));
+        addPendingDeltas(incoming, handed);
+        return incoming;
+    };
+
+    it('should send an increment made in a follower tab once', () => {
+        const server = { id: 'a', current: 5, target: 10 };
+        let leader = { _localModified: 1, items: [{ id: 'a', current: 5, objectives: [] }], archivedItems: [] };
+        const follower = JSON.parse(JSON.stringify(leader));
+
+        // +1 in the follower reaches the leader, which saves it
+        setItemField(follower.items[0], 'current', 6);
+        follower._localModified = 2;
+        leader = adoptInLeader(leader, sendToLeader(follower));
+        const sent = collectPendingDeltas(leader);
+        assert.deepEqual(sent, { a: { delta: 1, objectives: {} } });
+        server.current += sent.a.delta;
+        settlePendingDeltas(leader, sent, { items: [{ ...server }] });
+
+        // A later edit in the follower must not bring the delta back
+        follower.items[0].name = 'Renamed';
+        follower._localModified = 3;
+        leader = adoptInLeader(leader, sendToLeader(follower));
+        assert.deepEqual(collectPendingDeltas(leader), {});
+        assert.equal(mergeItem(leader.items[0], server).current, 6);
+    });
+
+    it('should keep the leader\'s unsent deltas when it adopts a follower\'s space', () => {
+        const leader = { items: [{ id: 'a', current: 2, _pendingDelta: 2, objectives: [{ id: 'o', current: 1, _pendingDelta: 1 }] }] };
+        const incoming = { items: [{ id: 'a', current: 3, _pendingDelta: 1, objectives: [{ id: 'o', current: 1 }] }] };
+
+        const adopted = adoptInLeader(leader, incoming);
+        assert.deepEqual(collectPendingDeltas(adopted), { a: { delta: 3, objectives: { o: 1 } } });
+    });
+});
+
+describe('mergeItemArrays', () => {
+    it('should keep additions from both sides', () => {
+        const local = [{ id: 'a', createdAt: 1 }];
+        const server = [{ id: 'b', createdAt: 2 }];
+        const merged = mergeItemArrays(local, server);
+        assert.deepEqual(merged.map(i => i.id).sort(), ['a', 'b']);
+    });
+
+    it('should drop server items that were deleted locally', () => {
+        const space = { items: [] };
+        recordTombstone(space, 'items', 'a', 100);
+        const server = [{ id: 'a', createdAt: 1 }];
+        const merged = mergeItemArrays(space.items, server, space.tombstones.items, 'items');
+        assert.equal(merged.length, 0);
+    });
+
+    it('should keep items re-added after their tombstone', () => {
+        const tombstones = { a: 100 };
+        const restored = [{ id: 'a', createdAt: 1, restoredAt: 200 }];
+        assert.equal(mergeItemArrays(restored, [], tombstones, 'items').length, 1);
+
+        const rearchived = [{ id: 'a', archivedAt: 200 }];
+        assert.equal(mergeItemArrays([], rearchived, tombstones, 'archivedItems').length, 1);
+    });
+});
+
+describe('mergeSpaceLists', () => {
+    it('should apply tombstones from the server to local items', () => {
+        const local = { items: [{ id: 'a', createdAt: 1 }], archivedItems: [] };
+        const server = {
+            items: [],
+            archivedItems: [{ id: 'a', createdAt: 1, archivedAt: 50 }],
+            tombstones: { items: { a: 50 } }
+        };
+        const merged = mergeSpaceLists(local, server, 1000);
+        assert.equal(merged.items.length, 0);
+        assert.equal(merged.archivedItems.length, 1);
+        assert.equal(merged.tombstones.items.a, 50);
+    });
+});
+
+describe('pruneTombstones', () => {
+    it('should drop tombstones older than the retention window', () => {
+        const now = TOMBSTONE_RETENTION_MS + 1000;
+        const pruned = pruneTombstones({ items: { old: 1, fresh: now - 10 } }, now);
+        assert.deepEqual(pruned.items, { fresh: now - 10 });
+        assert.deepEqual(pruned.archivedItems, {});
+    });
+});
+
+describe('quest documents', () => {
+    it('should round-trip items through quest documents', () => {
+        const space = {
+            items: [{ id: 'b', createdAt: 2, _pendingDelta: 1 }, { id: 'a', createdAt: 1 }],
+            archivedItems: [{ id: 'c', archivedAt: 5 }]
+        };
+        const docs = ['items', 'archivedItems'].flatMap(list => space[list].map(item => toQuestDoc(item, list)));
+        assert.equal(docs[0]._pendingDelta, undefined);
+
+        const lists = fromQuestDocs(docs);
+        assert.deepEqual(lists.items.map(i => i.id), ['a', 'b']);
+        assert.deepEqual(lists.archivedItems, [{ id: 'c', archivedAt: 5 }]);
+    });
+
+    it('should fingerprint documents regardless of key order', () => {
+        assert.equal(
+            questFingerprint({ id: 'a', fieldStamps: { name: 1, notes: 2 }, name: 'x' }),
+            questFingerprint({ name: 'x', fieldStamps: { notes: 2, name: 1 }, id: 'a' })
+        );
+    });
+
+    it('should list only the fields that changed', () => {
+        const base = { id: 'a', name: 'x', current: 1, notes: 'n', fieldStamps: { name: 1, notes: 2 } };
+        const next = { id: 'a', name: 'x', current: 3, fieldStamps: { notes: 2, name: 1 }, target: 5 };
+        assert.deepEqual(diffDocFields(base, next), { current: 3, notes: undefined, target: 5 });
+    });
+
+    it('should merge changed quests into stored ones', () => {
+        const local = [
+            { id: 'a', current: 4, _pendingDelta: 2, objectives: [], list: 'items' },
+            { id: 'gone', createdAt: 1, objectives: [], list: 'items' }
+        ];
+        const server = new Map([
+            ['a', { id: 'a', current: 5, objectives: [], list: 'items' }],
+            ['gone', { id: 'gone', createdAt: 1, objectives: [], list: 'items' }],
+            ['old', { id: 'old', createdAt: 1, objectives: [], list: 'items' }]
+        ]);
+        const tombstones = { items: { gone: 10, old: 10 } };
+
+        const { upserts, deletes } = mergeQuestChanges(local, server, ['old'], tombstones);
+        assert.deepEqual(upserts.map(q => [q.id, q.current]), [['a', 7]]);
+        assert.deepEqual(deletes.sort(), ['gone', 'old']);
+    });
+
+    it('should follow a quest that was archived elsewhere', () => {
+        const space = { items: [{ id: 'a', createdAt: 1, notes: 'mine' }], archivedItems: [] };
+        applyQuestChanges(space, [
+            { type: 'modified', id: 'a', quest: { id: 'a', createdAt: 1, archivedAt: 20, list: 'archivedItems' } }
+        ]);
+        assert.equal(space.items.length, 0);
+        assert.equal(space.archivedItems[0].archivedAt, 20);
+
+        applyQuestChanges(space, [{ type: 'removed', id: 'a' }]);
+        assert.equal(space.archivedItems.length, 0);
+    });
+});
+
+describe('findQuestConflicts', () => {
+    it('should report fields both sides changed since the last sync', () => {
+        const base = { id: 'a', name: 'Gear', notes: '', current: 0, objectives: [{ id: 'o1', name: 'Find', target: 1 }] };
+        const local = structuredClone(base);
+        const server = structuredClone(base);
+        setItemField(local, 'notes', 'by the dam', null, 200);
+        setItemField(server, 'notes', 'in the tunnel', null, 300);
+        setItemField(local, 'name', 'Rusted Gear', null, 200); // only changed here
+        setItemField(local, 'target', 3, local.objectives[0], 200);
+        setItemField(server, 'target', 5, server.objectives[0], 250);
+        setItemField(local, 'current', 2);
+        server.current = 4;
+
+        const conflicts = findQuestConflicts(local, server, 100);
+        assert.deepEqual(conflicts, [
+            { field: 'notes', objectiveId: null, mine: 'by the dam', theirs: 'in the tunnel' },
+            { field: 'target', objectiveId: 'o1', mine: 3, theirs: 5 }
+        ]);
+    });
+
+    it('should ignore edits from before the last sync and identical values', () => {
+        const local = { id: 'a', name: 'Gear', fieldStamps: { name: 50 }, objectives: [] };
+        const server = { id: 'a', name: 'Cog', fieldStamps: { name: 300 }, objectives: [] };
+        assert.equal(findQuestConflicts(local, server, 100).length, 0);
+
+        local.fieldStamps.name = 200;
+        server.name = 'Gear';
+        assert.equal(findQuestConflicts(local, server, 100).length, 0);
+    });
+});
+
+describe('addQuestProgress', () => {
+    it('should add to the counter and stamp completion once the goal is reached', () => {
+        const quest = { id: 'a', type: 'item', current: 6, target: 10 };
+        assert.equal(addQuestProgress(quest, null, 4, 500), true);
+        assert.equal(quest.current, 10);
+        assert.equal(quest.completedAt, 500);
+        assert.equal(quest.fieldStamps.completedAt, 500);
+        assert.equal(quest._pendingDelta, undefined);
+    });
+
+    it('should count objectives and refuse ones that are gone', () => {
+        const quest = {
+            id: 'a', type: 'quest',
+            objectives: [{ id: 'o1', current: 1, target: 3 }, { id: 'o2', current: 0, target: 1 }]
+        };
+        assert.equal(addQuestProgress(quest, 'o1', 2, 500), true);
+        assert.equal(quest.objectives[0].current, 3);
+        assert.equal(quest.objectives[0].complete, true);
+        assert.equal(quest.completedAt, undefined);
+        assert.equal(isQuestDocComplete(quest), false);
+        assert.equal(addQuestProgress(quest, 'gone', 1, 500), false);
+
+        addQuestProgress(quest, 'o2', 1, 600);
+        assert.equal(isQuestDocComplete(quest), true);
+        assert.equal(quest.completedAt, 600);
+    });
+});
+
+describe('functions/sync-merge.js', () => {
+    it('should be generated from the current client copy', () => {
+        const { buildServerCopy, SOURCE_PATH, TARGET_PATH } = buildScript;
+        assert.equal(
+            readFileSync(TARGET_PATH, 'utf8'),
+            buildServerCopy(readFileSync(SOURCE_PATH, 'utf8')),
+            'functions/sync-merge.js is out of date: run npm run build:sync-merge in functions/'
+        );
+    });
+
+    it('should export the same helpers as the client copy', async () => {
+        const clientMerge = await import('../js/sync-merge.js');
+        const serverExports = Object.keys(serverMerge).filter(k => k !== 'default').sort();
+        assert.deepEqual(serverExports, Object.keys(clientMerge).sort());
+    });
+
+    it('should merge the same way as the client copy', () => {
+        const local = {
+            items: [{ id: 'a', current: 4, _pendingDelta: 2, name: 'A', fieldStamps: { name: 5 }, objectives: [] }],
+            archivedItems: [],
+            tombstones: { archivedItems: { b: 20 } }
+        };
+        const server = {
+            items: [{ id: 'a', current: 3, name: 'Old', objectives: [] }],
+            archivedItems: [{ id: 'b', archivedAt: 10 }]
+        };
+        assert.deepEqual(serverMerge.mergeSpaceLists(local, server, 100), mergeSpaceLists(local, server, 100));
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for js/sync-retry.js
+ * Run with: node --test tests/sync-retry.test.js
+ * Requires Node.js 20+ for native test runner
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RETRY_SETTINGS, getErrorCode, classifySyncError, getRetryDelay } from '../js/sync-retry.js';
+
+describe('classifySyncError', () => {
+    it('should retry transient errors', () => {
+        const failure = classifySyncError({ code: 'unavailable', message: 'offline?' });
+        assert.equal(failure.retryable, true);
+        assert.equal(failure.code, 'unavailable');
+    });
+
+    it('should not retry permission errors, including from callables', () => {
+        assert.equal(getErrorCode({ code: 'functions/permission-denied' }), 'permission-denied');
+        const failure = classifySyncError({ code: 'functions/permission-denied' });
+        assert.equal(failure.retryable, false);
+        assert.match(failure.message, /permission/);
+    });
+
+    it('should report being offline regardless of the error', () => {
+        const failure = classifySyncError({ code: 'permission-denied' }, false);
+        assert.equal(failure.code, 'offline');
+        assert.equal(failure.retryable, true);
+    });
+
+    it('should fall back to the error message for unknown codes', () => {
+        const failure = classifySyncError({ code: 'data-loss', message: 'Bad things' });
+        assert.deepEqual(failure, { code: 'data-loss', retryable: false, message: 'Bad things' });
+    });
+});
+
+describe('getRetryDelay', () => {
+    it('should back off exponentially with jitter', () => {
+        assert.equal(getRetryDelay(1, RETRY_SETTINGS, () => 0), 1000);
+        assert.equal(getRetryDelay(1, RETRY_SETTINGS, () => 0.999), 1999);
+        assert.equal(getRetryDelay(3, RETRY_SETTINGS, () => 0), 4000);
+    });
+
+    it('should cap the delay and stop after the last attempt', () => {
+        const settings = { baseDelayMs: 1000, maxDelayMs: 5000, maxAttempts: 10 };
+        assert.equal(getRetryDelay(10, settings, () => 1), 5000);
+        assert.equal(getRetryDelay(11, settings, () => 1), null);
+    });
+});
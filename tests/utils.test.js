@@ -13,6 +13,7 @@ import {
     escapeHtml,
     isItemComplete,
     getItemProgress,
+    getItemCompletion,
     sortItems,
     groupItemsByCategory,
     getCategoryProgress,
@@ -100,6 +101,39 @@ describe('isItemComplete', () => {
     });
 });
 
+describe('per-member progress', () => {
+    const scope = { uid: 'u1', members: ['u1', 'u2'], perMember: true, completeWhen: 'everyone' };
+    const keycards = {
+        type: 'item', current: 0, target: 3,
+        memberProgress: { u1: { current: 3 }, u2: { current: 1 } }
+    };
+
+    it('should report my completion and everyone\'s separately', () => {
+        assert.deepEqual(getItemCompletion(keycards, scope), { mine: true, everyone: false });
+        assert.equal(isItemComplete(keycards, scope), false);
+        assert.equal(isItemComplete(keycards, { ...scope, completeWhen: 'mine' }), true);
+    });
+
+    it('should add up everyone\'s progress and report mine', () => {
+        assert.deepEqual(getItemProgress(keycards, scope), {
+            current: 4, total: 6,
+            mine: { current: 3, total: 3 },
+            everyone: { current: 4, total: 6 }
+        });
+    });
+
+    it('should count objectives per member and let the quest override the space', () => {
+        const quest = {
+            type: 'quest', perMember: true,
+            objectives: [{ id: 'o1', current: 0, target: 1 }, { id: 'o2', current: 0, target: 2 }],
+            memberProgress: { u1: { objectives: { o1: 1, o2: 2 } }, u2: { objectives: { o1: 1, o2: 2 } } }
+        };
+        assert.equal(isItemComplete(quest, { ...scope, perMember: false }), true);
+        assert.equal(isItemComplete({ ...quest, perMember: false }, scope), false);
+        assert.equal(isItemComplete(quest), false);
+    });
+});
+
 describe('getItemProgress', () => {
     it('should return current/total for item type', () => {
         const item = { type: 'item', current: 3, target: 10 };